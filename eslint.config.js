@@ -0,0 +1,22 @@
+const js = require('@eslint/js');
+const globals = require('globals');
+
+module.exports = [
+  {
+    ignores: ['node_modules/', 'cache/', 'data/', 'logs/', 'public/']
+  },
+  js.configs.recommended,
+  {
+    files: ['**/*.js'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'commonjs',
+      globals: globals.node
+    },
+    rules: {
+      // Unused catch bindings are the norm here (`catch (error) { return null; }`), as is
+      // dropping a field with `const { area, ...spec } = job.spec`
+      'no-unused-vars': ['error', { caughtErrors: 'none', ignoreRestSiblings: true }]
+    }
+  }
+];
@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+/**
+ * Gazetteer Builder
+ * Turns an `osmium export -f geojsonseq` dump of the Java PBF into
+ * data/gazetteer.jsonl, the local index used by the offline geocoder.
+ *
+ * Usage: node scripts/build-gazetteer.js <input.geojsonseq> [output.jsonl]
+ *
+ * Pass 1 collects administrative boundaries (provinsi, kabupaten/kota,
+ * kecamatan, kelurahan/desa); pass 2 writes one line per named place, POI
+ * and street with its address filled in from those boundaries.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { simplifyLine } = require('../src/geometry');
+const ServiceArea = require('../src/serviceArea');
+
+// Indonesian admin_level -> address part
+const ADMIN_LEVELS = { 4: 'province', 5: 'city', 6: 'district', 7: 'village' };
+const PLACES = ['city', 'town', 'village', 'suburb', 'quarter', 'neighbourhood', 'hamlet', 'isolated_dwelling'];
+const STREETS = [
+  'motorway', 'trunk', 'primary', 'secondary', 'tertiary', 'unclassified',
+  'residential', 'living_street', 'pedestrian', 'road'
+];
+// Tags checked in order to classify a feature, e.g. railway=station
+const TYPE_KEYS = ['place', 'railway', 'aeroway', 'public_transport', 'amenity', 'tourism', 'shop', 'leisure', 'office', 'highway', 'building'];
+const ALT_NAME_KEYS = ['name:id', 'name:en', 'alt_name', 'old_name', 'short_name', 'official_name'];
+
+const BOUNDARY_TOLERANCE = 20; // meters, boundaries only need to be good enough for point lookups
+const GRID_SIZE = 0.1; // degrees
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+const cellKey = (x, y) => `${x},${y}`;
+
+// Stream features from a GeoJSON sequence (RFC 8142 record separators are optional)
+async function* readFeatures(file) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  for await (const line of lines) {
+    const text = (line.startsWith('\x1e') ? line.slice(1) : line).trim();
+    if (text) yield JSON.parse(text);
+  }
+}
+
+function polygonsOf(geometry) {
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return null;
+}
+
+// Representative point: the point itself, a middle vertex or the outer ring average
+function anchorOf(geometry) {
+  switch (geometry.type) {
+    case 'Point':
+      return geometry.coordinates;
+    case 'LineString':
+      return geometry.coordinates[Math.floor(geometry.coordinates.length / 2)];
+    case 'MultiLineString':
+      return anchorOf({ type: 'LineString', coordinates: geometry.coordinates[0] });
+    default: {
+      const ring = polygonsOf(geometry)?.[0]?.[0];
+      if (!ring || ring.length === 0) return null;
+      const sum = ring.reduce((acc, [lon, lat]) => [acc[0] + lon, acc[1] + lat], [0, 0]);
+      return [sum[0] / ring.length, sum[1] / ring.length];
+    }
+  }
+}
+
+function namesOf(tags) {
+  const names = new Set();
+  for (const key of ALT_NAME_KEYS) {
+    for (const name of String(tags[key] || '').split(';')) {
+      if (name.trim() && name.trim() !== tags.name) names.add(name.trim());
+    }
+  }
+  return [...names];
+}
+
+function typeOf(tags) {
+  if (tags.boundary === 'administrative' && ADMIN_LEVELS[tags.admin_level]) {
+    return `boundary=${ADMIN_LEVELS[tags.admin_level]}`;
+  }
+  const key = TYPE_KEYS.find(name => tags[name] && tags[name] !== 'no');
+  return key ? `${key}=${tags[key]}` : null;
+}
+
+class BoundaryIndex {
+  constructor() {
+    this.boundaries = [];
+    this.grid = new Map();
+  }
+
+  add(level, name, polygons) {
+    const simplified = polygons.map(rings => rings.map(ring => simplifyLine(ring, BOUNDARY_TOLERANCE)));
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const [lon, lat] of simplified.flatMap(rings => rings[0])) {
+      bounds[0] = Math.min(bounds[0], lon);
+      bounds[1] = Math.min(bounds[1], lat);
+      bounds[2] = Math.max(bounds[2], lon);
+      bounds[3] = Math.max(bounds[3], lat);
+    }
+
+    const index = this.boundaries.push({ level, name, polygons: simplified, bounds }) - 1;
+    for (let x = Math.floor(bounds[0] / GRID_SIZE); x <= Math.floor(bounds[2] / GRID_SIZE); x++) {
+      for (let y = Math.floor(bounds[1] / GRID_SIZE); y <= Math.floor(bounds[3] / GRID_SIZE); y++) {
+        const key = cellKey(x, y);
+        if (!this.grid.has(key)) this.grid.set(key, []);
+        this.grid.get(key).push(index);
+      }
+    }
+  }
+
+  // Address parts (province, city, district, village) of the boundaries containing lon/lat
+  lookup(lon, lat) {
+    const address = {};
+    const candidates = this.grid.get(cellKey(Math.floor(lon / GRID_SIZE), Math.floor(lat / GRID_SIZE))) || [];
+    for (const index of candidates) {
+      const { level, name, polygons, bounds } = this.boundaries[index];
+      if (address[level] || lon < bounds[0] || lon > bounds[2] || lat < bounds[1] || lat > bounds[3]) continue;
+      if (polygons.some(rings => ServiceArea.containsPoint(rings, lon, lat))) {
+        address[level] = name;
+      }
+    }
+    return address;
+  }
+}
+
+async function build(input, output) {
+  const boundaries = new BoundaryIndex();
+
+  console.log(`Pass 1/2: administrative boundaries from ${input}`);
+  for await (const feature of readFeatures(input)) {
+    const tags = feature.properties || {};
+    const level = ADMIN_LEVELS[tags.admin_level];
+    const polygons = feature.geometry && polygonsOf(feature.geometry);
+    if (tags.boundary === 'administrative' && level && tags.name && polygons) {
+      boundaries.add(level, tags.name, polygons);
+    }
+  }
+  console.log(`   ${boundaries.boundaries.length} boundaries indexed`);
+
+  console.log('Pass 2/2: places, POIs and streets');
+  const out = fs.createWriteStream(output);
+  const write = (record) => new Promise(resolve => {
+    if (out.write(JSON.stringify(record) + '\n')) resolve();
+    else out.once('drain', resolve);
+  });
+
+  await write({
+    gazetteer: 1,
+    source: path.basename(input),
+    generatedAt: new Date().toISOString()
+  });
+
+  const seenStreets = new Set();
+  let count = 0;
+
+  for await (const feature of readFeatures(input)) {
+    const tags = feature.properties || {};
+    const type = tags.name && feature.geometry ? typeOf(tags) : null;
+    if (!type) continue;
+
+    const [key, value] = type.split('=');
+    if (key === 'place' && !PLACES.includes(value)) continue;
+    if (key === 'highway' && feature.geometry.type !== 'Point' && !STREETS.includes(value)) continue;
+
+    const anchor = anchorOf(feature.geometry);
+    if (!anchor) continue;
+    const [lon, lat] = anchor.map(round);
+
+    const address = boundaries.lookup(lon, lat);
+    if (key === 'boundary') {
+      // A boundary's address only lists the larger areas around it
+      const parts = Object.values(ADMIN_LEVELS);
+      for (const part of parts.slice(parts.indexOf(value))) delete address[part];
+    }
+    if (tags['addr:street']) address.street = tags['addr:street'];
+    if (tags['addr:housenumber']) address.housenumber = tags['addr:housenumber'];
+    if (tags['addr:postcode']) address.postcode = tags['addr:postcode'];
+
+    // Streets are split into many ways; keep one entry per street per village
+    if (key === 'highway' && feature.geometry.type !== 'Point') {
+      const streetKey = `${tags.name}|${address.village || ''}|${address.district || ''}`;
+      if (seenStreets.has(streetKey)) continue;
+      seenStreets.add(streetKey);
+    }
+
+    const alt = namesOf(tags);
+    await write({
+      id: feature.id || tags['@id'] || null,
+      name: tags.name,
+      ...(alt.length > 0 && { alt }),
+      type,
+      lon,
+      lat,
+      address
+    });
+    count++;
+  }
+
+  await new Promise(resolve => out.end(resolve));
+  console.log(`   ${count} entries written to ${output}`);
+}
+
+if (require.main === module) {
+  const [input, output = path.join(__dirname, '..', 'data', 'gazetteer.jsonl')] = process.argv.slice(2);
+  if (!input) {
+    console.error('Usage: node scripts/build-gazetteer.js <input.geojsonseq> [output.jsonl]');
+    process.exit(1);
+  }
+
+  build(input, output).catch(error => {
+    console.error(`Gazetteer build failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { build };
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+/**
+ * MBTiles Import/Export
+ * Seeds the tile cache from an .mbtiles file, exports part of it to one (to
+ * ship a pre-seeded cache to a new server), copies a directory cache into
+ * the MBTiles store before switching TILE_STORAGE to mbtiles, or converts
+ * older MBTiles store files so eviction can shrink them.
+ *
+ * Usage:
+ *   node scripts/mbtiles.js import <file.mbtiles> [--layer id] [--overwrite]
+ *   node scripts/mbtiles.js export <file.mbtiles> --bbox minLon,minLat,maxLon,maxLat --zoom 10-14 [--layer id] [--overwrite]
+ *   node scripts/mbtiles.js migrate
+ *   node scripts/mbtiles.js vacuum
+ *
+ * Uses the server's CACHE_DIR, TILE_STORAGE and TILE_LAYERS_FILE settings and
+ * can run while the server is up (vacuum locks each file while it rewrites it). Works on the tile store alone, so none of the
+ * server's startup work (like clearing the cache after an OSRM rebuild) runs.
+ */
+
+const path = require('path');
+const TileCacheManager = require('../src/tile-cache');
+const TileLayerRegistry = require('../src/tileLayers');
+const DirectoryTileStore = require('../src/directoryStore');
+const MBTilesTileStore = require('../src/mbtilesStore');
+
+const USAGE = `Usage:
+  node scripts/mbtiles.js import <file.mbtiles> [--layer id] [--overwrite]
+  node scripts/mbtiles.js export <file.mbtiles> --bbox minLon,minLat,maxLon,maxLat --zoom 10-14 [--layer id] [--overwrite]
+  node scripts/mbtiles.js migrate
+  node scripts/mbtiles.js vacuum`;
+
+function parseArgs(argv) {
+  const [command, file, ...rest] = argv;
+  const options = { command, file };
+  for (let i = 0; i < rest.length; i++) {
+    const name = rest[i].replace(/^--/, '');
+    options[name] = name === 'overwrite' ? true : rest[++i];
+  }
+  return options;
+}
+
+// "10-14" or "10,11,12"
+function parseZoomLevels(value) {
+  const range = /^(\d{1,2})-(\d{1,2})$/.exec(value || '');
+  const zooms = range
+    ? Array.from({ length: parseInt(range[2]) - parseInt(range[1]) + 1 }, (_, i) => parseInt(range[1]) + i)
+    : String(value || '').split(',').filter(Boolean).map(Number);
+  return zooms.length > 0 && zooms.every(Number.isInteger) ? zooms : null;
+}
+
+function parseBounds(value) {
+  const [minLon, minLat, maxLon, maxLat] = String(value || '').split(',').map(Number);
+  if (![minLon, minLat, maxLon, maxLat].every(Number.isFinite) || minLon >= maxLon || minLat >= maxLat) return null;
+  return { minLon, minLat, maxLon, maxLat };
+}
+
+// Copy every tile of the directory cache into the MBTiles store
+async function migrate(cacheDir, tileLayers) {
+  const source = new DirectoryTileStore({ cacheDir });
+  const target = new MBTilesTileStore({ dir: path.join(cacheDir, 'mbtiles') });
+  const counts = {};
+  try {
+    for await (const entry of source.entries()) {
+      const layer = tileLayers.get(entry.layer) || {
+        id: entry.layer,
+        name: entry.layer,
+        namespace: entry.layer === TileLayerRegistry.LEGACY_LAYER ? '' : entry.layer,
+        format: path.extname(entry.filePath).slice(1),
+        minZoom: 0,
+        maxZoom: 22,
+        attribution: ''
+      };
+      const cached = await source.get(layer, entry.z, entry.x, entry.y);
+      if (!cached) continue;
+      await target.put(layer, entry.z, entry.x, entry.y, cached.tile, { ...cached.metadata, timestamp: cached.modifiedAt });
+      counts[layer.id] = (counts[layer.id] || 0) + 1;
+    }
+  } finally {
+    target.close();
+  }
+  return counts;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const needsFile = ['import', 'export'].includes(options.command);
+  if (!['import', 'export', 'migrate', 'vacuum'].includes(options.command) || (needsFile && !options.file)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const cacheDir = process.env.CACHE_DIR || './cache';
+  const tileLayers = new TileLayerRegistry({ configPath: process.env.TILE_LAYERS_FILE });
+  try {
+    if (options.command === 'migrate') {
+      const counts = await migrate(cacheDir, tileLayers);
+      console.log(`✅ Copied ${JSON.stringify(counts)} tiles to ${path.join(cacheDir, 'mbtiles')}, set TILE_STORAGE=mbtiles to use them`);
+      return;
+    }
+    if (options.command === 'vacuum') {
+      // No "predates incremental auto-vacuum" warnings for the files about to be converted
+      const store = new MBTilesTileStore({ dir: path.join(cacheDir, 'mbtiles'), logger: { warn() {} } });
+      try {
+        const converted = store.enableAutoVacuum();
+        console.log(converted.length > 0
+          ? `✅ Enabled incremental auto-vacuum for ${converted.join(', ')}`
+          : '✅ Every MBTiles layer file already uses incremental auto-vacuum');
+      } finally {
+        store.close();
+      }
+      return;
+    }
+
+    const layer = options.layer ? tileLayers.get(options.layer) : tileLayers.getDefault();
+    if (!layer) {
+      throw new Error(`Unknown tile layer "${options.layer}"`);
+    }
+    const storage = process.env.TILE_STORAGE || 'directory';
+    const store = TileCacheManager.createStore(storage, cacheDir);
+
+    try {
+      if (options.command === 'import') {
+        const result = await TileCacheManager.importMBTiles(store, options.file, layer, { overwrite: options.overwrite === true });
+        console.log(`✅ Imported into ${layer.id} (${storage} storage):`, result);
+      } else {
+        const bounds = parseBounds(options.bbox);
+        const zoomLevels = parseZoomLevels(options.zoom);
+        if (!bounds || !zoomLevels) {
+          throw new Error(`--bbox and --zoom are required for export\n${USAGE}`);
+        }
+        const result = await TileCacheManager.exportMBTiles(store, options.file, layer, {
+          bounds,
+          zoomLevels,
+          overwrite: options.overwrite === true
+        });
+        console.log(`✅ Exported ${layer.id} to ${options.file}:`, result);
+      }
+    } finally {
+      store.close();
+    }
+  } finally {
+    tileLayers.stop();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`❌ MBTiles ${process.argv[2] || ''} failed: ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -21,7 +21,7 @@ $ABSOLUTE_DATA_DIR = (Resolve-Path $DATA_DIR).Path
 $OSRM_IMAGE = "ghcr.io/project-osrm/osrm-backend:v6.0.0"
 
 # Extract
-Write-Host "Step 1/3: Extract..." -ForegroundColor Cyan
+Write-Host "Step 1/4: Extract..." -ForegroundColor Cyan
 docker run -t -v "${ABSOLUTE_DATA_DIR}:/data" $OSRM_IMAGE osrm-extract -p /opt/car.lua /data/java-latest.osm.pbf
 if ($LASTEXITCODE -ne 0) { 
     Write-Host "Extract failed" -ForegroundColor Red
@@ -29,7 +29,7 @@ if ($LASTEXITCODE -ne 0) {
 }
 
 # Partition
-Write-Host "Step 2/3: Partition..." -ForegroundColor Cyan
+Write-Host "Step 2/4: Partition..." -ForegroundColor Cyan
 docker run -t -v "${ABSOLUTE_DATA_DIR}:/data" $OSRM_IMAGE osrm-partition /data/java-latest.osrm
 if ($LASTEXITCODE -ne 0) { 
     Write-Host "Partition failed" -ForegroundColor Red
@@ -37,15 +37,38 @@ if ($LASTEXITCODE -ne 0) {
 }
 
 # Customize
-Write-Host "Step 3/3: Customize..." -ForegroundColor Cyan
+Write-Host "Step 3/4: Customize..." -ForegroundColor Cyan
 docker run -t -v "${ABSOLUTE_DATA_DIR}:/data" $OSRM_IMAGE osrm-customize /data/java-latest.osrm
 if ($LASTEXITCODE -ne 0) { 
     Write-Host "Customize failed" -ForegroundColor Red
     exit 1 
 }
 
+# Gazetteer for the offline geocoder (/geocode, /reverse, place names in /route)
+# osmium-tool is installed on the fly unless OSMIUM_IMAGE already provides it
+Write-Host "Step 4/4: Gazetteer..." -ForegroundColor Cyan
+$OSMIUM_IMAGE = if ($env:OSMIUM_IMAGE) { $env:OSMIUM_IMAGE } else { "debian:bookworm-slim" }
+$OSMIUM_COMMAND = "(command -v osmium >/dev/null || (apt-get update -qq && apt-get install -y -qq osmium-tool >/dev/null)) && " +
+    "osmium tags-filter --overwrite -o /data/gazetteer-source.osm.pbf /data/java-latest.osm.pbf " +
+    "nwr/place nwr/railway=station,halt nwr/aeroway=aerodrome nwr/public_transport=station " +
+    "nwr/amenity nwr/tourism nwr/shop nwr/leisure nwr/office n/highway=bus_stop w/highway " +
+    "r/boundary=administrative && " +
+    "osmium export --overwrite -f geojsonseq --add-unique-id=type_id " +
+    "-o /data/gazetteer-source.geojsonseq /data/gazetteer-source.osm.pbf"
+docker run --rm -t -v "${ABSOLUTE_DATA_DIR}:/data" $OSMIUM_IMAGE sh -c $OSMIUM_COMMAND
+if ($LASTEXITCODE -eq 0) {
+    node scripts\build-gazetteer.js "$DATA_DIR\gazetteer-source.geojsonseq" "$DATA_DIR\gazetteer.jsonl"
+}
+if ($LASTEXITCODE -ne 0) {
+    # Routing data is fine; the API keeps serving the previous gazetteer
+    Write-Host "Gazetteer build failed (geocoding keeps the previous index)" -ForegroundColor Yellow
+} else {
+    Remove-Item "$DATA_DIR\gazetteer-source.osm.pbf", "$DATA_DIR\gazetteer-source.geojsonseq" -ErrorAction SilentlyContinue
+}
+
 Write-Host "OSRM processing completed successfully!" -ForegroundColor Green
 Write-Host "Files created:" -ForegroundColor Cyan
 Write-Host "- java-latest.osrm" -ForegroundColor White
 Write-Host "- java-latest.osrm.hsgr" -ForegroundColor White  
-Write-Host "- java-latest.osrm.ch" -ForegroundColor White
\ No newline at end of file
+Write-Host "- java-latest.osrm.ch" -ForegroundColor White
+Write-Host "- gazetteer.jsonl (reload with: docker-compose kill -s HUP osrm-api-1 osrm-api-2)" -ForegroundColor White
\ No newline at end of file
@@ -23,7 +23,7 @@ ABSOLUTE_DATA_DIR=$(realpath $DATA_DIR)
 OSRM_IMAGE="ghcr.io/project-osrm/osrm-backend:v6.0.0"
 
 # Extract
-echo "Step 1/3: Extract..."
+echo "Step 1/4: Extract..."
 docker run -t -v "${ABSOLUTE_DATA_DIR}:/data" $OSRM_IMAGE osrm-extract -p /opt/car.lua /data/java-latest.osm.pbf
 if [ $? -ne 0 ]; then
     echo "Extract failed"
@@ -31,7 +31,7 @@ if [ $? -ne 0 ]; then
 fi
 
 # Partition
-echo "Step 2/3: Partition..."
+echo "Step 2/4: Partition..."
 docker run -t -v "${ABSOLUTE_DATA_DIR}:/data" $OSRM_IMAGE osrm-partition /data/java-latest.osrm
 if [ $? -ne 0 ]; then
     echo "Partition failed"
@@ -39,13 +39,33 @@ if [ $? -ne 0 ]; then
 fi
 
 # Customize
-echo "Step 3/3: Customize..."
+echo "Step 3/4: Customize..."
 docker run -t -v "${ABSOLUTE_DATA_DIR}:/data" $OSRM_IMAGE osrm-customize /data/java-latest.osrm
 if [ $? -ne 0 ]; then
     echo "Customize failed"
     exit 1
 fi
 
+# Gazetteer for the offline geocoder (/geocode, /reverse, place names in /route)
+# osmium-tool is installed on the fly unless OSMIUM_IMAGE already provides it
+echo "Step 4/4: Gazetteer..."
+OSMIUM_IMAGE="${OSMIUM_IMAGE:-debian:bookworm-slim}"
+docker run --rm -t -v "${ABSOLUTE_DATA_DIR}:/data" $OSMIUM_IMAGE sh -c "
+    (command -v osmium >/dev/null || (apt-get update -qq && apt-get install -y -qq osmium-tool >/dev/null)) &&
+    osmium tags-filter --overwrite -o /data/gazetteer-source.osm.pbf /data/java-latest.osm.pbf \
+        nwr/place nwr/railway=station,halt nwr/aeroway=aerodrome nwr/public_transport=station \
+        nwr/amenity nwr/tourism nwr/shop nwr/leisure nwr/office n/highway=bus_stop w/highway \
+        r/boundary=administrative &&
+    osmium export --overwrite -f geojsonseq --add-unique-id=type_id \
+        -o /data/gazetteer-source.geojsonseq /data/gazetteer-source.osm.pbf" &&
+    node scripts/build-gazetteer.js "$DATA_DIR/gazetteer-source.geojsonseq" "$DATA_DIR/gazetteer.jsonl"
+if [ $? -ne 0 ]; then
+    # Routing data is fine; the API keeps serving the previous gazetteer
+    echo "⚠️  Gazetteer build failed (geocoding keeps the previous index)"
+else
+    rm -f "$DATA_DIR/gazetteer-source.osm.pbf" "$DATA_DIR/gazetteer-source.geojsonseq"
+fi
+
 echo "OSRM processing completed successfully!"
 
 # Clear tile cache since OSRM data has been rebuilt
@@ -62,4 +82,5 @@ echo ""
 echo "Files created:"
 echo "- java-latest.osrm"
 echo "- java-latest.osrm.hsgr"
-echo "- java-latest.osrm.ch"
\ No newline at end of file
+echo "- java-latest.osrm.ch"
+echo "- gazetteer.jsonl (reload with: docker-compose kill -s HUP osrm-api-1 osrm-api-2)"
\ No newline at end of file
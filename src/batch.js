@@ -0,0 +1,64 @@
+/**
+ * Batch Processing Helpers
+ * Runs many independent jobs with bounded concurrency and hands results
+ * back strictly in input order
+ */
+
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS) || 5000;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 4;
+
+// Promise-based semaphore limiting how many jobs run at once
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const release = () => {
+    active--;
+    if (queue.length > 0) queue.shift()();
+  };
+
+  return (job) => new Promise((resolve, reject) => {
+    const run = () => {
+      active++;
+      Promise.resolve()
+        .then(job)
+        .then(resolve, reject)
+        .finally(release);
+    };
+    if (active < concurrency) run();
+    else queue.push(run);
+  });
+}
+
+/**
+ * Run `worker(index)` for every index in [0, count) and call `onResult`
+ * in input order. Jobs never run more than `window` items ahead of the
+ * next result to emit, so buffered results stay bounded for huge batches.
+ * `onResult` may return a promise (e.g. to wait for a stream to drain);
+ * returning `false` from `shouldContinue` stops the batch early.
+ */
+async function runOrdered(count, worker, { concurrency = BATCH_CONCURRENCY, onResult, shouldContinue = () => true }) {
+  const limit = createLimiter(concurrency);
+  const window = concurrency * 4;
+  const pending = new Array(count);
+  let started = 0;
+
+  for (let i = 0; i < count; i++) {
+    while (started < count && started < i + window) {
+      const index = started++;
+      pending[index] = limit(() => worker(index));
+    }
+
+    const result = await pending[i];
+    pending[i] = null;
+
+    if (!shouldContinue()) return;
+    await onResult(result, i);
+  }
+}
+
+module.exports = {
+  BATCH_MAX_ITEMS,
+  BATCH_CONCURRENCY,
+  runOrdered
+};
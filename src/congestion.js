@@ -0,0 +1,194 @@
+/**
+ * Time-of-day Congestion Profile
+ * Rescales OSRM free-flow durations with a locally configured table of
+ * multipliers keyed by weekday, hour, road class and area polygon.
+ * The config file is versioned and reloaded automatically when it changes.
+ */
+
+const fsSync = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const ServiceArea = require('./serviceArea');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Validate the raw config and turn it into lookup-friendly rules
+function parseConfig(config) {
+  if (!config.version) {
+    throw new Error('"version" is required');
+  }
+  if (!Array.isArray(config.rules) || config.rules.length === 0) {
+    throw new Error('"rules" must be a non-empty array');
+  }
+
+  const timezone = config.timezone || 'Asia/Jakarta';
+  // Throws RangeError for unknown time zones
+  const clock = new Intl.DateTimeFormat('en-US', { timeZone: timezone, weekday: 'short', hour: 'numeric', hourCycle: 'h23' });
+
+  const areas = new Map();
+  for (const feature of config.areas?.features || []) {
+    const { type, coordinates } = feature.geometry || {};
+    if (!feature.properties?.name || !['Polygon', 'MultiPolygon'].includes(type)) {
+      throw new Error('areas must be named Polygon or MultiPolygon features');
+    }
+    areas.set(feature.properties.name, type === 'Polygon' ? [coordinates] : coordinates);
+  }
+
+  const rules = config.rules.map((rule, index) => {
+    const label = rule.name || `rules[${index}]`;
+    if (!Array.isArray(rule.factors) || rule.factors.length !== 24 ||
+        !rule.factors.every(factor => typeof factor === 'number' && factor > 0)) {
+      throw new Error(`${label}: "factors" must be 24 positive numbers, one per hour`);
+    }
+    if (rule.days && !rule.days.every(day => DAYS.includes(day))) {
+      throw new Error(`${label}: "days" must only contain ${DAYS.join(', ')}`);
+    }
+    if (rule.area && !areas.has(rule.area)) {
+      throw new Error(`${label}: unknown area "${rule.area}"`);
+    }
+    return {
+      name: label,
+      days: rule.days || null,
+      polygons: rule.area ? areas.get(rule.area) : null,
+      roadClass: rule.roadClass || null,
+      factors: rule.factors
+    };
+  });
+
+  return { version: String(config.version), timezone, clock, rules };
+}
+
+// Classes OSRM reports on the step's intersections (toll, motorway, ferry, ...)
+function stepClasses(step) {
+  const classes = new Set();
+  for (const intersection of step.intersections || []) {
+    for (const name of intersection.classes || []) classes.add(name);
+  }
+  if (step.mode === 'ferry') classes.add('ferry');
+  return classes;
+}
+
+const round = (value) => Math.round(value * 10) / 10;
+
+class CongestionProfile {
+  constructor(options = {}) {
+    this.configPath = options.configPath || path.join(__dirname, '..', 'config', 'congestion.json');
+    this.watchInterval = options.watchInterval || 10000; // 10 seconds
+    this.table = null;
+    this.loadedAt = null;
+    this.load();
+
+    // Pick up edits to the config file without a restart
+    fsSync.watchFile(this.configPath, { interval: this.watchInterval }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) this.load();
+    });
+  }
+
+  // (Re)load the config; a broken file keeps the previous table in service
+  load() {
+    try {
+      const table = parseConfig(JSON.parse(fsSync.readFileSync(this.configPath, 'utf8')));
+      const previousVersion = this.table?.version;
+      this.table = table;
+      this.loadedAt = new Date().toISOString();
+      logger.info(`Congestion profile ${table.version} loaded (${table.rules.length} rules)` +
+        (previousVersion ? `, replacing ${previousVersion}` : ''));
+      return true;
+    } catch (error) {
+      logger.warn(`Could not load congestion profile from ${this.configPath}: ${error.message}` +
+        (this.table ? ` (keeping version ${this.table.version})` : ''));
+      return false;
+    }
+  }
+
+  stop() {
+    fsSync.unwatchFile(this.configPath);
+  }
+
+  getStatus() {
+    return {
+      enabled: this.table !== null,
+      version: this.table?.version || null,
+      timezone: this.table?.timezone || null,
+      rules: this.table?.rules.length || 0,
+      loadedAt: this.loadedAt
+    };
+  }
+
+  // Multiplier for travel starting at `time` (ms) at `location`, on roads with `classes`
+  getFactor(time, location, classes) {
+    if (!this.table) return 1;
+
+    const parts = this.table.clock.formatToParts(new Date(time));
+    const day = parts.find(part => part.type === 'weekday').value.toLowerCase();
+    const hour = parseInt(parts.find(part => part.type === 'hour').value) % 24;
+
+    const rule = this.table.rules.find(candidate =>
+      (!candidate.days || candidate.days.includes(day)) &&
+      (!candidate.roadClass || classes.has(candidate.roadClass)) &&
+      (!candidate.polygons || (location &&
+        candidate.polygons.some(rings => ServiceArea.containsPoint(rings, location[0], location[1]))))
+    );
+    return rule ? rule.factors[hour] : 1;
+  }
+
+  /**
+   * Return a copy of an OSRM route response with `duration_adjusted` on every
+   * route, leg and step, walking the clock forward from `departAt` so long
+   * trips move through the hourly factors. Raw `duration` values are kept.
+   */
+  adjust(data, departAt) {
+    const result = structuredClone(data);
+    const start = departAt.getTime();
+
+    for (const route of result.routes || []) {
+      let clock = start;
+
+      (route.legs || []).forEach((leg, legIndex) => {
+        let legDuration;
+
+        if (leg.steps?.length > 0) {
+          // Leg total = raw leg duration plus the delay added on each step
+          let delay = 0;
+          let stepClock = clock;
+          for (const step of leg.steps) {
+            const duration = step.duration * this.getFactor(stepClock, step.maneuver?.location, stepClasses(step));
+            step.duration_adjusted = round(duration);
+            delay += duration - step.duration;
+            stepClock += duration * 1000;
+          }
+          legDuration = leg.duration + delay;
+        } else {
+          // Without steps, the whole leg takes the factor at its start
+          const location = result.waypoints?.[legIndex]?.location;
+          legDuration = leg.duration * this.getFactor(clock, location, new Set());
+        }
+
+        leg.duration_adjusted = round(legDuration);
+        clock += legDuration * 1000;
+      });
+
+      route.duration_adjusted = round((clock - start) / 1000);
+    }
+
+    return result;
+  }
+
+  // Raw vs adjusted ETA summary for the primary route of an adjusted response
+  describeEta(data, departAt) {
+    const route = data.routes?.[0];
+    if (!route) return null;
+
+    const arrival = (seconds) => new Date(departAt.getTime() + seconds * 1000).toISOString();
+    return {
+      departAt: departAt.toISOString(),
+      timezone: this.table?.timezone || null,
+      congestionVersion: this.table?.version || null,
+      raw: { duration: route.duration, arrival: arrival(route.duration) },
+      adjusted: { duration: route.duration_adjusted, arrival: arrival(route.duration_adjusted) },
+      factor: route.duration > 0 ? Math.round((route.duration_adjusted / route.duration) * 100) / 100 : 1
+    };
+  }
+}
+
+module.exports = CongestionProfile;
@@ -0,0 +1,243 @@
+/**
+ * Directory Tile Store
+ * One file per tile under cache/tiles/{layer}/{z}/{x}/{y}.{format} plus a JSON
+ * metadata file under cache/metadata. The legacy layer has no {layer} level, which
+ * is the layout CACHE-MANAGER.sh reads and writes.
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const TileLayerRegistry = require('./tileLayers');
+
+const TILE_EXTENSION = /\.(png|jpg|webp)$/;
+
+// Max-heap on accessedAt: heap[0] is the most recently used of the entries kept
+function heapPush(heap, entry) {
+  heap.push(entry);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent].accessedAt >= heap[i].accessedAt) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+function heapReplaceTop(heap, entry) {
+  heap[0] = entry;
+  let i = 0;
+  for (;;) {
+    const left = 2 * i + 1;
+    const right = left + 1;
+    let largest = i;
+    if (left < heap.length && heap[left].accessedAt > heap[largest].accessedAt) largest = left;
+    if (right < heap.length && heap[right].accessedAt > heap[largest].accessedAt) largest = right;
+    if (largest === i) break;
+    [heap[largest], heap[i]] = [heap[i], heap[largest]];
+    i = largest;
+  }
+}
+
+class DirectoryTileStore {
+  constructor(options = {}) {
+    this.cacheDir = options.cacheDir || './cache';
+    this.tilesDir = path.join(this.cacheDir, 'tiles');
+    this.metadataDir = path.join(this.cacheDir, 'metadata');
+  }
+
+  tilePath(layer, z, x, y) {
+    return path.join(this.tilesDir, layer.namespace, String(z), String(x), `${y}.${layer.format}`);
+  }
+
+  metadataPath(layer, z, x, y) {
+    return path.join(this.metadataDir, layer.namespace, String(z), String(x), `${y}.json`);
+  }
+
+  // A tile counts as cached when both its file and its metadata exist
+  async has(layer, z, x, y) {
+    try {
+      await Promise.all([fs.access(this.tilePath(layer, z, x, y)), fs.access(this.metadataPath(layer, z, x, y))]);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // { tile, metadata, modifiedAt } or null; tiles from CACHE-MANAGER.sh have no timestamp, their file time is used
+  async get(layer, z, x, y) {
+    try {
+      const tilePath = this.tilePath(layer, z, x, y);
+      const [tile, metadata, stat] = await Promise.all([
+        fs.readFile(tilePath),
+        fs.readFile(this.metadataPath(layer, z, x, y), 'utf8').then(JSON.parse),
+        fs.stat(tilePath)
+      ]);
+      return { tile, metadata, modifiedAt: metadata.timestamp || stat.mtimeMs };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async put(layer, z, x, y, tile, metadata) {
+    return this.putMany(layer, [{ z, x, y, tile, metadata }]);
+  }
+
+  // Tiles are written to a temp file and renamed, so readers never see a half-written tile
+  async putMany(layer, tiles) {
+    for (const { z, x, y, tile, metadata } of tiles) {
+      const tilePath = this.tilePath(layer, z, x, y);
+      const metaPath = this.metadataPath(layer, z, x, y);
+      await fs.mkdir(path.dirname(tilePath), { recursive: true });
+      await fs.mkdir(path.dirname(metaPath), { recursive: true });
+
+      const tempPath = `${tilePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, tile);
+      await fs.rename(tempPath, tilePath);
+      await fs.writeFile(metaPath, JSON.stringify(metadata, null, 2));
+    }
+  }
+
+  async delete(layer, z, x, y) {
+    await fs.unlink(this.tilePath(layer, z, x, y)).catch(() => {});
+    await fs.unlink(this.metadataPath(layer, z, x, y)).catch(() => {});
+  }
+
+  // Record a hit in the file's atime, the LRU clock for eviction (explicit utimes also works on noatime mounts)
+  touch(layer, z, x, y, modifiedAt) {
+    fs.utimes(this.tilePath(layer, z, x, y), new Date(), new Date(modifiedAt)).catch(() => {});
+  }
+
+  // Every cached tile across all layer namespaces: { layer, z, x, y, size, accessedAt, modifiedAt, path }
+  async *entries() {
+    if (!fsSync.existsSync(this.tilesDir)) {
+      return;
+    }
+
+    // Zoom directories at the top level belong to the legacy layer, other directories are layer namespaces
+    const namespaces = [{ layer: TileLayerRegistry.LEGACY_LAYER, namespace: '' }];
+    for (const entry of await fs.readdir(this.tilesDir)) {
+      if (isNaN(parseInt(entry)) && (await fs.stat(path.join(this.tilesDir, entry))).isDirectory()) {
+        namespaces.push({ layer: entry, namespace: entry });
+      }
+    }
+
+    for (const { layer, namespace } of namespaces) {
+      const dir = path.join(this.tilesDir, namespace);
+
+      for (const zoomDir of await fs.readdir(dir)) {
+        const z = parseInt(zoomDir);
+        if (isNaN(z)) continue;
+
+        const zoomPath = path.join(dir, zoomDir);
+        if (!(await fs.stat(zoomPath)).isDirectory()) continue;
+
+        for (const xDir of await fs.readdir(zoomPath)) {
+          const xPath = path.join(zoomPath, xDir);
+          if (!(await fs.stat(xPath)).isDirectory()) continue;
+
+          for (const yFile of await fs.readdir(xPath)) {
+            if (!TILE_EXTENSION.test(yFile)) continue;
+
+            const filePath = path.join(xPath, yFile);
+            const stat = await fs.stat(filePath).catch(() => null);
+            if (!stat) continue; // removed while walking
+
+            yield {
+              layer,
+              z,
+              x: parseInt(xDir),
+              y: parseInt(yFile),
+              size: stat.size,
+              accessedAt: stat.atimeMs,
+              modifiedAt: stat.mtimeMs,
+              path: filePath.replace(this.cacheDir, ''),
+              filePath,
+              metaPath: path.join(this.metadataDir, namespace, zoomDir, xDir, yFile.replace(TILE_EXTENSION, '.json'))
+            };
+          }
+        }
+      }
+    }
+  }
+
+  // The `limit` least recently used tiles above `pinnedMaxZoom`, oldest first.
+  // Walks every file but only holds `limit` entries, in a max-heap on the access time.
+  async leastRecentlyUsed(limit, pinnedMaxZoom = -1) {
+    const heap = [];
+    for await (const entry of this.entries()) {
+      if (entry.z <= pinnedMaxZoom) continue;
+      if (heap.length < limit) {
+        heapPush(heap, entry);
+      } else if (limit > 0 && entry.accessedAt < heap[0].accessedAt) {
+        heapReplaceTop(heap, entry);
+      }
+    }
+    return heap.sort((a, b) => a.accessedAt - b.accessedAt);
+  }
+
+  // Remove an entry yielded by entries(); false when it was already gone
+  async deleteEntry(entry) {
+    try {
+      await fs.unlink(entry.filePath);
+      await fs.unlink(entry.metaPath).catch(() => {});
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Bytes on disk, null as only walking entries() can tell
+  async size() {
+    return null;
+  }
+
+  // Deleted files free their space right away
+  compact() {}
+
+  // Totals per zoom and layer (walks every file, slow for large caches)
+  async getStatistics() {
+    const stats = {
+      totalTiles: 0,
+      totalSize: 0,
+      zoomLevels: {},
+      layers: {},
+      oldestTile: null,
+      newestTile: null
+    };
+
+    for await (const { layer, z, size, modifiedAt, path: tilePath } of this.entries()) {
+      stats.totalTiles++;
+      stats.totalSize += size;
+      stats.zoomLevels[z] = (stats.zoomLevels[z] || 0) + 1;
+      stats.layers[layer] = stats.layers[layer] || { tiles: 0, size: 0 };
+      stats.layers[layer].tiles++;
+      stats.layers[layer].size += size;
+
+      // Track oldest/newest tiles
+      if (!stats.oldestTile || modifiedAt < stats.oldestTile.time) {
+        stats.oldestTile = { time: modifiedAt, path: tilePath };
+      }
+      if (!stats.newestTile || modifiedAt > stats.newestTile.time) {
+        stats.newestTile = { time: modifiedAt, path: tilePath };
+      }
+    }
+    return stats;
+  }
+
+  // Remove every tile (metadata files are left to be overwritten)
+  clear() {
+    if (fsSync.existsSync(this.tilesDir)) {
+      fsSync.rmSync(this.tilesDir, { recursive: true, force: true });
+      fsSync.mkdirSync(this.tilesDir, { recursive: true });
+    }
+  }
+
+  describe() {
+    return { type: 'directory', path: this.tilesDir };
+  }
+
+  close() {}
+}
+
+module.exports = DirectoryTileStore;
@@ -0,0 +1,187 @@
+/**
+ * API Error Model
+ * Stable machine-readable error codes, mapping of OSRM failures onto HTTP
+ * statuses and the error envelope shared by every endpoint
+ */
+
+const crypto = require('crypto');
+const { OsrmUnavailableError } = require('./osrmClient');
+
+// Error code -> HTTP status and short human-readable title
+const ERRORS = {
+  VALIDATION_FAILED: { status: 400, title: 'Validation failed' },
+  INVALID_VALUE: { status: 400, title: 'Invalid request value' },
+  INVALID_OPTIONS: { status: 400, title: 'Invalid request options' },
+  UNAUTHORIZED: { status: 401, title: 'Authentication required' },
+  FORBIDDEN: { status: 403, title: 'Forbidden' },
+  NOT_FOUND: { status: 404, title: 'Not found' },
+  NO_ROUTE: { status: 404, title: 'No route found' },
+  NO_TRIPS: { status: 404, title: 'No trip found' },
+  NO_TABLE: { status: 404, title: 'No matrix found' },
+  NO_MATCH: { status: 404, title: 'Trace could not be matched to the road network' },
+  CONFLICT: { status: 409, title: 'Conflict with the current state' },
+  TOO_BIG: { status: 413, title: 'Request too big' },
+  NO_SEGMENT: { status: 422, title: 'No road found near waypoint' },
+  OUTSIDE_SERVICE_AREA: { status: 422, title: 'Outside service area' },
+  PLACE_NOT_FOUND: { status: 422, title: 'Place not found' },
+  RATE_LIMITED: { status: 429, title: 'Rate limit exceeded' },
+  INTERNAL_ERROR: { status: 500, title: 'Internal server error' },
+  OSRM_ERROR: { status: 502, title: 'Routing backend error' },
+  OSRM_UNAVAILABLE: { status: 503, title: 'Routing backend unavailable' },
+  GEOCODER_UNAVAILABLE: { status: 503, title: 'Geocoder unavailable' },
+  OSRM_TIMEOUT: { status: 504, title: 'Routing backend timed out' }
+};
+
+// OSRM response codes (http://project-osrm.org/docs/v5.24.0/api/#responses)
+const OSRM_CODES = {
+  NoRoute: 'NO_ROUTE',
+  NoTrips: 'NO_TRIPS',
+  NoTable: 'NO_TABLE',
+  NoMatch: 'NO_MATCH',
+  NoSegment: 'NO_SEGMENT',
+  TooBig: 'TOO_BIG',
+  InvalidValue: 'INVALID_VALUE',
+  InvalidOptions: 'INVALID_OPTIONS',
+  InvalidQuery: 'INVALID_VALUE',
+  InvalidUrl: 'INVALID_VALUE',
+  InvalidService: 'INVALID_VALUE',
+  InvalidVersion: 'INVALID_VALUE',
+  DisabledDataset: 'OSRM_UNAVAILABLE'
+};
+
+// OSRM query parameters that may be named in its error messages
+const OSRM_PARAMETERS = [
+  'coordinates', 'bearings', 'radiuses', 'approaches', 'hints', 'exclude', 'annotations',
+  'timestamps', 'sources', 'destinations', 'alternatives', 'steps', 'geometries', 'overview',
+  'continue_straight', 'snapping', 'gaps', 'tidy'
+];
+
+class ApiError extends Error {
+  /**
+   * @param {string} code Key of ERRORS
+   * @param {string} message Detail safe to show to API clients
+   * @param {Object} fields Extra envelope fields (param, waypointIndex, details, ...)
+   */
+  constructor(code, message, fields = {}) {
+    super(message || ERRORS[code].title);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = ERRORS[code].status;
+    this.fields = fields;
+  }
+}
+
+// Index of the waypoint an OSRM message refers to, in the caller's numbering
+function coordinateIndex(error, message) {
+  const match = /coordinate (\d+)/i.exec(message);
+  if (!match) return undefined;
+
+  const index = parseInt(match[1]);
+  // Chunked requests record how their coordinates map back onto the input
+  if (error.coordinateIndices) return error.coordinateIndices[index];
+  return index + (error.coordinateOffset || 0);
+}
+
+/**
+ * Normalise anything thrown by a handler into an ApiError: OSRM error
+ * responses keep their meaning, transport failures become 502/503/504 and
+ * everything else is an opaque 500 (with the real message in development).
+ */
+function toApiError(error) {
+  if (error instanceof ApiError) return error;
+
+  if (error instanceof OsrmUnavailableError) {
+    return new ApiError('OSRM_UNAVAILABLE', error.message);
+  }
+
+  const data = error.response?.data;
+  if (data?.code && OSRM_CODES[data.code]) {
+    const message = data.message || ERRORS[OSRM_CODES[data.code]].title;
+    const param = OSRM_PARAMETERS.find(name => new RegExp(`\\b${name}\\b`, 'i').test(message));
+    return new ApiError(OSRM_CODES[data.code], message, {
+      osrmCode: data.code,
+      param,
+      waypointIndex: coordinateIndex(error, message)
+    });
+  }
+
+  if (error.isAxiosError) {
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return new ApiError('OSRM_TIMEOUT', 'The routing backend did not respond in time');
+    }
+    return new ApiError('OSRM_ERROR', error.response
+      ? `The routing backend responded with HTTP ${error.response.status}`
+      : 'The routing backend could not be reached');
+  }
+
+  return new ApiError(
+    'INTERNAL_ERROR',
+    process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  );
+}
+
+/**
+ * Error envelope fields, without request-level metadata. `title` replaces
+ * the generic title of unexpected errors (e.g. "Failed to calculate route").
+ */
+function errorBody(error, title) {
+  const apiError = toApiError(error);
+  const fields = Object.fromEntries(Object.entries(apiError.fields).filter(([, value]) => value !== undefined));
+
+  return {
+    success: false,
+    error: apiError.code === 'INTERNAL_ERROR' && title ? title : ERRORS[apiError.code].title,
+    code: apiError.code,
+    message: apiError.message,
+    ...fields
+  };
+}
+
+/**
+ * Send the standard error envelope with the matching HTTP status.
+ * @returns {ApiError} The normalised error, e.g. for logging
+ */
+function sendError(req, res, error, { title, startTime } = {}) {
+  const apiError = toApiError(error);
+
+  if (apiError.status === 503) {
+    res.set('Retry-After', '30');
+  }
+
+  res.status(apiError.status).json({
+    ...errorBody(apiError, title),
+    requestId: req.id,
+    ...(startTime ? { responseTime: `${Date.now() - startTime}ms` } : {})
+  });
+  return apiError;
+}
+
+// Build an ApiError for failed field validation, pointing at the first offending field
+function validationError(details) {
+  const first = details[0] || {};
+  const waypoint = /^waypoints\[(\d+)\]/.exec(first.path || '');
+
+  return new ApiError('VALIDATION_FAILED', first.msg, {
+    param: first.path,
+    waypointIndex: waypoint ? parseInt(waypoint[1]) : undefined,
+    details
+  });
+}
+
+// Tag every request with an ID (honouring a sane incoming X-Request-Id from nginx)
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+module.exports = {
+  ERRORS,
+  ApiError,
+  toApiError,
+  errorBody,
+  sendError,
+  validationError,
+  requestId
+};
@@ -0,0 +1,411 @@
+/**
+ * Offline Geocoder
+ * Forward (name -> coordinate) and reverse (coordinate -> address) lookups
+ * against the local gazetteer built from the Java PBF by
+ * scripts/build-gazetteer.js. No external geocoding service is used.
+ */
+
+const fsSync = require('fs');
+const path = require('path');
+const readline = require('readline');
+const logger = require('./logger');
+
+const GEOCODE_MAX_RESULTS = parseInt(process.env.GEOCODE_MAX_RESULTS) || 20;
+const REVERSE_MAX_RADIUS = parseInt(process.env.REVERSE_MAX_RADIUS) || 5000; // meters
+
+// Common Indonesian abbreviations typed by operators
+const ABBREVIATIONS = {
+  jl: 'jalan',
+  jln: 'jalan',
+  gg: 'gang',
+  kel: 'kelurahan',
+  kec: 'kecamatan',
+  kab: 'kabupaten',
+  kp: 'kampung',
+  ds: 'desa',
+  stn: 'stasiun',
+  st: 'stasiun',
+  rs: 'rumah sakit'
+};
+
+// How prominent each kind of place is, used to break ties between similar names
+const TYPE_RANKS = {
+  'boundary=province': 1,
+  'boundary=city': 0.95,
+  'place=city': 0.95,
+  'place=town': 0.9,
+  'boundary=district': 0.85,
+  'aeroway=aerodrome': 0.85,
+  'railway=station': 0.8,
+  'boundary=village': 0.8,
+  'place=village': 0.75,
+  'place=suburb': 0.75,
+  'public_transport=station': 0.7,
+  'place=quarter': 0.65,
+  'place=neighbourhood': 0.6,
+  'place=hamlet': 0.55
+};
+const DEFAULT_RANK = 0.5;
+// Words like "Kelurahan Pasir Kaliki" that OSM usually leaves out of the name
+const DESIGNATORS = new Set(['kelurahan', 'desa', 'kecamatan', 'kabupaten', 'kota', 'kampung']);
+const ADDRESS_PARTS = ['village', 'district', 'city', 'province'];
+
+const GRID_SIZE = 0.01; // degrees (~1.1 km) per reverse lookup cell
+const MAX_CELL_RANGE = 50; // reverse lookup cells scanned each way, bounds the work near the poles
+const MAX_PREFIX_TOKENS = 500;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+function distanceMeters(lon1, lat1, lon2, lat2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371008.8 * Math.asin(Math.sqrt(a));
+}
+
+// Lowercase, strip diacritics and punctuation, expand abbreviations
+function tokenize(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .flatMap(token => (ABBREVIATIONS[token] || token).split(' '));
+}
+
+// Levenshtein distance, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// "Name, street, village, district, city, province" without repeats
+function displayName(entry) {
+  const street = entry.address.street && entry.address.housenumber
+    ? `${entry.address.street} ${entry.address.housenumber}`
+    : entry.address.street;
+  const parts = [entry.name, street, ...ADDRESS_PARTS.map(part => entry.address[part])];
+  return [...new Set(parts.filter(Boolean))].join(', ');
+}
+
+class Geocoder {
+  static MAX_RESULTS = GEOCODE_MAX_RESULTS;
+  static MAX_RADIUS = REVERSE_MAX_RADIUS;
+
+  constructor(options = {}) {
+    this.dataPath = options.dataPath || path.join(__dirname, '..', 'data', 'gazetteer.jsonl');
+    this.index = null;
+    this.loadedAt = null;
+    this.loading = null;
+    this.lastError = null;
+  }
+
+  /**
+   * (Re)build the in-memory index from the gazetteer file. Runs in the
+   * background; lookups keep using the previous index until it finishes,
+   * and a missing or broken file keeps the previous index in service.
+   */
+  load() {
+    if (this.loading) return this.loading;
+
+    this.loading = this.readIndex()
+      .then(index => {
+        const previous = this.index;
+        this.index = index;
+        this.loadedAt = new Date().toISOString();
+        this.lastError = null;
+        logger.info(`Gazetteer loaded: ${index.entries.length} entries, ${index.tokens.length} tokens` +
+          (previous ? ` (replacing ${previous.entries.length} entries)` : ''));
+        return true;
+      })
+      .catch(error => {
+        this.lastError = error.message;
+        logger.warn(`Could not load gazetteer from ${this.dataPath}: ${error.message}` +
+          (this.index ? ' (keeping the previous index)' : '; /geocode and /reverse are unavailable'));
+        return false;
+      })
+      .finally(() => {
+        this.loading = null;
+      });
+
+    return this.loading;
+  }
+
+  async readIndex() {
+    await fsSync.promises.access(this.dataPath, fsSync.constants.R_OK);
+
+    const index = {
+      meta: null,
+      entries: [],
+      tokens: [],
+      tokenIds: new Map(),
+      postings: [],
+      grid: new Map()
+    };
+
+    const tokenId = (token) => {
+      let id = index.tokenIds.get(token);
+      if (id === undefined) {
+        id = index.tokens.push(token) - 1;
+        index.tokenIds.set(token, id);
+        index.postings.push([]);
+      }
+      return id;
+    };
+
+    const lines = readline.createInterface({ input: fsSync.createReadStream(this.dataPath), crlfDelay: Infinity });
+    let lineNumber = 0;
+
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`line ${lineNumber}: ${error.message}`);
+      }
+
+      if (record.gazetteer) {
+        index.meta = record;
+        continue;
+      }
+      if (!record.name || !Number.isFinite(record.lon) || !Number.isFinite(record.lat)) continue;
+
+      const entryIndex = index.entries.length;
+      const names = [record.name, ...(record.alt || [])];
+      const nameTokens = names.map(name => [...new Set(tokenize(name).map(tokenId))]);
+      for (const id of new Set(nameTokens.flat())) {
+        index.postings[id].push(entryIndex);
+      }
+
+      index.entries.push({
+        id: record.id || null,
+        name: record.name,
+        alt: record.alt || [],
+        type: record.type || null,
+        lon: record.lon,
+        lat: record.lat,
+        address: record.address || {},
+        rank: TYPE_RANKS[record.type] || DEFAULT_RANK,
+        nameTokens
+      });
+
+      // Boundary anchors are only approximate centres, so reverse lookups skip them
+      if (!record.type?.startsWith('boundary=')) {
+        const key = `${Math.floor(record.lon / GRID_SIZE)},${Math.floor(record.lat / GRID_SIZE)}`;
+        if (!index.grid.has(key)) index.grid.set(key, []);
+        index.grid.get(key).push(entryIndex);
+      }
+    }
+
+    if (index.entries.length === 0) {
+      throw new Error('no entries found');
+    }
+
+    // Token ids sorted alphabetically for prefix lookups
+    index.sortedTokens = index.tokens.map((_, id) => id)
+      .sort((a, b) => (index.tokens[a] < index.tokens[b] ? -1 : index.tokens[a] > index.tokens[b] ? 1 : 0));
+
+    return index;
+  }
+
+  isReady() {
+    return this.index !== null;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.index !== null,
+      loading: this.loading !== null,
+      entries: this.index?.entries.length || 0,
+      source: this.index?.meta?.source || null,
+      generatedAt: this.index?.meta?.generatedAt || null,
+      loadedAt: this.loadedAt,
+      lastError: this.lastError
+    };
+  }
+
+  // Vocabulary tokens matching one query token: token id -> weight (1 exact, 0.9 prefix, <=0.7 fuzzy)
+  matchToken(token) {
+    const { tokens, tokenIds, sortedTokens } = this.index;
+    const matches = new Map();
+
+    const exact = tokenIds.get(token);
+    if (exact !== undefined) matches.set(exact, 1);
+
+    // Prefix: binary search for the first token >= query token
+    if (token.length >= 2) {
+      let low = 0;
+      let high = sortedTokens.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (tokens[sortedTokens[mid]] < token) low = mid + 1;
+        else high = mid;
+      }
+      for (let i = low; i < sortedTokens.length && i < low + MAX_PREFIX_TOKENS; i++) {
+        const id = sortedTokens[i];
+        if (!tokens[id].startsWith(token)) break;
+        if (!matches.has(id)) matches.set(id, 0.9);
+      }
+    }
+
+    // Fuzzy: tolerate typos in longer words ("stasion", "bandng")
+    if (matches.size === 0 && token.length >= 4) {
+      const maxEdits = token.length <= 6 ? 1 : 2;
+      tokens.forEach((candidate, id) => {
+        const edits = editDistance(token, candidate, maxEdits);
+        if (edits <= maxEdits) matches.set(id, edits === 1 ? 0.7 : 0.5);
+      });
+    }
+
+    return matches;
+  }
+
+  /**
+   * Forward geocoding with prefix and fuzzy matching.
+   * Every query word must match a word of the same name (or alternative name).
+   * @param {string} text
+   * @param {{ limit?: number, near?: [number, number] }} options Optional proximity bias
+   * @returns {Array} Best matches first
+   */
+  search(text, { limit = 5, near = null } = {}) {
+    if (!this.index) return [];
+
+    const queryTokens = [...new Set(tokenize(text))];
+    if (queryTokens.length === 0) return [];
+
+    // Designators may be missing from the name, unless the query is nothing else
+    const optional = queryTokens.map(token => DESIGNATORS.has(token));
+    if (optional.every(Boolean)) optional.fill(false);
+
+    const matches = queryTokens.map(token => this.matchToken(token));
+    if (matches.some((tokenMatches, i) => tokenMatches.size === 0 && !optional[i])) return [];
+
+    // Candidates come from the most selective required query word
+    const postingSize = (tokenMatches) => [...tokenMatches.keys()]
+      .reduce((sum, id) => sum + this.index.postings[id].length, 0);
+    const rarest = matches.filter((_, i) => !optional[i]).reduce((best, tokenMatches) =>
+      (postingSize(tokenMatches) < postingSize(best) ? tokenMatches : best));
+    const candidates = new Set();
+    for (const id of rarest.keys()) {
+      for (const entryIndex of this.index.postings[id]) candidates.add(entryIndex);
+    }
+
+    const results = [];
+    for (const entryIndex of candidates) {
+      const entry = this.index.entries[entryIndex];
+      let textScore = 0;
+
+      for (const nameTokens of entry.nameTokens) {
+        let sum = 0;
+        let matched = 0;
+        let skipped = 0;
+        for (const [i, tokenMatches] of matches.entries()) {
+          const best = Math.max(0, ...nameTokens.map(id => tokenMatches.get(id) || 0));
+          if (best === 0 && !optional[i]) {
+            sum = -1;
+            break;
+          }
+          sum += best;
+          if (best > 0) matched++;
+          else skipped++;
+        }
+        if (sum < 0) continue;
+
+        // Prefer names fully covered by the query ("Bandung" over "Bandung Barat")
+        const coverage = Math.min(1, matched / nameTokens.length);
+        const nameScore = (sum / matched) * (0.7 + 0.3 * coverage) * 0.95 ** skipped;
+        textScore = Math.max(textScore, nameScore);
+      }
+      if (textScore === 0) continue;
+
+      let score = textScore * 0.8 + entry.rank * 0.2;
+      let distance;
+      if (near) {
+        distance = distanceMeters(near[0], near[1], entry.lon, entry.lat);
+        score += 0.2 * Math.exp(-distance / 20000);
+      }
+      results.push({ entry, score, distance });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, Math.min(limit, GEOCODE_MAX_RESULTS))
+      .map(({ entry, score, distance }) => this.format(entry, {
+        score: Math.round(score * 1000) / 1000,
+        distance: distance !== undefined ? Math.round(distance) : undefined
+      }));
+  }
+
+  /**
+   * Reverse geocoding: nearest gazetteer entries within `radius` meters.
+   * Results that aren't streets get the nearest street filled into their address.
+   */
+  reverse(lon, lat, { radius = 1000, limit = 1 } = {}) {
+    if (!this.index) return [];
+
+    const searchRadius = Math.min(radius, REVERSE_MAX_RADIUS);
+    // A degree of longitude shrinks towards the poles, where cos(lat) reaches 0
+    const rangeY = Math.min(Math.ceil(searchRadius / (111320 * GRID_SIZE)), MAX_CELL_RANGE);
+    const rangeX = Math.min(Math.ceil(searchRadius / (111320 * Math.max(Math.cos(toRadians(lat)), 0.01) * GRID_SIZE)), MAX_CELL_RANGE);
+    const cellX = Math.floor(lon / GRID_SIZE);
+    const cellY = Math.floor(lat / GRID_SIZE);
+
+    const nearby = [];
+    for (let x = cellX - rangeX; x <= cellX + rangeX; x++) {
+      for (let y = cellY - rangeY; y <= cellY + rangeY; y++) {
+        for (const entryIndex of this.index.grid.get(`${x},${y}`) || []) {
+          const entry = this.index.entries[entryIndex];
+          const distance = distanceMeters(lon, lat, entry.lon, entry.lat);
+          if (distance <= searchRadius) nearby.push({ entry, distance });
+        }
+      }
+    }
+    nearby.sort((a, b) => a.distance - b.distance);
+
+    const nearestStreet = nearby.find(({ entry }) => entry.type?.startsWith('highway='))?.entry;
+
+    return nearby.slice(0, Math.min(limit, GEOCODE_MAX_RESULTS)).map(({ entry, distance }) => {
+      const isStreet = entry.type?.startsWith('highway=');
+      const address = !isStreet && !entry.address.street && nearestStreet
+        ? { ...entry.address, street: nearestStreet.name }
+        : entry.address;
+      return this.format({ ...entry, address }, { distance: Math.round(distance) });
+    });
+  }
+
+  // Public shape of one result
+  format(entry, extra = {}) {
+    return {
+      id: entry.id,
+      name: entry.name,
+      type: entry.type,
+      location: [entry.lon, entry.lat],
+      address: entry.address,
+      displayName: displayName(entry),
+      ...extra
+    };
+  }
+}
+
+module.exports = Geocoder;
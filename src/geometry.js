@@ -0,0 +1,163 @@
+/**
+ * Route Geometry Helpers
+ * Polyline/polyline6 encoding and Douglas-Peucker simplification, used to
+ * re-encode or thin out OSRM geometries before they are sent to clients
+ */
+
+const GEOMETRIES = ['geojson', 'polyline', 'polyline6'];
+const OVERVIEWS = ['simplified', 'full', 'false'];
+const PRECISION = { polyline: 5, polyline6: 6 };
+
+/**
+ * Encode [lon, lat] coordinates as a Google encoded polyline
+ * (precision 5 for "polyline", 6 for "polyline6").
+ */
+function encodePolyline(coordinates, precision = 5) {
+  const factor = 10 ** precision;
+  let output = '';
+  let prevLat = 0;
+  let prevLon = 0;
+
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    while (v >= 0x20) {
+      output += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    output += String.fromCharCode(v + 63);
+  };
+
+  for (const [lon, lat] of coordinates) {
+    const latValue = Math.round(lat * factor);
+    const lonValue = Math.round(lon * factor);
+    encodeValue(latValue - prevLat);
+    encodeValue(lonValue - prevLon);
+    prevLat = latValue;
+    prevLon = lonValue;
+  }
+
+  return output;
+}
+
+// Decode an encoded polyline back into [lon, lat] coordinates
+function decodePolyline(encoded, precision = 5) {
+  const factor = 10 ** precision;
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lon = 0;
+
+  const decodeValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += decodeValue();
+    lon += decodeValue();
+    coordinates.push([lon / factor, lat / factor]);
+  }
+
+  return coordinates;
+}
+
+/**
+ * Douglas-Peucker simplification with a tolerance in meters. Coordinates are
+ * projected onto a local equirectangular plane, which is accurate enough at
+ * route scale. Iterative, so very long routes don't overflow the stack.
+ */
+function simplifyLine(coordinates, toleranceMeters) {
+  if (coordinates.length <= 2 || !(toleranceMeters > 0)) return coordinates;
+
+  const lat0 = coordinates[0][1] * Math.PI / 180;
+  const points = coordinates.map(([lon, lat]) => [lon * 111320 * Math.cos(lat0), lat * 110540]);
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+
+  const squaredTolerance = toleranceMeters * toleranceMeters;
+  const stack = [[0, points.length - 1]];
+
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    const [ax, ay] = points[first];
+    const [bx, by] = points[last];
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+
+    let maxDistance = 0;
+    let maxIndex = -1;
+    for (let i = first + 1; i < last; i++) {
+      const [px, py] = points[i];
+      // Squared distance from the point to segment a-b
+      let t = lengthSquared > 0 ? ((px - ax) * dx + (py - ay) * dy) / lengthSquared : 0;
+      t = Math.max(0, Math.min(1, t));
+      const ex = px - (ax + t * dx);
+      const ey = py - (ay + t * dy);
+      const distance = ex * ex + ey * ey;
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        maxIndex = i;
+      }
+    }
+
+    if (maxIndex !== -1 && maxDistance > squaredTolerance) {
+      keep[maxIndex] = 1;
+      stack.push([first, maxIndex], [maxIndex, last]);
+    }
+  }
+
+  return coordinates.filter((_, i) => keep[i]);
+}
+
+// Simplify and/or encode one GeoJSON LineString geometry
+function shapeLine(geometry, { tolerance, geometries }) {
+  if (!geometry || geometry.type !== 'LineString') return geometry;
+
+  const coordinates = tolerance ? simplifyLine(geometry.coordinates, tolerance) : geometry.coordinates;
+  if (geometries === 'polyline' || geometries === 'polyline6') {
+    return encodePolyline(coordinates, PRECISION[geometries]);
+  }
+  return { type: 'LineString', coordinates };
+}
+
+/**
+ * Return a copy of an OSRM route response (requested with geometries=geojson)
+ * whose route and step geometries are simplified within `tolerance` meters
+ * and encoded as `geometries`.
+ */
+function shapeGeometries(data, { tolerance, geometries = 'geojson' }) {
+  const result = structuredClone(data);
+
+  for (const route of result.routes || []) {
+    if (route.geometry) {
+      route.geometry = shapeLine(route.geometry, { tolerance, geometries });
+    }
+    for (const leg of route.legs || []) {
+      for (const step of leg.steps || []) {
+        if (step.geometry) {
+          step.geometry = shapeLine(step.geometry, { tolerance, geometries });
+        }
+      }
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  GEOMETRIES,
+  OVERVIEWS,
+  encodePolyline,
+  decodePolyline,
+  simplifyLine,
+  shapeGeometries
+};
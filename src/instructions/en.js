@@ -0,0 +1,54 @@
+/**
+ * English turn-by-turn instruction table
+ */
+
+module.exports = {
+  code: 'en',
+  name: 'English',
+
+  // Compass direction for depart steps, clockwise from north in 45° sectors
+  directions: ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'],
+
+  modifiers: {
+    'uturn': 'around',
+    'sharp right': 'sharp right',
+    'right': 'right',
+    'slight right': 'slightly right',
+    'straight': 'straight',
+    'slight left': 'slightly left',
+    'left': 'left',
+    'sharp left': 'sharp left'
+  },
+
+  sides: { left: 'left', right: 'right', straight: 'straight' },
+
+  ordinal(n) {
+    const words = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+    if (words[n - 1]) return words[n - 1];
+    const suffix = n % 10 === 1 && n % 100 !== 11 ? 'st'
+      : n % 10 === 2 && n % 100 !== 12 ? 'nd'
+        : n % 10 === 3 && n % 100 !== 13 ? 'rd' : 'th';
+    return `${n}${suffix}`;
+  },
+
+  // Each template has a plain form and a form used when the road name/ref is known
+  templates: {
+    'depart': { default: 'Head {direction}', way: 'Head {direction} on {way}' },
+    'arrive': { default: 'You have arrived at your destination', way: 'You have arrived at your destination on {way}' },
+    'arrive waypoint': { default: 'You have arrived at stop {number}', way: 'You have arrived at stop {number} on {way}' },
+    'turn': { default: 'Turn {modifier}', way: 'Turn {modifier} onto {way}' },
+    'turn straight': { default: 'Go straight', way: 'Go straight onto {way}' },
+    'uturn': { default: 'Make a U-turn', way: 'Make a U-turn onto {way}' },
+    'continue': { default: 'Continue', way: 'Continue onto {way}' },
+    'new name': { default: 'Continue', way: 'Continue onto {way}' },
+    'merge': { default: 'Merge {side}', way: 'Merge onto {way}' },
+    'on ramp': { default: 'Take the ramp on the {side}', way: 'Take the ramp onto {way}' },
+    'off ramp': { default: 'Take the exit on the {side}', way: 'Take the exit onto {way}' },
+    'fork': { default: 'Keep {side} at the fork', way: 'Keep {side} at the fork onto {way}' },
+    'end of road': { default: 'At the end of the road, turn {modifier}', way: 'At the end of the road, turn {modifier} onto {way}' },
+    'roundabout': { default: 'Enter the roundabout', way: 'Enter the roundabout and exit onto {way}' },
+    'roundabout exit': { default: 'Enter the roundabout and take the {exit} exit', way: 'Enter the roundabout and take the {exit} exit onto {way}' },
+    'exit roundabout': { default: 'Exit the roundabout', way: 'Exit the roundabout onto {way}' },
+    'roundabout turn': { default: 'At the roundabout, turn {modifier}', way: 'At the roundabout, turn {modifier} onto {way}' }
+  }
+};
@@ -0,0 +1,50 @@
+/**
+ * Tabel instruksi navigasi Bahasa Indonesia
+ */
+
+module.exports = {
+  code: 'id',
+  name: 'Bahasa Indonesia',
+
+  // Arah mata angin untuk langkah depart, searah jarum jam dari utara per 45°
+  directions: ['utara', 'timur laut', 'timur', 'tenggara', 'selatan', 'barat daya', 'barat', 'barat laut'],
+
+  modifiers: {
+    'uturn': 'putar balik',
+    'sharp right': 'tajam ke kanan',
+    'right': 'kanan',
+    'slight right': 'sedikit ke kanan',
+    'straight': 'lurus',
+    'slight left': 'sedikit ke kiri',
+    'left': 'kiri',
+    'sharp left': 'tajam ke kiri'
+  },
+
+  sides: { left: 'kiri', right: 'kanan', straight: 'tengah' },
+
+  ordinal(n) {
+    const words = ['pertama', 'kedua', 'ketiga', 'keempat', 'kelima', 'keenam', 'ketujuh', 'kedelapan', 'kesembilan', 'kesepuluh'];
+    return words[n - 1] || `ke-${n}`;
+  },
+
+  // Setiap template punya bentuk biasa dan bentuk jika nama/nomor jalan diketahui
+  templates: {
+    'depart': { default: 'Berangkat ke arah {direction}', way: 'Berangkat ke arah {direction} melalui {way}' },
+    'arrive': { default: 'Anda telah tiba di tujuan', way: 'Anda telah tiba di tujuan di {way}' },
+    'arrive waypoint': { default: 'Anda telah tiba di pemberhentian {number}', way: 'Anda telah tiba di pemberhentian {number} di {way}' },
+    'turn': { default: 'Belok {modifier}', way: 'Belok {modifier} ke {way}' },
+    'turn straight': { default: 'Jalan lurus', way: 'Jalan lurus ke {way}' },
+    'uturn': { default: 'Putar balik', way: 'Putar balik ke {way}' },
+    'continue': { default: 'Lanjutkan perjalanan', way: 'Lanjutkan ke {way}' },
+    'new name': { default: 'Lanjutkan perjalanan', way: 'Lanjutkan ke {way}' },
+    'merge': { default: 'Bergabung di jalur {side}', way: 'Bergabung ke {way}' },
+    'on ramp': { default: 'Ambil jalur masuk di sebelah {side}', way: 'Ambil jalur masuk ke {way}' },
+    'off ramp': { default: 'Ambil jalur keluar di sebelah {side}', way: 'Ambil jalur keluar ke {way}' },
+    'fork': { default: 'Tetap di jalur {side} pada percabangan', way: 'Tetap di jalur {side} pada percabangan menuju {way}' },
+    'end of road': { default: 'Di ujung jalan, belok {modifier}', way: 'Di ujung jalan, belok {modifier} ke {way}' },
+    'roundabout': { default: 'Masuk bundaran', way: 'Masuk bundaran lalu keluar ke {way}' },
+    'roundabout exit': { default: 'Masuk bundaran dan ambil jalan keluar {exit}', way: 'Masuk bundaran dan ambil jalan keluar {exit} ke {way}' },
+    'exit roundabout': { default: 'Keluar dari bundaran', way: 'Keluar dari bundaran ke {way}' },
+    'roundabout turn': { default: 'Di bundaran, belok {modifier}', way: 'Di bundaran, belok {modifier} ke {way}' }
+  }
+};
@@ -0,0 +1,137 @@
+/**
+ * Turn-by-turn Instruction Generator
+ * Turns OSRM step maneuvers into human-readable instruction text
+ *
+ * Languages are loaded from every other file in this directory; add a new
+ * language by copying en.js and translating its tables.
+ */
+
+const fsSync = require('fs');
+const path = require('path');
+
+const languages = {};
+for (const file of fsSync.readdirSync(__dirname)) {
+  if (file === 'index.js' || !file.endsWith('.js')) continue;
+  const table = require(path.join(__dirname, file));
+  languages[table.code] = table;
+}
+
+const SUPPORTED_LANGUAGES = Object.keys(languages);
+
+/**
+ * Pick the instruction language: an explicit `language` option wins,
+ * otherwise the best supported Accept-Language match, otherwise none.
+ * @returns {{ language: string|null, error: string|null }}
+ */
+function resolveLanguage(req, requested) {
+  if (requested) {
+    const code = String(requested).toLowerCase().split('-')[0];
+    return languages[code]
+      ? { language: code, error: null }
+      : { language: null, error: `Language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}` };
+  }
+
+  if (req.get('Accept-Language')) {
+    const match = req.acceptsLanguages(...SUPPORTED_LANGUAGES);
+    if (match) return { language: match, error: null };
+  }
+  return { language: null, error: null };
+}
+
+// Road name with its ref, e.g. "Jalan Tol Jagorawi (E2)"
+function describeWay(step) {
+  const name = (step.name || '').trim();
+  const ref = (step.ref || '').split(';')[0].trim();
+  if (name && ref && !name.includes(ref)) return `${name} (${ref})`;
+  return name || ref;
+}
+
+function describeSide(table, modifier = '') {
+  if (modifier.includes('left')) return table.sides.left;
+  if (modifier.includes('right')) return table.sides.right;
+  return table.sides.straight;
+}
+
+function describeDirection(table, bearing = 0) {
+  return table.directions[Math.round(bearing / 45) % 8];
+}
+
+// Map an OSRM maneuver onto one of the language table's template keys
+function templateKey(maneuver, isFinalArrival) {
+  const { type, modifier, exit } = maneuver;
+
+  switch (type) {
+    case 'arrive':
+      return isFinalArrival ? 'arrive' : 'arrive waypoint';
+    case 'turn':
+    case 'notification':
+    case 'use lane':
+      if (modifier === 'uturn') return 'uturn';
+      if (modifier === 'straight' || !modifier) return 'turn straight';
+      return 'turn';
+    case 'continue':
+      return modifier === 'uturn' ? 'uturn' : 'continue';
+    case 'roundabout':
+    case 'rotary':
+      return exit ? 'roundabout exit' : 'roundabout';
+    case 'exit roundabout':
+    case 'exit rotary':
+      return 'exit roundabout';
+    default:
+      return type;
+  }
+}
+
+/**
+ * Build the instruction text for a single step.
+ * @param {Object} step OSRM route step
+ * @param {string} language Language code
+ * @param {Object} context `{ legIndex, legCount }` used for arrive wording
+ */
+function generateInstruction(step, language, { legIndex = 0, legCount = 1 } = {}) {
+  const table = languages[language];
+  const maneuver = step.maneuver || {};
+  const key = templateKey(maneuver, legIndex === legCount - 1);
+  const template = table.templates[key] || table.templates['turn'];
+  const way = describeWay(step);
+
+  const values = {
+    way,
+    direction: describeDirection(table, maneuver.bearing_after),
+    modifier: table.modifiers[maneuver.modifier] || table.modifiers.straight,
+    side: describeSide(table, maneuver.modifier),
+    exit: maneuver.exit ? table.ordinal(maneuver.exit) : '',
+    number: legIndex + 1
+  };
+
+  return (way ? template.way : template.default).replace(/\{(\w+)\}/g, (_, name) => values[name]);
+}
+
+/**
+ * Return a copy of an OSRM route response with `maneuver.instruction`
+ * filled in on every step. The input is left untouched (it may be cached).
+ */
+function addInstructions(data, language) {
+  const result = structuredClone(data);
+
+  for (const route of result.routes || []) {
+    const legCount = (route.legs || []).length;
+    (route.legs || []).forEach((leg, legIndex) => {
+      for (const step of leg.steps || []) {
+        step.maneuver = {
+          ...step.maneuver,
+          instruction: generateInstruction(step, language, { legIndex, legCount })
+        };
+      }
+    });
+  }
+
+  return result;
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  resolveLanguage,
+  generateInstruction,
+  addInstructions
+};
@@ -0,0 +1,144 @@
+/**
+ * Isochrone / Reachability Polygons
+ * Samples a polar grid around an origin, measures it with OSRM's table
+ * service and traces one polygon per time or distance threshold
+ */
+
+const { computeMatrix } = require('./matrix');
+
+const METRICS = {
+  duration: { annotation: 'duration', unit: 'minutes', toNative: minutes => minutes * 60 },
+  distance: { annotation: 'distance', unit: 'meters', toNative: meters => meters }
+};
+
+const ISOCHRONE_MAX_THRESHOLDS = 4;
+const ISOCHRONE_MAX_MINUTES = parseInt(process.env.ISOCHRONE_MAX_MINUTES) || 120;
+const ISOCHRONE_MAX_METERS = parseInt(process.env.ISOCHRONE_MAX_METERS) || 100000;
+// Upper bound on travel speed used to size the sampling area (m/s, ~100 km/h)
+const ISOCHRONE_MAX_SPEED = parseFloat(process.env.ISOCHRONE_MAX_SPEED) || 27.8;
+
+const EARTH_RADIUS = 6371008.8;
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+// Point reached by travelling `distance` meters from lon/lat on a bearing
+function destinationPoint(lon, lat, bearing, distance) {
+  const angular = distance / EARTH_RADIUS;
+  const theta = toRadians(bearing);
+  const phi1 = toRadians(lat);
+  const lambda1 = toRadians(lon);
+
+  const phi2 = Math.asin(Math.sin(phi1) * Math.cos(angular) +
+    Math.cos(phi1) * Math.sin(angular) * Math.cos(theta));
+  const lambda2 = lambda1 + Math.atan2(
+    Math.sin(theta) * Math.sin(angular) * Math.cos(phi1),
+    Math.cos(angular) - Math.sin(phi1) * Math.sin(phi2)
+  );
+
+  return [
+    Math.round(toDegrees(lambda2) * 1e6) / 1e6,
+    Math.round(toDegrees(phi2) * 1e6) / 1e6
+  ];
+}
+
+/**
+ * Parse a comma-separated (or array) threshold list for the given metric.
+ * @returns {{ thresholds: number[], error: string|null }}
+ */
+function parseThresholds(value, metric) {
+  const max = metric === 'distance' ? ISOCHRONE_MAX_METERS : ISOCHRONE_MAX_MINUTES;
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  const thresholds = [...new Set(items.map(Number))].sort((a, b) => a - b);
+
+  if (thresholds.length === 0 || thresholds.length > ISOCHRONE_MAX_THRESHOLDS ||
+      thresholds.some(t => !Number.isFinite(t) || t <= 0 || t > max)) {
+    return {
+      thresholds: [],
+      error: `Thresholds must be 1-${ISOCHRONE_MAX_THRESHOLDS} positive values up to ${max} ${METRICS[metric].unit}`
+    };
+  }
+  return { thresholds, error: null };
+}
+
+/**
+ * Build reachability polygons around `center` ([lon, lat]).
+ * Each ray of the sampling grid contributes one vertex per threshold: the
+ * farthest reachable sample, interpolated towards the next unreachable one.
+ */
+async function buildIsochrones(client, center, { metric = 'duration', thresholds, bearings = 36, rings = 12 }) {
+  const { annotation, unit, toNative } = METRICS[metric];
+  const limits = thresholds.map(toNative);
+  const maxLimit = limits[limits.length - 1];
+
+  const radius = metric === 'duration' ? maxLimit * ISOCHRONE_MAX_SPEED : maxLimit;
+  const ringSpacing = radius / rings;
+  // Samples snapped further than this from their grid position are treated as unreachable
+  const maxSnapDistance = Math.max(ringSpacing / 2, 250);
+
+  const coordinates = [center];
+  for (let b = 0; b < bearings; b++) {
+    for (let r = 1; r <= rings; r++) {
+      coordinates.push(destinationPoint(center[0], center[1], (360 / bearings) * b, ringSpacing * r));
+    }
+  }
+
+  const matrix = await computeMatrix(client, {
+    coordinates,
+    sources: [0],
+    destinations: coordinates.map((_, i) => i),
+    annotations: [annotation]
+  });
+
+  const values = matrix[`${annotation}s`][0].map((value, i) => {
+    const snapped = matrix.destinations[i];
+    return snapped && snapped.distance > maxSnapDistance ? null : value;
+  });
+
+  const features = thresholds.map((threshold, t) => {
+    const limit = limits[t];
+    const ring = [];
+
+    for (let b = 0; b < bearings; b++) {
+      const bearing = (360 / bearings) * b;
+      let reach = 0;
+
+      for (let r = rings; r >= 1; r--) {
+        const value = values[1 + b * rings + (r - 1)];
+        if (value === null || value > limit) continue;
+
+        reach = ringSpacing * r;
+        const next = r < rings ? values[1 + b * rings + r] : null;
+        if (next !== null && next > value) {
+          reach += ringSpacing * Math.min(1, (limit - value) / (next - value));
+        }
+        break;
+      }
+
+      ring.push(reach > 0 ? destinationPoint(center[0], center[1], bearing, reach) : [...center]);
+    }
+    ring.push(ring[0]);
+
+    return {
+      type: 'Feature',
+      properties: { metric, value: threshold, unit },
+      geometry: { type: 'Polygon', coordinates: [ring] }
+    };
+  });
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    properties: {
+      center,
+      metric,
+      samples: coordinates.length - 1,
+      unreachableSamples: values.slice(1).filter(v => v === null).length
+    }
+  };
+}
+
+module.exports = {
+  METRICS: Object.keys(METRICS),
+  parseThresholds,
+  buildIsochrones
+};
@@ -0,0 +1,248 @@
+/**
+ * GPS Trace Map Matching
+ * Parses GPX, GeoJSON and timestamped coordinate traces, snaps them to the
+ * road network via OSRM's match service and splits long traces into chunks
+ */
+
+const logger = require('./logger');
+
+// OSRM rejects traces longer than --max-matching-size (default 100); chunks overlap by one point, so at least 2
+const MATCH_MAX_POINTS = Math.max(2, parseInt(process.env.MATCH_MAX_POINTS) || 100);
+const MATCH_MAX_TRACE_POINTS = parseInt(process.env.MATCH_MAX_TRACE_POINTS) || 10000;
+const GAPS = ['split', 'ignore'];
+
+// Convert ISO strings, Date values and unix seconds/milliseconds to unix seconds
+function toUnixSeconds(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') {
+    return Math.round(value > 1e11 ? value / 1000 : value);
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? NaN : Math.round(parsed / 1000);
+}
+
+// Read a lat/lon style XML attribute
+function readAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)["']`));
+  return match ? parseFloat(match[1]) : NaN;
+}
+
+/**
+ * Parse a GPX document into trace points. Track points are used when
+ * present, otherwise route points.
+ */
+function parseGpx(xml) {
+  const readPoints = (tag) => {
+    const pattern = new RegExp(`<${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${tag}>)`, 'g');
+    const points = [];
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+      const time = (match[2] || '').match(/<time>\s*([^<]+?)\s*<\/time>/);
+      points.push({
+        lon: readAttribute(match[1], 'lon'),
+        lat: readAttribute(match[1], 'lat'),
+        timestamp: time ? toUnixSeconds(time[1]) : null
+      });
+    }
+    return points;
+  };
+
+  const trackPoints = readPoints('trkpt');
+  return trackPoints.length > 0 ? trackPoints : readPoints('rtept');
+}
+
+/**
+ * Parse a GeoJSON LineString (bare geometry or Feature). Timestamps are read
+ * from `properties.coordTimes` / `properties.times` or a third coordinate value.
+ */
+function parseGeoJson(geojson) {
+  const geometry = geojson.type === 'Feature' ? geojson.geometry : geojson;
+  if (!geometry || geometry.type !== 'LineString' || !Array.isArray(geometry.coordinates)) {
+    return null;
+  }
+
+  const properties = geojson.properties || {};
+  const times = properties.coordTimes || properties.times || [];
+
+  return geometry.coordinates.map((coord, i) => ({
+    lon: coord[0],
+    lat: coord[1],
+    timestamp: toUnixSeconds(times[i] !== undefined ? times[i] : coord[2])
+  }));
+}
+
+/**
+ * Parse a timestamped coordinate array: `[[lon, lat, timestamp?], ...]`
+ * or `[{ lon, lat, timestamp? }, ...]`
+ */
+function parseCoordinateArray(coordinates) {
+  return coordinates.map(item => Array.isArray(item)
+    ? { lon: item[0], lat: item[1], timestamp: toUnixSeconds(item[2]) }
+    : { lon: item?.lon, lat: item?.lat, timestamp: toUnixSeconds(item?.timestamp) }
+  );
+}
+
+/**
+ * Parse any supported trace input into `{ points, error }`.
+ * Strings are treated as GPX; objects as GeoJSON or `{ coordinates: [...] }`.
+ */
+function parseTrace(input) {
+  let points = null;
+
+  if (typeof input === 'string') {
+    points = parseGpx(input);
+  } else if (input && (input.type === 'Feature' || input.type === 'LineString')) {
+    points = parseGeoJson(input);
+    if (!points) return { points: [], error: 'GeoJSON input must be a LineString geometry or Feature' };
+  } else if (input && Array.isArray(input.coordinates)) {
+    points = parseCoordinateArray(input.coordinates);
+  } else {
+    return { points: [], error: 'Trace must be a GPX document, a GeoJSON LineString or a coordinates array' };
+  }
+
+  if (points.length < 2) {
+    return { points: [], error: 'Trace must contain at least 2 points' };
+  }
+  if (points.length > MATCH_MAX_TRACE_POINTS) {
+    return { points: [], error: `Trace must contain at most ${MATCH_MAX_TRACE_POINTS} points` };
+  }
+
+  const invalid = points.findIndex(p => !Number.isFinite(p.lon) || !Number.isFinite(p.lat) ||
+    p.lon < -180 || p.lon > 180 || p.lat < -90 || p.lat > 90);
+  if (invalid !== -1) {
+    return { points: [], error: `Trace point ${invalid} is not a valid lon,lat coordinate` };
+  }
+
+  // Timestamps are all-or-nothing and must not go backwards
+  const timed = points.filter(p => p.timestamp !== null).length;
+  if (timed > 0 && timed < points.length) {
+    return { points: [], error: 'Either every trace point or none must have a timestamp' };
+  }
+  for (let i = 1; timed > 0 && i < points.length; i++) {
+    if (!Number.isFinite(points[i].timestamp) || points[i].timestamp < points[i - 1].timestamp) {
+      return { points: [], error: `Trace point ${i} has an invalid or decreasing timestamp` };
+    }
+  }
+
+  return { points, error: null };
+}
+
+// Split a trace into overlapping chunks so consecutive matchings join up
+function splitTrace(points, size) {
+  const chunkSize = Math.max(2, size); // a 1-point chunk would never move past its overlap
+  const chunks = [];
+  let start = 0;
+  while (start < points.length - 1) {
+    const end = Math.min(start + chunkSize, points.length);
+    chunks.push({ offset: start, points: points.slice(start, end) });
+    start = end - 1;
+  }
+  return chunks;
+}
+
+// Request one chunk from OSRM's match service
+async function fetchMatchChunk(client, points, options) {
+  const path = points.map(p => `${p.lon},${p.lat}`).join(';');
+  const params = {
+    geometries: 'geojson',
+    overview: 'full',
+    steps: 'false',
+    tidy: options.tidy ? 'true' : 'false',
+    gaps: options.gaps
+  };
+  if (points[0].timestamp !== null) {
+    params.timestamps = points.map(p => p.timestamp).join(';');
+  }
+  if (options.radius) {
+    params.radiuses = points.map(() => options.radius).join(';');
+  }
+
+  return client.get('match', path, params);
+}
+
+/**
+ * Match a full trace, chunking it to stay under OSRM's coordinate limit.
+ * Returns the merged geometry, a distance-weighted confidence, every
+ * tracepoint in input order and the list of points that could not be matched.
+ */
+async function matchTrace(client, points, options = {}) {
+  const { tidy = false, gaps = 'split', radius = null } = options;
+  const chunks = splitTrace(points, MATCH_MAX_POINTS);
+
+  const tracepoints = new Array(points.length).fill(null);
+  const matchings = [];
+  const coordinates = [];
+
+  for (const [chunkIndex, chunk] of chunks.entries()) {
+    let data;
+    try {
+      data = await fetchMatchChunk(client, chunk.points, { tidy, gaps, radius });
+    } catch (error) {
+      // NoMatch only means this stretch of the trace is off-road; keep going
+      if (error.response?.data?.code === 'NoMatch') {
+        logger.warn('Match chunk could not be matched', { chunk: chunkIndex, points: chunk.points.length });
+        continue;
+      }
+      // Lets error reporting refer to indices in the full trace
+      error.coordinateOffset = chunk.offset;
+      throw error;
+    }
+
+    const matchingOffset = matchings.length;
+    (data.tracepoints || []).forEach((tracepoint, i) => {
+      const index = chunk.offset + i;
+      // The first point of a chunk overlaps the previous chunk's last point
+      if (tracepoint && tracepoints[index] === null) {
+        tracepoints[index] = { ...tracepoint, matchings_index: tracepoint.matchings_index + matchingOffset };
+      }
+    });
+
+    for (const matching of data.matchings || []) {
+      const line = matching.geometry?.coordinates || [];
+      const last = coordinates[coordinates.length - 1];
+      const first = line[0];
+      const joined = last && first && last[0] === first[0] && last[1] === first[1] ? line.slice(1) : line;
+      coordinates.push(...joined);
+
+      matchings.push({
+        chunk: chunkIndex,
+        confidence: matching.confidence,
+        distance: matching.distance,
+        duration: matching.duration,
+        geometry: matching.geometry
+      });
+    }
+  }
+
+  const totalDistance = matchings.reduce((sum, m) => sum + m.distance, 0);
+  const confidence = totalDistance > 0
+    ? matchings.reduce((sum, m) => sum + m.confidence * m.distance, 0) / totalDistance
+    : (matchings.length > 0 ? matchings.reduce((sum, m) => sum + m.confidence, 0) / matchings.length : 0);
+
+  const unmatched = [];
+  tracepoints.forEach((tracepoint, index) => {
+    if (tracepoint === null) {
+      unmatched.push({ index, location: [points[index].lon, points[index].lat], timestamp: points[index].timestamp });
+    }
+  });
+
+  return {
+    code: matchings.length > 0 ? 'Ok' : 'NoMatch',
+    geometry: { type: 'LineString', coordinates },
+    confidence: Math.round(confidence * 1000) / 1000,
+    distance: totalDistance,
+    duration: matchings.reduce((sum, m) => sum + m.duration, 0),
+    matchings,
+    tracepoints,
+    unmatched,
+    chunks: chunks.length
+  };
+}
+
+module.exports = {
+  GAPS,
+  MATCH_MAX_POINTS,
+  parseTrace,
+  splitTrace,
+  matchTrace
+};
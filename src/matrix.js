@@ -0,0 +1,176 @@
+/**
+ * Distance/Duration Matrix
+ * Proxies OSRM's table service and splits oversized requests into chunks
+ * that are stitched back into a single matrix
+ */
+
+const logger = require('./logger');
+
+const ANNOTATIONS = ['duration', 'distance'];
+
+// Largest sources x destinations block sent to OSRM in one request
+const MATRIX_CHUNK_SIZE = Math.min(
+  parseInt(process.env.MATRIX_CHUNK_SIZE) || 100,
+  parseInt(process.env.OSRM_MAX_TABLE_SIZE) || 10000 // matches --max-table-size in docker-compose.yml
+);
+const MATRIX_MAX_LOCATIONS = parseInt(process.env.MATRIX_MAX_LOCATIONS) || 2500;
+const MATRIX_CONCURRENCY = parseInt(process.env.MATRIX_CONCURRENCY) || 2;
+
+// Split an array into consecutive slices of the given size
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Run async tasks with a fixed number of workers
+async function runWithConcurrency(tasks, concurrency) {
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) {
+      const task = tasks[next++];
+      await task();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, worker));
+}
+
+/**
+ * Parse `sources`/`destinations` (query `0;1;2` / `all`, or body array)
+ * into coordinate indices. Defaults to every coordinate.
+ * @returns {number[]|null} null when the value is invalid
+ */
+function parseIndexList(value, coordinateCount) {
+  if (value === undefined || value === null || value === '' || value === 'all') {
+    return Array.from({ length: coordinateCount }, (_, i) => i);
+  }
+
+  const items = Array.isArray(value) ? value : String(value).split(';');
+  const indices = items.map(item => Number(item));
+  const valid = indices.every(i => Number.isInteger(i) && i >= 0 && i < coordinateCount);
+  return valid && indices.length > 0 ? indices : null;
+}
+
+/**
+ * Parse `annotations` (query `duration,distance` or body array)
+ * @returns {string[]|null} null when an unknown annotation is requested
+ */
+function parseAnnotations(value) {
+  if (value === undefined || value === null || value === '') return ['duration'];
+
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  const annotations = [...new Set(items.map(item => String(item).trim()))];
+  return annotations.every(a => ANNOTATIONS.includes(a)) ? annotations : null;
+}
+
+// Request one sources x destinations block from OSRM
+async function fetchTableChunk(client, coordinates, sourceIdx, destinationIdx, annotations) {
+  // Only send the coordinates this chunk needs, remapping indices onto them
+  const used = [...new Set([...sourceIdx, ...destinationIdx])];
+  const position = new Map(used.map((original, i) => [original, i]));
+  const path = used.map(i => `${coordinates[i][0]},${coordinates[i][1]}`).join(';');
+
+  try {
+    return await client.get('table', path, {
+      sources: sourceIdx.map(i => position.get(i)).join(';'),
+      destinations: destinationIdx.map(i => position.get(i)).join(';'),
+      annotations: annotations.join(',')
+    }, { timeout: 60000 });
+  } catch (error) {
+    // Lets error reporting refer to the caller's coordinate indices
+    error.coordinateIndices = used;
+    throw error;
+  }
+}
+
+/**
+ * Compute a full matrix for the given coordinates, chunking as needed.
+ * Cells that OSRM could not fill (unreachable pairs or failed chunks)
+ * are null in the matrix and listed in `failedCells`.
+ */
+async function computeMatrix(client, { coordinates, sources, destinations, annotations }) {
+  const sourceChunks = chunk(sources.map((coordIndex, row) => ({ coordIndex, row })), MATRIX_CHUNK_SIZE);
+  const destinationChunks = chunk(destinations.map((coordIndex, col) => ({ coordIndex, col })), MATRIX_CHUNK_SIZE);
+
+  const result = {
+    code: 'Ok',
+    sources: new Array(sources.length).fill(null),
+    destinations: new Array(destinations.length).fill(null),
+    failedCells: [],
+    chunks: sourceChunks.length * destinationChunks.length,
+    failedChunks: 0
+  };
+  let lastError = null;
+  for (const annotation of annotations) {
+    result[`${annotation}s`] = sources.map(() => new Array(destinations.length).fill(null));
+  }
+
+  const tasks = [];
+  for (const sourceChunk of sourceChunks) {
+    for (const destinationChunk of destinationChunks) {
+      tasks.push(async () => {
+        try {
+          const data = await fetchTableChunk(
+            client,
+            coordinates,
+            sourceChunk.map(s => s.coordIndex),
+            destinationChunk.map(d => d.coordIndex),
+            annotations
+          );
+
+          sourceChunk.forEach((s, i) => { result.sources[s.row] = data.sources?.[i] || null; });
+          destinationChunk.forEach((d, j) => { result.destinations[d.col] = data.destinations?.[j] || null; });
+
+          sourceChunk.forEach((s, i) => {
+            destinationChunk.forEach((d, j) => {
+              let unreachable = false;
+              for (const annotation of annotations) {
+                const value = data[`${annotation}s`]?.[i]?.[j];
+                result[`${annotation}s`][s.row][d.col] = value === undefined ? null : value;
+                if (value === null || value === undefined) unreachable = true;
+              }
+              if (unreachable) {
+                result.failedCells.push({ source: s.row, destination: d.col, reason: 'NoRoute' });
+              }
+            });
+          });
+        } catch (error) {
+          lastError = error;
+          const reason = error.response?.data?.code || error.message;
+          result.failedChunks++;
+          logger.warn('Matrix chunk failed', {
+            sources: sourceChunk.length,
+            destinations: destinationChunk.length,
+            reason
+          });
+          sourceChunk.forEach(s => {
+            destinationChunk.forEach(d => {
+              result.failedCells.push({ source: s.row, destination: d.col, reason });
+            });
+          });
+        }
+      });
+    }
+  }
+
+  await runWithConcurrency(tasks, MATRIX_CONCURRENCY);
+
+  if (result.failedChunks === result.chunks) {
+    // Every chunk failed, usually for the same reason (backend down, TooBig, ...)
+    logger.warn(`All ${result.chunks} matrix chunks failed`);
+    throw lastError;
+  }
+
+  result.failedCells.sort((a, b) => a.source - b.source || a.destination - b.destination);
+  return result;
+}
+
+module.exports = {
+  MATRIX_CHUNK_SIZE,
+  MATRIX_MAX_LOCATIONS,
+  parseIndexList,
+  parseAnnotations,
+  computeMatrix
+};
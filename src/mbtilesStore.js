@@ -0,0 +1,357 @@
+/**
+ * MBTiles Tile Store
+ * Keeps each layer's tiles in one SQLite file, cache/mbtiles/{layer}.mbtiles,
+ * following the MBTiles 1.3 spec (TMS row order) with extra columns for the
+ * ETag and the modified/accessed times used for freshness and LRU eviction.
+ * The static helpers also read and write standalone .mbtiles files for import/export.
+ */
+
+const fsSync = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const LAYER_FILE = /^([a-z][a-z0-9_-]{0,31})\.mbtiles$/;
+const FORMATS = ['png', 'jpg', 'webp'];
+const PAGE_SIZE = 5000;
+const TOUCH_RESOLUTION_MS = 60000; // LRU times are only rewritten once a minute per tile
+const AUTO_VACUUM_INCREMENTAL = 2;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS metadata (name TEXT PRIMARY KEY, value TEXT);
+  CREATE TABLE IF NOT EXISTS tiles (
+    zoom_level INTEGER NOT NULL,
+    tile_column INTEGER NOT NULL,
+    tile_row INTEGER NOT NULL,
+    tile_data BLOB NOT NULL,
+    etag TEXT,
+    modified_at INTEGER,
+    accessed_at INTEGER,
+    PRIMARY KEY (zoom_level, tile_column, tile_row)
+  );
+`;
+
+// MBTiles rows count from the bottom (TMS), XYZ tiles from the top
+const flipY = (z, y) => (1 << z) - 1 - y;
+
+// Entry as yielded by entries() for a row of the page/leastRecentlyUsed queries
+function toEntry(layerId, row) {
+  const y = flipY(row.zoom_level, row.tile_row);
+  return {
+    layer: layerId,
+    z: row.zoom_level,
+    x: row.tile_column,
+    y,
+    size: row.size,
+    accessedAt: row.accessed_at || row.modified_at || 0,
+    modifiedAt: row.modified_at || 0,
+    path: `/mbtiles/${layerId}/${row.zoom_level}/${row.tile_column}/${y}`
+  };
+}
+
+class MBTilesTileStore {
+  static FORMATS = FORMATS;
+
+  constructor(options = {}) {
+    this.dir = options.dir || './cache/mbtiles';
+    this.logger = options.logger || console;
+    this.databases = new Map(); // layer id -> { db, statements }
+    fsSync.mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * Open (and with `create`, initialise) an .mbtiles file.
+   * WAL and a busy timeout let several servers share a file on the cache volume.
+   */
+  static open(filePath, { readonly = false, create = false } = {}) {
+    if (readonly && !fsSync.existsSync(filePath)) {
+      throw new Error(`${filePath} does not exist`);
+    }
+    const db = new Database(filePath, { readonly, fileMustExist: !create && !readonly });
+    if (!readonly) {
+      // Lets eviction hand freed pages back to the filesystem. It only takes effect on a new file (so
+      // before switching to WAL), older files need the VACUUM of enableAutoVacuum (scripts/mbtiles.js vacuum)
+      db.pragma('auto_vacuum = INCREMENTAL');
+      db.pragma('journal_mode = WAL');
+      db.pragma('synchronous = NORMAL');
+      db.pragma('busy_timeout = 5000');
+      db.exec(SCHEMA);
+    }
+    return db;
+  }
+
+  static hasAutoVacuum(db) {
+    return db.pragma('auto_vacuum', { simple: true }) === AUTO_VACUUM_INCREMENTAL;
+  }
+
+  // Bytes the database takes on disk, free pages and indexes included
+  static fileSize(db) {
+    return db.pragma('page_count', { simple: true }) * db.pragma('page_size', { simple: true });
+  }
+
+  static readMetadata(db) {
+    try {
+      return Object.fromEntries(db.prepare('SELECT name, value FROM metadata').all().map(row => [row.name, row.value]));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  static writeMetadata(db, metadata) {
+    const insert = db.prepare('INSERT OR REPLACE INTO metadata (name, value) VALUES (?, ?)');
+    db.transaction(() => {
+      for (const [name, value] of Object.entries(metadata)) {
+        if (value !== undefined && value !== null) insert.run(name, String(value));
+      }
+    })();
+  }
+
+  // Metadata describing a tile layer
+  static layerMetadata(layer) {
+    return {
+      name: layer.name,
+      format: layer.format,
+      minzoom: layer.minZoom,
+      maxzoom: layer.maxZoom,
+      attribution: layer.attribution,
+      type: 'baselayer',
+      version: '1.3'
+    };
+  }
+
+  /**
+   * Every tile of a file as { z, x, y, tile, etag, modifiedAt }, in XYZ numbering.
+   * Files written elsewhere only have the four standard columns (and `tiles` may be a view).
+   */
+  static *readTiles(db) {
+    const columns = db.prepare('SELECT name FROM pragma_table_info(\'tiles\')').all().map(column => column.name);
+    const extra = columns.includes('etag') && columns.includes('modified_at') ? ', etag, modified_at' : '';
+    const rows = db.prepare(`SELECT zoom_level, tile_column, tile_row, tile_data${extra} FROM tiles`).iterate();
+    for (const row of rows) {
+      yield {
+        z: row.zoom_level,
+        x: row.tile_column,
+        y: flipY(row.zoom_level, row.tile_row),
+        tile: row.tile_data,
+        etag: row.etag || null,
+        modifiedAt: row.modified_at || null
+      };
+    }
+  }
+
+  // Insert or replace { z, x, y, tile, etag, modifiedAt } tiles in one transaction
+  static writeTiles(db, tiles) {
+    const insert = db.prepare(`
+      INSERT OR REPLACE INTO tiles (zoom_level, tile_column, tile_row, tile_data, etag, modified_at, accessed_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    db.transaction(() => {
+      for (const { z, x, y, tile, etag, modifiedAt } of tiles) {
+        insert.run(z, x, flipY(z, y), tile, etag || null, modifiedAt || Date.now(), Date.now());
+      }
+    })();
+  }
+
+  layerPath(layerId) {
+    return path.join(this.dir, `${layerId}.mbtiles`);
+  }
+
+  // Open a layer's database (created on first use)
+  database(layer) {
+    let entry = this.databases.get(layer.id);
+    if (!entry) {
+      const exists = fsSync.existsSync(this.layerPath(layer.id));
+      const db = MBTilesTileStore.open(this.layerPath(layer.id), { create: true });
+      if (!exists) MBTilesTileStore.writeMetadata(db, MBTilesTileStore.layerMetadata(layer));
+      if (!MBTilesTileStore.hasAutoVacuum(db)) {
+        this.logger.warn(`${this.layerPath(layer.id)} predates incremental auto-vacuum, eviction cannot shrink it ` +
+          'until "npm run mbtiles -- vacuum" converts it');
+      }
+      entry = {
+        db,
+        has: db.prepare('SELECT 1 FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?'),
+        get: db.prepare('SELECT tile_data, etag, modified_at FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?'),
+        delete: db.prepare('DELETE FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?'),
+        touch: db.prepare(`
+          UPDATE tiles SET accessed_at = ?
+          WHERE zoom_level = ? AND tile_column = ? AND tile_row = ? AND (accessed_at IS NULL OR accessed_at < ?)
+        `),
+        leastRecentlyUsed: db.prepare(`
+          SELECT zoom_level, tile_column, tile_row, length(tile_data) AS size, accessed_at, modified_at FROM tiles
+          WHERE zoom_level > ? ORDER BY COALESCE(accessed_at, modified_at, 0) LIMIT ?
+        `),
+        page: db.prepare(`
+          SELECT zoom_level, tile_column, tile_row, length(tile_data) AS size, accessed_at, modified_at FROM tiles
+          WHERE (zoom_level, tile_column, tile_row) > (?, ?, ?)
+          ORDER BY zoom_level, tile_column, tile_row LIMIT ${PAGE_SIZE}
+        `)
+      };
+      this.databases.set(layer.id, entry);
+    }
+    return entry;
+  }
+
+  // Layer databases on disk, opened by id (layers no longer configured still count for stats and eviction)
+  layerDatabases() {
+    const ids = fsSync.readdirSync(this.dir).map(file => LAYER_FILE.exec(file)?.[1]).filter(Boolean);
+    return ids.map(id => ({ id, ...this.database({ id, name: id, format: 'png', minZoom: 0, maxZoom: 22, attribution: '' }) }));
+  }
+
+  async has(layer, z, x, y) {
+    return Boolean(this.database(layer).has.get(z, x, flipY(z, y)));
+  }
+
+  async get(layer, z, x, y) {
+    const row = this.database(layer).get.get(z, x, flipY(z, y));
+    if (!row) return null;
+    return {
+      tile: row.tile_data,
+      metadata: { etag: row.etag, timestamp: row.modified_at },
+      modifiedAt: row.modified_at || Date.now()
+    };
+  }
+
+  async put(layer, z, x, y, tile, metadata) {
+    return this.putMany(layer, [{ z, x, y, tile, metadata }]);
+  }
+
+  async putMany(layer, tiles) {
+    MBTilesTileStore.writeTiles(this.database(layer).db, tiles.map(({ z, x, y, tile, metadata }) => ({
+      z, x, y, tile, etag: metadata.etag, modifiedAt: metadata.timestamp
+    })));
+  }
+
+  async delete(layer, z, x, y) {
+    this.database(layer).delete.run(z, x, flipY(z, y));
+  }
+
+  touch(layer, z, x, y) {
+    try {
+      const now = Date.now();
+      this.database(layer).touch.run(now, z, x, flipY(z, y), now - TOUCH_RESOLUTION_MS);
+    } catch (error) {
+      // Busy (another server is writing): losing one LRU update is harmless
+    }
+  }
+
+  // Every cached tile: { layer, z, x, y, size, accessedAt, modifiedAt, path } (tile data is not read).
+  // Read in primary key pages, an open iterator would block the connection for getTile in between.
+  async *entries() {
+    for (const { id, page } of this.layerDatabases()) {
+      let last = [-1, 0, 0];
+      for (;;) {
+        const rows = page.all(...last);
+        if (rows.length === 0) break;
+        last = [rows[rows.length - 1].zoom_level, rows[rows.length - 1].tile_column, rows[rows.length - 1].tile_row];
+
+        for (const row of rows) {
+          yield toEntry(id, row);
+        }
+      }
+    }
+  }
+
+  // The `limit` least recently used tiles above `pinnedMaxZoom` across all layers, oldest first.
+  // SQLite keeps only the top `limit` rows of each file while sorting.
+  async leastRecentlyUsed(limit, pinnedMaxZoom = -1) {
+    const entries = [];
+    for (const { id, leastRecentlyUsed } of this.layerDatabases()) {
+      for (const row of leastRecentlyUsed.all(pinnedMaxZoom, limit)) {
+        entries.push(toEntry(id, row));
+      }
+    }
+    return entries.sort((a, b) => a.accessedAt - b.accessedAt).slice(0, limit);
+  }
+
+  async deleteEntry(entry) {
+    const statements = this.databases.get(entry.layer);
+    if (!statements) return false;
+    return statements.delete.run(entry.z, entry.x, flipY(entry.z, entry.y)).changes > 0;
+  }
+
+  /**
+   * Convert layer files created without incremental auto-vacuum. VACUUM rewrites the whole
+   * file and holds its lock meanwhile, which is why the server only warns about these files.
+   * @returns {string[]} ids of the converted layers
+   */
+  enableAutoVacuum() {
+    const converted = [];
+    for (const { id, db } of this.layerDatabases()) {
+      if (MBTilesTileStore.hasAutoVacuum(db)) continue;
+      db.pragma('auto_vacuum = INCREMENTAL');
+      db.exec('VACUUM');
+      converted.push(id);
+    }
+    return converted;
+  }
+
+  // Bytes on disk of every layer database
+  async size() {
+    return this.layerDatabases().reduce((total, { db }) => total + MBTilesTileStore.fileSize(db), 0);
+  }
+
+  // Return the pages of deleted tiles to the filesystem, deleting rows alone never shrinks the files
+  compact() {
+    for (const { db } of this.layerDatabases()) {
+      db.pragma('incremental_vacuum');
+    }
+  }
+
+  // Totals per zoom and layer straight from SQL, without reading tile data
+  async getStatistics() {
+    const stats = {
+      totalTiles: 0,
+      totalSize: 0,
+      zoomLevels: {},
+      layers: {},
+      oldestTile: null,
+      newestTile: null
+    };
+
+    for (const { id, db } of this.layerDatabases()) {
+      const zooms = db.prepare(`
+        SELECT zoom_level, COUNT(*) AS tiles, SUM(length(tile_data)) AS size,
+          MIN(modified_at) AS oldest, MAX(modified_at) AS newest
+        FROM tiles GROUP BY zoom_level
+      `).all();
+      if (zooms.length === 0) continue;
+
+      // Sizes are what the files take on disk, the figure MAX_CACHE_SIZE_MB is enforced against
+      stats.layers[id] = { tiles: 0, size: MBTilesTileStore.fileSize(db) };
+      stats.totalSize += stats.layers[id].size;
+      for (const zoom of zooms) {
+        stats.totalTiles += zoom.tiles;
+        stats.zoomLevels[zoom.zoom_level] = (stats.zoomLevels[zoom.zoom_level] || 0) + zoom.tiles;
+        stats.layers[id].tiles += zoom.tiles;
+
+        if (zoom.oldest !== null && (!stats.oldestTile || zoom.oldest < stats.oldestTile.time)) {
+          stats.oldestTile = { time: zoom.oldest, path: `/mbtiles/${id}/${zoom.zoom_level}` };
+        }
+        if (zoom.newest !== null && (!stats.newestTile || zoom.newest > stats.newestTile.time)) {
+          stats.newestTile = { time: zoom.newest, path: `/mbtiles/${id}/${zoom.zoom_level}` };
+        }
+      }
+    }
+    return stats;
+  }
+
+  // Remove every tile; rows are deleted rather than files, other servers may have them open
+  clear() {
+    for (const { db } of this.layerDatabases()) {
+      db.exec('DELETE FROM tiles');
+    }
+    this.compact();
+  }
+
+  describe() {
+    return { type: 'mbtiles', path: this.dir };
+  }
+
+  close() {
+    for (const { db } of this.databases.values()) {
+      db.close();
+    }
+    this.databases.clear();
+  }
+}
+
+module.exports = MBTilesTileStore;
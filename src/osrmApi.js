@@ -0,0 +1,248 @@
+/**
+ * OSRM-compatible API
+ * Validates /v1/{service}/{profile}/{coordinates} requests against the OSRM
+ * HTTP API (route, table, nearest, match, trip) so they can be forwarded
+ * unchanged. Errors use OSRM's own { code, message } shape.
+ */
+
+const {
+  MAX_WAYPOINTS,
+  COORDINATE_PATTERN,
+  isValidCoordinate,
+  parseBearing,
+  parseRadius,
+  parseApproach
+} = require('./waypoints');
+const { MATRIX_CHUNK_SIZE } = require('./matrix');
+const { GAPS, MATCH_MAX_POINTS } = require('./match');
+const { SOURCES, DESTINATIONS, parseTripOptions } = require('./trip');
+const { GEOMETRIES, OVERVIEWS, decodePolyline } = require('./geometry');
+const {
+  CONTINUE_STRAIGHT,
+  SNAPPING,
+  checkExclude,
+  checkAnnotations,
+  checkAlternatives
+} = require('./routeOptions');
+
+// Option checkers throw with a client-facing message, like express-validator custom checks
+const isBoolean = (name) => (value) => {
+  if (value !== 'true' && value !== 'false') {
+    throw new Error(`${name} must be true or false`);
+  }
+};
+
+const oneOf = (name, values) => (value) => {
+  if (!values.includes(value)) {
+    throw new Error(`${name} must be one of: ${values.join(', ')}`);
+  }
+};
+
+const positiveNumber = (name) => (value) => {
+  if (!/^\d+(\.\d+)?$/.test(value) || !(parseFloat(value) > 0)) {
+    throw new Error(`${name} must be a positive number`);
+  }
+};
+
+// ";"-separated list with one (possibly empty) entry per coordinate
+const perCoordinate = (name, parse) => (value, { count }) => {
+  const items = value.split(';');
+  if (items.length !== count) {
+    throw new Error(`${name} must have one entry per coordinate (${count})`);
+  }
+  items.forEach(parse);
+};
+
+// "all" or ";"-separated coordinate indices
+const indexList = (name) => (value, { count }) => {
+  if (value === 'all') return;
+  if (!value.split(';').every(index => /^\d+$/.test(index) && parseInt(index) < count)) {
+    throw new Error(`${name} must be "all" or ;-separated coordinate indices below ${count}`);
+  }
+};
+
+const checkHint = (hint) => {
+  if (!/^[\w\-+/=]*$/.test(hint)) {
+    throw new Error('Hints must be the base64 hints of an earlier response');
+  }
+};
+
+const checkTimestamp = (timestamp) => {
+  if (!/^\d+$/.test(timestamp)) {
+    throw new Error('Timestamps must be UNIX seconds');
+  }
+};
+
+const checkTableAnnotations = (value) => {
+  if (!value.split(',').every(name => name === 'duration' || name === 'distance')) {
+    throw new Error('Annotations must be duration, distance or duration,distance');
+  }
+};
+
+const checkNumber = (value) => {
+  if (!/^\d+$/.test(value) || parseInt(value) < 1 || parseInt(value) > 100) {
+    throw new Error('Number must be 1-100');
+  }
+};
+
+// Options accepted by every service
+const GENERAL_OPTIONS = {
+  bearings: perCoordinate('bearings', parseBearing),
+  radiuses: perCoordinate('radiuses', parseRadius),
+  approaches: perCoordinate('approaches', parseApproach),
+  hints: perCoordinate('hints', checkHint),
+  generate_hints: isBoolean('generate_hints'),
+  skip_waypoints: isBoolean('skip_waypoints'),
+  exclude: (value, { profile }) => checkExclude(value, profile),
+  snapping: oneOf('snapping', SNAPPING)
+};
+
+// Options shared by the services that return route geometry
+const ROUTE_RESULT_OPTIONS = {
+  steps: isBoolean('steps'),
+  annotations: checkAnnotations,
+  geometries: oneOf('geometries', GEOMETRIES),
+  overview: oneOf('overview', OVERVIEWS)
+};
+
+// Coordinate limits follow the ones used by /route, /matrix and /match
+const SERVICES = {
+  route: {
+    minCoordinates: 2,
+    maxCoordinates: MAX_WAYPOINTS,
+    options: {
+      ...ROUTE_RESULT_OPTIONS,
+      alternatives: checkAlternatives,
+      continue_straight: oneOf('continue_straight', CONTINUE_STRAIGHT),
+      waypoints: indexList('waypoints')
+    }
+  },
+  table: {
+    minCoordinates: 1,
+    maxCoordinates: MATRIX_CHUNK_SIZE, // larger matrices go through /matrix, which chunks them
+    options: {
+      sources: indexList('sources'),
+      destinations: indexList('destinations'),
+      annotations: checkTableAnnotations,
+      fallback_speed: positiveNumber('fallback_speed'),
+      fallback_coordinate: oneOf('fallback_coordinate', ['input', 'snapped']),
+      scale_factor: positiveNumber('scale_factor')
+    }
+  },
+  nearest: {
+    minCoordinates: 1,
+    maxCoordinates: 1,
+    options: {
+      number: checkNumber
+    }
+  },
+  match: {
+    minCoordinates: 2,
+    maxCoordinates: MATCH_MAX_POINTS,
+    options: {
+      ...ROUTE_RESULT_OPTIONS,
+      timestamps: perCoordinate('timestamps', checkTimestamp),
+      gaps: oneOf('gaps', GAPS),
+      tidy: isBoolean('tidy'),
+      waypoints: indexList('waypoints')
+    }
+  },
+  trip: {
+    minCoordinates: 2,
+    maxCoordinates: MAX_WAYPOINTS,
+    options: {
+      ...ROUTE_RESULT_OPTIONS,
+      roundtrip: isBoolean('roundtrip'),
+      source: oneOf('source', SOURCES),
+      destination: oneOf('destination', DESTINATIONS)
+    }
+  }
+};
+
+const osrmError = (code, message) => ({ code, message });
+
+/**
+ * Parse the coordinates URL segment: `lon,lat;lon,lat`, `polyline(...)` or
+ * `polyline6(...)`, optionally followed by `.json`.
+ * @returns {{ coordinates: Array<[number, number]>, error: Object|null }}
+ */
+function parseCoordinatesSegment(segment) {
+  const value = segment.replace(/\.json$/, '');
+  const encoded = value.match(/^polyline(6?)\((.+)\)$/);
+
+  let coordinates;
+  if (encoded) {
+    try {
+      coordinates = decodePolyline(encoded[2], encoded[1] ? 6 : 5);
+    } catch (error) {
+      coordinates = [];
+    }
+  } else {
+    const pairs = value.split(';');
+    if (!pairs.every(pair => COORDINATE_PATTERN.test(pair))) {
+      return { coordinates: [], error: osrmError('InvalidUrl', 'Coordinates must be lon,lat;lon,lat;... or polyline(...)') };
+    }
+    coordinates = pairs.map(pair => pair.split(',').map(parseFloat));
+  }
+
+  const invalid = coordinates.findIndex(([lon, lat]) => !isValidCoordinate(lon, lat));
+  if (coordinates.length === 0 || invalid !== -1) {
+    return {
+      coordinates: [],
+      error: osrmError('InvalidValue', `Invalid coordinate value${invalid !== -1 ? ` at index ${invalid}` : ''}`)
+    };
+  }
+  return { coordinates, error: null };
+}
+
+/**
+ * Validate one OSRM API request.
+ * @param {string} service route, table, nearest, match or trip
+ * @param {Object} profile Resolved routing profile (for exclude classes)
+ * @param {Array<[number, number]>} coordinates Parsed coordinates
+ * @param {Object} query Express query object
+ * @returns {{ params: Object, error: Object|null }} params are forwarded to OSRM unchanged
+ */
+function validateOsrmRequest(service, profile, coordinates, query) {
+  const definition = SERVICES[service];
+  const count = coordinates.length;
+
+  if (count < definition.minCoordinates) {
+    return { params: {}, error: osrmError('InvalidValue', `The ${service} service needs at least ${definition.minCoordinates} coordinates`) };
+  }
+  if (count > definition.maxCoordinates) {
+    return { params: {}, error: osrmError('TooBig', `Too many coordinates for ${service}: at most ${definition.maxCoordinates} are allowed`) };
+  }
+
+  const options = { ...GENERAL_OPTIONS, ...definition.options };
+  const params = {};
+
+  for (const [name, value] of Object.entries(query)) {
+    if (!Object.hasOwn(options, name)) {
+      return { params: {}, error: osrmError('InvalidQuery', `Unsupported parameter "${name}" for the ${service} service`) };
+    }
+    if (typeof value !== 'string') {
+      return { params: {}, error: osrmError('InvalidQuery', `Parameter "${name}" must be given once`) };
+    }
+    try {
+      options[name](value, { count, profile });
+    } catch (error) {
+      return { params: {}, error: osrmError('InvalidValue', error.message) };
+    }
+    params[name] = value;
+  }
+
+  if (service === 'trip') {
+    const { error } = parseTripOptions(params);
+    if (error) return { params: {}, error: osrmError('InvalidValue', error) };
+  }
+
+  return { params, error: null };
+}
+
+module.exports = {
+  OSRM_SERVICES: Object.keys(SERVICES),
+  osrmError,
+  parseCoordinatesSegment,
+  validateOsrmRequest
+};
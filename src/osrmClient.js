@@ -0,0 +1,173 @@
+/**
+ * Resilient OSRM Upstream Client
+ * Keep-alive connection pool, retries with jitter, per-backend circuit
+ * breakers and failover across a list of OSRM backend URLs
+ */
+
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const logger = require('./logger');
+
+// Shared keep-alive pool for every OSRM backend
+const httpAgent = new http.Agent({ keepAlive: true, maxSockets: parseInt(process.env.OSRM_MAX_SOCKETS) || 50 });
+const httpsAgent = new https.Agent({ keepAlive: true, maxSockets: parseInt(process.env.OSRM_MAX_SOCKETS) || 50 });
+const httpClient = axios.create({ httpAgent, httpsAgent });
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Thrown when every backend's circuit is open, so callers can fail fast
+class OsrmUnavailableError extends Error {
+  constructor(message, backends) {
+    super(message);
+    this.name = 'OsrmUnavailableError';
+    this.backends = backends;
+  }
+}
+
+// Network errors, timeouts and 5xx mean the backend is unhealthy;
+// 4xx responses are OSRM answering about the request itself (NoRoute, InvalidValue, ...)
+function isBackendFailure(error) {
+  return !error.response || error.response.status >= 500;
+}
+
+class OsrmClient {
+  constructor(options = {}) {
+    this.name = options.name || 'default';
+    this.osrmProfile = options.osrmProfile || 'driving';
+    this.timeout = options.timeout || 30000; // 30 seconds
+    this.retries = options.retries ?? 2;
+    this.retryBaseDelay = options.retryBaseDelay || 200;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeout = options.resetTimeout || 30000; // 30 seconds
+
+    this.backends = options.urls.map(url => ({
+      url: url.replace(/\/+$/, ''),
+      state: 'closed',
+      failures: 0,
+      openedAt: null,
+      probing: false,
+      lastError: null,
+      lastFailureAt: null
+    }));
+  }
+
+  // Pick the next usable backend starting at `offset`, moving open circuits to half-open after the reset timeout
+  selectBackend(offset = 0) {
+    const now = Date.now();
+    for (let i = 0; i < this.backends.length; i++) {
+      const backend = this.backends[(offset + i) % this.backends.length];
+
+      if (backend.state === 'open' && now - backend.openedAt >= this.resetTimeout) {
+        backend.state = 'half-open';
+        logger.info(`OSRM circuit half-open for ${this.name} backend ${backend.url}`);
+      }
+      if (backend.state === 'closed') return backend;
+      // Only one trial request at a time while half-open
+      if (backend.state === 'half-open' && !backend.probing) return backend;
+    }
+    return null;
+  }
+
+  recordSuccess(backend) {
+    if (backend.state !== 'closed') {
+      logger.info(`OSRM circuit closed for ${this.name} backend ${backend.url}`);
+    }
+    backend.state = 'closed';
+    backend.failures = 0;
+    backend.openedAt = null;
+  }
+
+  recordFailure(backend, error) {
+    backend.failures++;
+    backend.lastError = error.code || error.message;
+    backend.lastFailureAt = new Date().toISOString();
+
+    if (backend.state === 'half-open' || backend.failures >= this.failureThreshold) {
+      if (backend.state !== 'open') {
+        logger.warn(`OSRM circuit opened for ${this.name} backend ${backend.url}`, {
+          failures: backend.failures,
+          error: backend.lastError
+        });
+      }
+      backend.state = 'open';
+      backend.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * GET an OSRM service, e.g. `get('route', 'lon,lat;lon,lat', { steps: true })`.
+   * Retries backend failures with jittered exponential backoff, failing over
+   * to the next backend each time. Resolves with the OSRM response body.
+   */
+  async get(service, coordinates, params = {}, options = {}) {
+    const timeout = options.timeout || this.timeout;
+    let lastError = null;
+    let offset = 0;
+
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      if (attempt > 0) {
+        // Full jitter: random delay up to the exponential backoff ceiling
+        await sleep(Math.random() * this.retryBaseDelay * 2 ** attempt);
+      }
+
+      const backend = this.selectBackend(offset);
+      if (!backend) {
+        throw new OsrmUnavailableError(
+          `All OSRM backends for profile "${this.name}" are unavailable`,
+          this.getState().backends
+        );
+      }
+
+      const probing = backend.state === 'half-open';
+      if (probing) backend.probing = true;
+
+      try {
+        const response = await httpClient.get(`${backend.url}/${service}/v1/${this.osrmProfile}/${coordinates}`, {
+          params,
+          timeout
+        });
+        this.recordSuccess(backend);
+        return response.data;
+      } catch (error) {
+        if (!isBackendFailure(error)) {
+          // The backend is healthy, the request itself was rejected
+          this.recordSuccess(backend);
+          throw error;
+        }
+
+        lastError = error;
+        this.recordFailure(backend, error);
+        logger.warn(`OSRM ${service} request failed on ${backend.url} (attempt ${attempt + 1}/${this.retries + 1})`, {
+          profile: this.name,
+          error: error.code || error.message
+        });
+        offset = this.backends.indexOf(backend) + 1;
+      } finally {
+        if (probing) backend.probing = false;
+      }
+    }
+
+    throw lastError;
+  }
+
+  // Public circuit state: backends are identified by their position in the configured list,
+  // URLs and error details stay in the logs
+  getState() {
+    const available = this.backends.some(b => b.state !== 'open' || Date.now() - b.openedAt >= this.resetTimeout);
+    return {
+      status: available ? 'ok' : 'unavailable',
+      backends: this.backends.map(({ state, failures, lastFailureAt }, index) => ({
+        index,
+        state,
+        failures,
+        lastFailureAt
+      }))
+    };
+  }
+}
+
+module.exports = {
+  OsrmClient,
+  OsrmUnavailableError
+};
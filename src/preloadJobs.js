@@ -0,0 +1,484 @@
+/**
+ * Tile Preload Jobs
+ * Downloads every tile of a layer inside a bbox or GeoJSON polygon for a set
+ * of zoom levels. Job state lives in cache/preload/{id}.json so jobs resume
+ * after a restart and every server sharing the cache sees the same jobs;
+ * only the worker instance runs them and applies pause/resume/cancel requests.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { SphericalMercator } = require('@mapbox/sphericalmercator');
+const ServiceArea = require('./serviceArea');
+
+const merc = new SphericalMercator({ size: 256 });
+
+const STATUSES = ['queued', 'running', 'paused', 'completed', 'cancelled', 'failed'];
+const FINISHED = ['completed', 'cancelled'];
+// States a job stays in until someone acts on it (failed and paused jobs need a resume)
+const SETTLED = [...FINISHED, 'failed', 'paused'];
+const ACTIONS = {
+  // action -> statuses it can be requested from
+  pause: ['queued', 'running'],
+  resume: ['paused', 'failed'],
+  cancel: ['queued', 'running', 'paused', 'failed']
+};
+
+const MAX_RATE = 50; // tiles per second
+const MAX_ZOOM_LEVELS = 10;
+const MAX_POLYGON_VERTICES = 10000;
+const CHECKPOINT_MS = 2000;
+const YIELD_EVERY = 200; // tiles between event loop yields, skipped and cached tiles never wait on I/O
+const MAX_CONSECUTIVE_FAILURES = 20; // upstream is probably down, pause instead of burning through the area
+const RECENT_FAILURES = 10;
+const JOB_FILE = /^([a-f0-9]{12})\.json$/;
+
+// "w,s,e,n" or [w, s, e, n] -> bounds
+function parseBbox(value) {
+  const parts = Array.isArray(value) ? value : String(value).split(',');
+  const [minLon, minLat, maxLon, maxLat] = parts.map(Number);
+  if (parts.length !== 4 || [minLon, minLat, maxLon, maxLat].some(n => !Number.isFinite(n)) ||
+      minLon < -180 || maxLon > 180 || minLat < -85.0511 || maxLat > 85.0511 ||
+      minLon >= maxLon || minLat >= maxLat) {
+    return null;
+  }
+  return { minLon, minLat, maxLon, maxLat };
+}
+
+// GeoJSON Polygon/MultiPolygon geometry, Feature or FeatureCollection -> MultiPolygon coordinates
+function parsePolygon(geojson) {
+  const features = geojson?.type === 'FeatureCollection' ? geojson.features
+    : geojson?.type === 'Feature' ? [geojson]
+      : [{ geometry: geojson }];
+  if (!Array.isArray(features)) return null;
+
+  const polygons = [];
+  for (const feature of features) {
+    const geometry = feature?.geometry;
+    if (geometry?.type === 'Polygon') polygons.push(geometry.coordinates);
+    else if (geometry?.type === 'MultiPolygon' && Array.isArray(geometry.coordinates)) polygons.push(...geometry.coordinates);
+    else return null;
+  }
+
+  let vertices = 0;
+  const valid = polygons.length > 0 && polygons.every(rings => Array.isArray(rings) && rings.length > 0 &&
+    rings.every(ring => {
+      vertices += Array.isArray(ring) ? ring.length : 0;
+      return Array.isArray(ring) && ring.length >= 4 && ring.every(position =>
+        Array.isArray(position) && position.length >= 2 &&
+        Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+        Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 85.0511);
+    }));
+  if (!valid || vertices > MAX_POLYGON_VERTICES) return null;
+  return polygons.map(rings => rings.map(ring => ring.map(([lon, lat]) => [lon, lat])));
+}
+
+// Tile ranges of the area's bounding box per zoom (the polygon itself is checked tile by tile)
+function tileGrids(bounds, zoomLevels) {
+  let offset = 0;
+  return zoomLevels.map(z => {
+    const { minX, minY, maxX, maxY } = merc.xyz([bounds.minLon, bounds.minLat, bounds.maxLon, bounds.maxLat], z);
+    const width = maxX - minX + 1;
+    const count = width * (maxY - minY + 1);
+    const grid = { z, minX, minY, width, count, offset };
+    offset += count;
+    return grid;
+  });
+}
+
+// Tile at a linear position over all grids, so progress is a single resumable number
+function tileAt(grids, position) {
+  const grid = grids.find(item => position < item.offset + item.count);
+  const index = position - grid.offset;
+  return { z: grid.z, x: grid.minX + index % grid.width, y: grid.minY + Math.floor(index / grid.width) };
+}
+
+const tileBounds = (x, y, z) => {
+  const [minLon, minLat, maxLon, maxLat] = merc.bbox(x, y, z, false, 'WGS84');
+  return { minLon, minLat, maxLon, maxLat };
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class PreloadJobManager {
+  static STATUSES = STATUSES;
+  static ACTIONS = Object.keys(ACTIONS);
+
+  /**
+   * @param {Object} options
+   * @param {TileCacheManager} options.cacheManager Downloads and caches the tiles
+   * @param {string} options.jobsDir Directory shared by every server using the cache
+   * @param {boolean} options.worker Run jobs in this process (one worker per shared cache)
+   * @param {Function} options.getLayer Tile layer by id (null = default layer)
+   * @param {Function} options.intersects Extra tile filter, e.g. the service area
+   */
+  constructor(options = {}) {
+    this.cacheManager = options.cacheManager;
+    this.jobsDir = options.jobsDir;
+    this.worker = options.worker ?? true;
+    this.getLayer = options.getLayer || (() => null);
+    this.intersects = options.intersects || (() => true);
+    this.defaultRate = options.defaultRate || 2; // upstream downloads per second
+    this.maxTiles = options.maxTiles || 500000;
+    this.pollInterval = options.pollInterval || 2000;
+    this.logger = options.logger || console;
+
+    this.active = null; // { job, action } of the job this worker is running
+    this.polling = null;
+    this.timer = null;
+  }
+
+  /**
+   * Validate a job request body.
+   * @returns {{ spec: Object|null, error: { msg: string, param: string }|null }}
+   */
+  parseSpec(input = {}) {
+    const fail = (param, msg) => ({ spec: null, error: { param, msg } });
+
+    const layer = this.getLayer(input.layer ?? null);
+    if (!layer) return fail('layer', `Unknown tile layer "${input.layer}"`);
+
+    if ((input.bbox === undefined) === (input.polygon === undefined)) {
+      return fail('bbox', 'Give either bbox ([minLon, minLat, maxLon, maxLat]) or polygon (GeoJSON)');
+    }
+    let polygons;
+    if (input.bbox !== undefined) {
+      const bbox = parseBbox(input.bbox);
+      if (!bbox) return fail('bbox', 'bbox must be minLon,minLat,maxLon,maxLat with min < max');
+      polygons = [[[
+        [bbox.minLon, bbox.minLat], [bbox.maxLon, bbox.minLat], [bbox.maxLon, bbox.maxLat],
+        [bbox.minLon, bbox.maxLat], [bbox.minLon, bbox.minLat]
+      ]]];
+    } else {
+      polygons = parsePolygon(input.polygon);
+      if (!polygons) {
+        return fail('polygon', `polygon must be a GeoJSON Polygon or MultiPolygon (geometry, Feature or FeatureCollection) with at most ${MAX_POLYGON_VERTICES} vertices`);
+      }
+    }
+
+    const zoomLevels = Array.isArray(input.zoomLevels) ? [...new Set(input.zoomLevels)].sort((a, b) => a - b) : [];
+    if (zoomLevels.length === 0 || zoomLevels.length > MAX_ZOOM_LEVELS ||
+        !zoomLevels.every(z => Number.isInteger(z) && z >= layer.minZoom && z <= layer.maxZoom)) {
+      return fail('zoomLevels', `zoomLevels must be 1-${MAX_ZOOM_LEVELS} integers between ${layer.minZoom} and ${layer.maxZoom}`);
+    }
+
+    const rate = input.rate ?? this.defaultRate;
+    if (typeof rate !== 'number' || !(rate > 0) || rate > MAX_RATE) {
+      return fail('rate', `rate must be a number of tiles per second above 0 and at most ${MAX_RATE}`);
+    }
+    if (input.refresh !== undefined && typeof input.refresh !== 'boolean') {
+      return fail('refresh', 'refresh must be true or false');
+    }
+
+    const bounds = ServiceArea.computeBounds(polygons);
+    const grids = tileGrids(bounds, zoomLevels);
+    const totalTiles = grids.reduce((sum, grid) => sum + grid.count, 0);
+    if (totalTiles > this.maxTiles) {
+      return fail('zoomLevels', `The area covers ${totalTiles} tiles at these zoom levels, at most ${this.maxTiles} are allowed per job`);
+    }
+
+    return {
+      spec: {
+        layer: layer.id,
+        zoomLevels,
+        bounds,
+        area: polygons,
+        rate,
+        refresh: input.refresh === true,
+        totalTiles
+      },
+      error: null
+    };
+  }
+
+  jobPath(id) {
+    return path.join(this.jobsDir, `${id}.json`);
+  }
+
+  controlPath(id) {
+    return path.join(this.jobsDir, `${id}.control`);
+  }
+
+  // Write to a temp file and rename, so other servers never read a half-written job
+  async saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+    const tempPath = `${this.jobPath(job.id)}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(job, null, 2));
+    await fs.rename(tempPath, this.jobPath(job.id));
+  }
+
+  async loadJob(id) {
+    try {
+      return JSON.parse(await fs.readFile(this.jobPath(id), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async loadControl(id) {
+    try {
+      return JSON.parse(await fs.readFile(this.controlPath(id), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async loadJobs() {
+    const files = await fs.readdir(this.jobsDir).catch(() => []);
+    const jobs = await Promise.all(files
+      .map(file => JOB_FILE.exec(file))
+      .filter(Boolean)
+      .map(match => this.loadJob(match[1])));
+    return jobs.filter(Boolean).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  // Client-facing view: progress, timings and any pause/resume/cancel not yet picked up by the worker
+  async describe(stored, { withArea = false } = {}) {
+    // The worker's copy is ahead of the last checkpoint
+    const live = this.active?.job.id === stored.id ? this.active : null;
+    const job = live ? live.job : stored;
+    const { area, ...spec } = job.spec;
+    const control = await this.loadControl(job.id);
+    const pendingAction = control?.action || (live?.action !== 'shutdown' && live?.action) || null;
+    const { total, processed } = job.progress;
+    const elapsedSeconds = live ? (Date.now() - live.startedAt) / 1000 : 0;
+    const tilesPerSecond = live && elapsedSeconds > 0 ? (processed - live.startPosition) / elapsedSeconds : null;
+
+    return {
+      id: job.id,
+      status: job.status,
+      spec: withArea ? job.spec : spec,
+      progress: {
+        ...job.progress,
+        percent: total > 0 ? Math.round(processed / total * 1000) / 10 : 100,
+        ...(tilesPerSecond ? { tilesPerSecond: Math.round(tilesPerSecond * 10) / 10, etaSeconds: Math.round((total - processed) / tilesPerSecond) } : {})
+      },
+      recentFailures: job.recentFailures,
+      ...(job.reason ? { reason: job.reason } : {}),
+      ...(pendingAction ? { pendingAction } : {}),
+      source: job.source,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      updatedAt: job.updatedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  async list() {
+    const jobs = await this.loadJobs();
+    return Promise.all(jobs.map(job => this.describe(job)));
+  }
+
+  async get(id) {
+    const job = /^[a-f0-9]{12}$/.test(id) ? await this.loadJob(id) : null;
+    return job ? this.describe(job, { withArea: true }) : null;
+  }
+
+  // Queue a job for a spec returned by parseSpec
+  async create(spec, source = 'api') {
+    const job = {
+      id: crypto.randomBytes(6).toString('hex'),
+      status: 'queued',
+      spec,
+      progress: { total: spec.totalTiles, processed: 0, downloaded: 0, cached: 0, skipped: 0, failed: 0 },
+      recentFailures: [],
+      source,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+    await this.saveJob(job);
+    this.logger.info(`Preload job ${job.id} queued: ${spec.layer} zoom ${spec.zoomLevels.join(',')}, ${spec.totalTiles} tiles`);
+    if (this.worker) this.poll();
+    return this.describe(job);
+  }
+
+  /**
+   * Ask the worker to pause, resume or cancel a job, or delete it.
+   * @returns {{ job: Object|null, error: string|null }} error is 'not_found' or 'conflict'
+   */
+  async request(id, action) {
+    const job = /^[a-f0-9]{12}$/.test(id) ? await this.loadJob(id) : null;
+    if (!job) return { job: null, error: 'not_found' };
+
+    if (action === 'delete') {
+      if (!FINISHED.includes(job.status)) return { job: await this.describe(job), error: 'conflict' };
+      await fs.unlink(this.jobPath(id)).catch(() => {});
+      await fs.unlink(this.controlPath(id)).catch(() => {});
+      this.logger.info(`Preload job ${id} deleted`);
+      return { job: null, error: null };
+    }
+
+    if (!ACTIONS[action].includes(job.status)) return { job: await this.describe(job), error: 'conflict' };
+    await fs.writeFile(this.controlPath(id), JSON.stringify({ action, requestedAt: new Date().toISOString() }));
+    if (this.worker) await this.poll();
+    return { job: await this.describe((await this.loadJob(id)) || job), error: null };
+  }
+
+  // Start the worker loop: apply requests, then run the oldest queued (or interrupted) job
+  start() {
+    if (!this.worker || this.timer) return;
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    this.poll();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    // The running job stops at its next tile; its file still says "running", so the next start resumes it
+    if (this.active) this.active.action = 'shutdown';
+  }
+
+  poll() {
+    if (!this.polling) {
+      this.polling = this.applyRequests()
+        .catch(error => this.logger.error('Preload job poll failed:', error.message))
+        .finally(() => { this.polling = null; });
+    }
+    return this.polling;
+  }
+
+  async applyRequests() {
+    const jobs = await this.loadJobs();
+    for (const job of jobs) {
+      const control = await this.loadControl(job.id);
+      if (!control) continue;
+      await fs.unlink(this.controlPath(job.id)).catch(() => {});
+
+      if (this.active?.job.id === job.id) {
+        if (control.action !== 'resume') this.active.action = control.action;
+        continue;
+      }
+      if (!ACTIONS[control.action]?.includes(job.status)) continue;
+
+      job.status = { pause: 'paused', resume: 'queued', cancel: 'cancelled' }[control.action];
+      if (control.action === 'cancel') job.finishedAt = new Date().toISOString();
+      delete job.reason;
+      await this.saveJob(job);
+      this.logger.info(`Preload job ${job.id} ${job.status}`);
+    }
+
+    if (this.active || !this.timer) return;
+    // A job still marked running without an active runner was interrupted by a restart
+    const next = jobs.find(job => job.status === 'running') || jobs.find(job => job.status === 'queued');
+    if (next) {
+      this.runJob(await this.loadJob(next.id))
+        .catch(error => this.logger.error(`Preload job ${next.id} crashed:`, error.message));
+    }
+  }
+
+  async runJob(job) {
+    if (!job || !['queued', 'running'].includes(job.status)) return;
+    const { spec, progress } = job;
+    const active = { job, action: null, startedAt: Date.now(), startPosition: progress.processed };
+    this.active = active;
+
+    try {
+      const layer = this.getLayer(spec.layer);
+      if (!layer) {
+        return await this.finish(job, 'failed', `Tile layer "${spec.layer}" is no longer configured`);
+      }
+
+      const resumed = job.status === 'running' || progress.processed > 0;
+      job.status = 'running';
+      job.startedAt = job.startedAt || new Date().toISOString();
+      delete job.reason;
+      await this.saveJob(job);
+      this.logger.info(`Preload job ${job.id} ${resumed ? `resumed at tile ${progress.processed}` : 'started'} of ${progress.total}`);
+
+      const grids = tileGrids(spec.bounds, spec.zoomLevels);
+      const interval = 1000 / spec.rate;
+      let lastDownload = 0;
+      let lastCheckpoint = Date.now();
+      let consecutiveFailures = 0;
+
+      while (progress.processed < progress.total) {
+        if (active.action) break;
+
+        const { z, x, y } = tileAt(grids, progress.processed);
+        const bounds = tileBounds(x, y, z);
+        if (!ServiceArea.intersectsBounds(spec.area, bounds) || !this.intersects(bounds)) {
+          progress.skipped++;
+        } else if (!spec.refresh && await this.cacheManager.isTileCached(layer, z, x, y)) {
+          progress.cached++;
+        } else {
+          // Throttle upstream requests to the job's rate
+          const wait = lastDownload + interval - Date.now();
+          if (wait > 0) await sleep(wait);
+          lastDownload = Date.now();
+          try {
+            await this.cacheManager.getTile(layer, z, x, y, spec.refresh);
+            progress.downloaded++;
+            consecutiveFailures = 0;
+          } catch (error) {
+            progress.failed++;
+            consecutiveFailures++;
+            job.recentFailures = [
+              ...job.recentFailures,
+              { tile: `${z}/${x}/${y}`, error: error.message, at: new Date().toISOString() }
+            ].slice(-RECENT_FAILURES);
+            if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+              progress.processed++;
+              return await this.finish(job, 'paused', `Paused after ${consecutiveFailures} failed downloads in a row, resume once the tile source is back`);
+            }
+          }
+        }
+        progress.processed++;
+
+        // Let requests in between tiles, a mostly cached or out-of-area job would otherwise hold the server
+        if (progress.processed % YIELD_EVERY === 0) {
+          await new Promise(setImmediate);
+        }
+        if (Date.now() - lastCheckpoint > CHECKPOINT_MS) {
+          lastCheckpoint = Date.now();
+          await this.saveJob(job);
+        }
+      }
+
+      if (active.action === 'shutdown') {
+        await this.saveJob(job);
+      } else if (active.action === 'pause') {
+        await this.finish(job, 'paused');
+      } else if (active.action === 'cancel') {
+        await this.finish(job, 'cancelled');
+      } else {
+        await this.finish(job, 'completed');
+      }
+    } finally {
+      this.active = null;
+    }
+  }
+
+  async finish(job, status, reason) {
+    job.status = status;
+    if (reason) job.reason = reason;
+    if (FINISHED.includes(status) || status === 'failed') job.finishedAt = new Date().toISOString();
+    await this.saveJob(job);
+
+    const { processed, total, downloaded, cached, skipped, failed } = job.progress;
+    const message = `Preload job ${job.id} ${status}${reason ? ` (${reason})` : ''}: ${processed}/${total} tiles, ` +
+      `${downloaded} downloaded, ${cached} already cached, ${skipped} outside the area, ${failed} failed`;
+    if (status === 'completed' || status === 'cancelled') this.logger.info(message);
+    else this.logger.warn(message);
+  }
+
+  // Resolve once a job stops making progress on its own (used by the startup preload)
+  async waitFor(id, interval = 5000) {
+    for (;;) {
+      const job = await this.loadJob(id);
+      if (!job) throw new Error(`Preload job ${id} was deleted`);
+      if (SETTLED.includes(job.status)) return job;
+      await sleep(interval);
+    }
+  }
+
+  getStatus() {
+    return {
+      worker: this.worker,
+      activeJob: this.active ? this.active.job.id : null
+    };
+  }
+}
+
+module.exports = PreloadJobManager;
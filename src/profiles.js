@@ -0,0 +1,134 @@
+/**
+ * Routing Profile Registry
+ * Maps each routing profile (car, motorcycle, foot, ...) to its own OSRM backend(s)
+ *
+ * Configure with OSRM_PROFILES="car=http://osrm-car:5000,motorcycle=http://osrm-moto-1:5000|http://osrm-moto-2:5000"
+ * ("|" separates failover backends). When unset, a single "car" profile uses
+ * OSRM_URL, which may itself be a comma-separated failover list.
+ */
+
+const logger = require('./logger');
+const { OsrmClient } = require('./osrmClient');
+
+// Profile segment used in OSRM URLs (osrm-routed serves whatever dataset it loaded)
+const OSRM_PROFILE_NAMES = {
+  car: 'driving',
+  motorcycle: 'driving',
+  foot: 'foot',
+  bicycle: 'cycling'
+};
+
+// Exclude classes declared in the stock OSRM .lua profiles (only car.lua has any)
+const DEFAULT_EXCLUDE_CLASSES = {
+  driving: ['toll', 'motorway', 'ferry'],
+  foot: [],
+  cycling: []
+};
+
+// Override with OSRM_EXCLUDE_CLASSES="car=toll|motorway|ferry,motorcycle=toll|ferry" for custom .lua profiles
+function loadExcludeClasses() {
+  const overrides = new Map();
+  for (const entry of (process.env.OSRM_EXCLUDE_CLASSES || '').split(',')) {
+    const separator = entry.indexOf('=');
+    if (separator === -1) continue;
+    overrides.set(
+      entry.slice(0, separator).trim(),
+      entry.slice(separator + 1).split('|').map(name => name.trim()).filter(Boolean)
+    );
+  }
+  return overrides;
+}
+
+const excludeOverrides = loadExcludeClasses();
+
+// Shared upstream client settings for every profile
+const clientOptions = {
+  timeout: parseInt(process.env.OSRM_TIMEOUT_MS) || 30000,
+  retries: process.env.OSRM_RETRIES !== undefined ? parseInt(process.env.OSRM_RETRIES) : 2,
+  failureThreshold: parseInt(process.env.OSRM_CIRCUIT_THRESHOLD) || 5,
+  resetTimeout: parseInt(process.env.OSRM_CIRCUIT_RESET_MS) || 30000
+};
+
+function createProfile(name, urls) {
+  const osrmProfile = OSRM_PROFILE_NAMES[name] || name;
+  return {
+    name,
+    osrmProfile,
+    excludeClasses: excludeOverrides.get(name) || DEFAULT_EXCLUDE_CLASSES[osrmProfile] || [],
+    client: new OsrmClient({ ...clientOptions, name, osrmProfile, urls })
+  };
+}
+
+// Parse "name=url|url,name=url" into a Map of profile entries
+function loadProfiles() {
+  const profiles = new Map();
+  const config = process.env.OSRM_PROFILES;
+
+  if (!config) {
+    const urls = (process.env.OSRM_URL || 'http://localhost:5000').split(',').map(url => url.trim()).filter(Boolean);
+    profiles.set('car', createProfile('car', urls));
+    return profiles;
+  }
+
+  for (const entry of config.split(',')) {
+    const separator = entry.indexOf('=');
+    const name = entry.slice(0, separator).trim();
+    const urls = entry.slice(separator + 1).split('|').map(url => url.trim()).filter(Boolean);
+
+    if (separator === -1 || !name || urls.length === 0) {
+      logger.warn(`Ignoring invalid OSRM_PROFILES entry: "${entry}"`);
+      continue;
+    }
+    profiles.set(name, createProfile(name, urls));
+  }
+
+  return profiles;
+}
+
+const profiles = loadProfiles();
+const DEFAULT_PROFILE = profiles.has(process.env.DEFAULT_PROFILE)
+  ? process.env.DEFAULT_PROFILE
+  : profiles.keys().next().value;
+
+logger.info(`Routing profiles: ${[...profiles.keys()].join(', ')} (default: ${DEFAULT_PROFILE})`);
+
+// Look up a profile by name, falling back to the default when no name is given
+function getProfile(name) {
+  return profiles.get(name || DEFAULT_PROFILE) || null;
+}
+
+// Profile for the profile segment of an OSRM URL: a profile name (car) or the OSRM profile it serves (driving)
+function findOsrmProfile(segment) {
+  return profiles.get(segment) || [...profiles.values()].find(profile => profile.osrmProfile === segment) || null;
+}
+
+function getProfileNames() {
+  return [...profiles.keys()];
+}
+
+// Public profile listing (backend URLs stay internal)
+function listProfiles() {
+  return getProfileNames().map(name => ({
+    name,
+    default: name === DEFAULT_PROFILE,
+    excludeClasses: profiles.get(name).excludeClasses
+  }));
+}
+
+// Circuit breaker state of every backend, per profile
+function getBackendStates() {
+  const states = {};
+  for (const [name, profile] of profiles) {
+    states[name] = profile.client.getState();
+  }
+  return states;
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  getProfile,
+  findOsrmProfile,
+  getProfileNames,
+  listProfiles,
+  getBackendStates
+};
@@ -20,12 +20,15 @@ const getDynamicLimit = () => {
   return { route: 10, tile: 50, global: 75 }; // Emergency
 };
 
-// Rate limit message handler
-const rateLimitMessage = (type) => ({
+// Rate limit message handler (same envelope as every other API error)
+const rateLimitMessage = (type, req) => ({
+  success: false,
   error: 'Rate limit exceeded',
+  code: 'RATE_LIMITED',
   type: type,
   message: `Too many ${type} requests. Please try again later.`,
   retryAfter: '60 seconds',
+  requestId: req?.id,
   timestamp: new Date().toISOString()
 });
 
@@ -41,7 +44,7 @@ const globalLimiter = rateLimit({
   skipFailedRequests: false,
   handler: (req, res) => {
     logger.warn(`Rate limit exceeded for IP ${req.ip} on ${req.path}`);
-    res.status(429).json(rateLimitMessage('API'));
+    res.status(429).json(rateLimitMessage('API', req));
   }
 });
 
@@ -55,7 +58,7 @@ const routeLimiter = rateLimit({
   message: rateLimitMessage('routing'),
   handler: (req, res) => {
     logger.warn(`Route rate limit exceeded for IP ${req.ip}`);
-    res.status(429).json(rateLimitMessage('routing'));
+    res.status(429).json(rateLimitMessage('routing', req));
   }
 });
 
@@ -69,21 +72,36 @@ const tileLimiter = rateLimit({
   message: rateLimitMessage('tile'),
   handler: (req, res) => {
     logger.warn(`Tile rate limit exceeded for IP ${req.ip}`);
-    res.status(429).json(rateLimitMessage('tile'));
+    res.status(429).json(rateLimitMessage('tile', req));
   }
 });
 
-// Cache management rate limit (very restrictive)
+// Cache management rate limit (very restrictive, /cache/jobs has its own)
 const cacheLimiter = rateLimit({
   windowMs: 5 * 60 * 1000, // 5 minutes
   max: 5, // Very limited
   standardHeaders: true,
   legacyHeaders: false,
   store: new MemoryStore(),
+  skip: (req) => req.path.startsWith('/jobs'),
   message: rateLimitMessage('cache management'),
   handler: (req, res) => {
     logger.warn(`Cache management rate limit exceeded for IP ${req.ip}`);
-    res.status(429).json(rateLimitMessage('cache management'));
+    res.status(429).json(rateLimitMessage('cache management', req));
+  }
+});
+
+// Preload job management rate limit (enough to poll a job's progress every few seconds)
+const jobsLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: new MemoryStore(),
+  message: rateLimitMessage('preload job'),
+  handler: (req, res) => {
+    logger.warn(`Preload job rate limit exceeded for IP ${req.ip}`);
+    res.status(429).json(rateLimitMessage('preload job', req));
   }
 });
 
@@ -97,7 +115,7 @@ const preloadLimiter = rateLimit({
   message: rateLimitMessage('preload'),
   handler: (req, res) => {
     logger.warn(`Preload rate limit exceeded for IP ${req.ip}`);
-    res.status(429).json(rateLimitMessage('preload'));
+    res.status(429).json(rateLimitMessage('preload', req));
   }
 });
 
@@ -106,6 +124,7 @@ module.exports = {
   routeLimiter,
   tileLimiter,
   cacheLimiter,
+  jobsLimiter,
   preloadLimiter,
   getDynamicLimit
 };
\ No newline at end of file
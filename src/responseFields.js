@@ -0,0 +1,65 @@
+/**
+ * Response Field Selection
+ * Trims OSRM route responses down to the dot paths a client asks for,
+ * e.g. fields=distance,duration,geometry
+ */
+
+// Top-level keys of an OSRM route response; other paths are relative to each route
+const ROOT_KEYS = ['code', 'routes', 'waypoints'];
+const PATH_PATTERN = /^[A-Za-z_]\w*(\.[A-Za-z_]\w*)*$/;
+
+/**
+ * Parse a comma-separated field list (or array) into a selection tree.
+ * `distance` means routes[].distance, `legs.summary` routes[].legs[].summary,
+ * and `waypoints.location` the top-level waypoints. `code` is always kept.
+ * @returns {{ tree: Object|null, error: string|null }}
+ */
+function parseFields(value) {
+  const paths = (Array.isArray(value) ? value : String(value).split(','))
+    .map(path => String(path).trim())
+    .filter(Boolean);
+
+  if (paths.length === 0) {
+    return { tree: null, error: 'Fields must list one or more paths, e.g. distance,duration,geometry' };
+  }
+  const invalid = paths.find(path => !PATH_PATTERN.test(path));
+  if (invalid) {
+    return { tree: null, error: `Invalid field path "${invalid}"; use dot-separated names such as legs.summary` };
+  }
+
+  const tree = { code: true };
+  for (const path of paths) {
+    const segments = ROOT_KEYS.includes(path.split('.')[0]) ? path.split('.') : ['routes', ...path.split('.')];
+    let node = tree;
+    for (const [i, segment] of segments.entries()) {
+      if (node[segment] === true) break; // a parent path already selects everything below
+      if (i === segments.length - 1) {
+        node[segment] = true;
+      } else {
+        node[segment] = node[segment] || {};
+        node = node[segment];
+      }
+    }
+  }
+
+  return { tree, error: null };
+}
+
+// Copy only the selected paths; arrays are traversed element by element
+function selectFields(value, tree) {
+  if (tree === true || value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(item => selectFields(item, tree));
+
+  const result = {};
+  for (const [key, subtree] of Object.entries(tree)) {
+    if (value[key] !== undefined) {
+      result[key] = selectFields(value[key], subtree);
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  parseFields,
+  selectFields
+};
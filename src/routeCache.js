@@ -0,0 +1,137 @@
+/**
+ * Route Result Cache
+ * In-process cache for OSRM route responses keyed on rounded coordinates
+ * and routing options, with TTL, memory cap and dataset-based invalidation
+ */
+
+const NodeCache = require('node-cache');
+const logger = require('./logger');
+
+class RouteCache {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.precision = options.precision ?? 5; // decimal places (~1m at 5)
+    this.ttlSeconds = options.ttlSeconds || 3600; // 1 hour
+    this.maxSizeMB = options.maxSizeMB || 100;
+    this.getDataVersion = options.getDataVersion || (() => null);
+    this.versionCheckInterval = options.versionCheckInterval || 60000; // 1 minute
+
+    this.cache = new NodeCache({
+      stdTTL: this.ttlSeconds,
+      checkperiod: 120,
+      useClones: false
+    });
+
+    // Approximate memory usage per key (insertion order = oldest first)
+    this.entrySizes = new Map();
+    this.totalSize = 0;
+    this.stats = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+
+    this.dataVersion = this.getDataVersion();
+    this.lastVersionCheck = Date.now();
+
+    this.cache.on('del', (key) => this.forgetEntry(key));
+    this.cache.on('flush', () => {
+      this.entrySizes.clear();
+      this.totalSize = 0;
+    });
+  }
+
+  forgetEntry(key) {
+    const size = this.entrySizes.get(key);
+    if (size !== undefined) {
+      this.totalSize -= size;
+      this.entrySizes.delete(key);
+    }
+  }
+
+  /**
+   * Build a cache key from the profile, rounded waypoints and every OSRM
+   * parameter that affects the result (sorted so order doesn't matter).
+   */
+  buildKey(profile, waypoints, params) {
+    const coordinates = waypoints
+      .map(wp => `${wp.lon.toFixed(this.precision)},${wp.lat.toFixed(this.precision)}`)
+      .join(';');
+    const options = Object.keys(params)
+      .sort()
+      .map(name => `${name}=${params[name]}`)
+      .join('&');
+    return `${profile}|${coordinates}|${options}`;
+  }
+
+  // Flush everything when the OSRM dataset has been rebuilt since the last check
+  checkDataVersion() {
+    const now = Date.now();
+    if (now - this.lastVersionCheck < this.versionCheckInterval) return;
+    this.lastVersionCheck = now;
+
+    const version = this.getDataVersion();
+    if (version !== this.dataVersion) {
+      logger.info('🔄 OSRM data has been rebuilt, clearing route cache...', {
+        previous: this.dataVersion,
+        current: version
+      });
+      this.dataVersion = version;
+      this.flush();
+      this.stats.invalidations++;
+    }
+  }
+
+  get(key) {
+    if (!this.enabled) return undefined;
+    this.checkDataVersion();
+
+    const value = this.cache.get(key);
+    if (value === undefined) {
+      this.stats.misses++;
+    } else {
+      this.stats.hits++;
+    }
+    return value;
+  }
+
+  set(key, value) {
+    if (!this.enabled) return;
+
+    const size = Buffer.byteLength(JSON.stringify(value));
+    const maxSize = this.maxSizeMB * 1024 * 1024;
+    if (size > maxSize) return;
+
+    this.cache.del(key);
+    this.cache.set(key, value);
+    this.entrySizes.set(key, size);
+    this.totalSize += size;
+
+    // Evict oldest entries until we're back under the memory cap
+    for (const oldestKey of this.entrySizes.keys()) {
+      if (this.totalSize <= maxSize) break;
+      this.cache.del(oldestKey);
+      this.stats.evictions++;
+    }
+  }
+
+  flush() {
+    this.cache.flushAll();
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      enabled: this.enabled,
+      entries: this.cache.keys().length,
+      sizeMB: Math.round(this.totalSize / (1024 * 1024) * 100) / 100,
+      maxSizeMB: this.maxSizeMB,
+      ttlSeconds: this.ttlSeconds,
+      precision: this.precision,
+      hitRate: lookups > 0 ? Math.round(this.stats.hits / lookups * 1000) / 10 : 0,
+      ...this.stats
+    };
+  }
+
+  stop() {
+    this.cache.close();
+  }
+}
+
+module.exports = RouteCache;
@@ -0,0 +1,166 @@
+/**
+ * Route Export
+ * Converts an OSRM route response into downloadable GPX, KML or
+ * GeoJSON FeatureCollection documents
+ */
+
+const EXPORT_FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' }
+};
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Collect the pieces every format needs from the primary route
+function collectRoute(data) {
+  const route = data.routes?.[0];
+  if (!route) {
+    throw new Error('Route response has no routes to export');
+  }
+
+  const waypoints = (data.waypoints || []).map((waypoint, index) => ({
+    index,
+    name: waypoint.name || '',
+    location: waypoint.location
+  }));
+
+  const steps = [];
+  (route.legs || []).forEach((leg, legIndex) => {
+    for (const step of leg.steps || []) {
+      steps.push({
+        legIndex,
+        location: step.maneuver.location,
+        instruction: step.maneuver.instruction || step.name || step.maneuver.type,
+        type: step.maneuver.type,
+        modifier: step.maneuver.modifier || null,
+        name: step.name || '',
+        distance: step.distance,
+        duration: step.duration
+      });
+    }
+  });
+
+  return {
+    coordinates: route.geometry?.coordinates || [],
+    distance: route.distance,
+    duration: route.duration,
+    waypoints,
+    steps
+  };
+}
+
+function toGeoJson(route, name) {
+  const point = (coordinates, properties) => ({
+    type: 'Feature',
+    properties,
+    geometry: { type: 'Point', coordinates }
+  });
+
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        properties: { type: 'route', name, distance: route.distance, duration: route.duration },
+        geometry: { type: 'LineString', coordinates: route.coordinates }
+      },
+      ...route.waypoints.map(wp => point(wp.location, { type: 'waypoint', index: wp.index, name: wp.name })),
+      ...route.steps.map((step, index) => point(step.location, {
+        type: 'instruction',
+        index,
+        leg: step.legIndex,
+        instruction: step.instruction,
+        maneuver: step.type,
+        modifier: step.modifier,
+        name: step.name,
+        distance: step.distance,
+        duration: step.duration
+      }))
+    ]
+  }, null, 2);
+}
+
+function toGpx(route, name) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="OSRM-Tile-Service/1.0" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(name)}</name><time>${new Date().toISOString()}</time></metadata>`
+  ];
+
+  route.waypoints.forEach(wp => {
+    lines.push(`  <wpt lat="${wp.location[1]}" lon="${wp.location[0]}"><name>${escapeXml(wp.name || `Waypoint ${wp.index + 1}`)}</name><type>waypoint</type></wpt>`);
+  });
+
+  lines.push(`  <rte><name>${escapeXml(name)} (instructions)</name>`);
+  route.steps.forEach(step => {
+    lines.push(`    <rtept lat="${step.location[1]}" lon="${step.location[0]}"><name>${escapeXml(step.instruction)}</name><desc>${escapeXml(`${Math.round(step.distance)} m, ${Math.round(step.duration)} s`)}</desc><type>${escapeXml(step.type)}</type></rtept>`);
+  });
+  lines.push('  </rte>');
+
+  lines.push(`  <trk><name>${escapeXml(name)}</name><trkseg>`);
+  route.coordinates.forEach(([lon, lat]) => {
+    lines.push(`    <trkpt lat="${lat}" lon="${lon}"/>`);
+  });
+  lines.push('  </trkseg></trk>', '</gpx>');
+
+  return lines.join('\n');
+}
+
+function toKml(route, name) {
+  const placemark = (title, description, coordinates, styleUrl) =>
+    `    <Placemark><name>${escapeXml(title)}</name>` +
+    (description ? `<description>${escapeXml(description)}</description>` : '') +
+    `<styleUrl>${styleUrl}</styleUrl><Point><coordinates>${coordinates[0]},${coordinates[1]}</coordinates></Point></Placemark>`;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>',
+    `  <name>${escapeXml(name)}</name>`,
+    '  <Style id="route"><LineStyle><color>ffd18a1e</color><width>4</width></LineStyle></Style>',
+    '  <Style id="waypoint"><IconStyle><scale>1.1</scale></IconStyle></Style>',
+    '  <Style id="instruction"><IconStyle><scale>0.6</scale></IconStyle></Style>',
+    `  <Placemark><name>${escapeXml(name)}</name>` +
+      `<description>${escapeXml(`${Math.round(route.distance)} m, ${Math.round(route.duration)} s`)}</description>` +
+      '<styleUrl>#route</styleUrl><LineString><tessellate>1</tessellate><coordinates>' +
+      route.coordinates.map(([lon, lat]) => `${lon},${lat}`).join(' ') +
+      '</coordinates></LineString></Placemark>',
+    '  <Folder><name>Waypoints</name>',
+    ...route.waypoints.map(wp => placemark(wp.name || `Waypoint ${wp.index + 1}`, null, wp.location, '#waypoint')),
+    '  </Folder>',
+    '  <Folder><name>Instructions</name>',
+    ...route.steps.map(step => placemark(step.instruction, `${Math.round(step.distance)} m, ${Math.round(step.duration)} s`, step.location, '#instruction')),
+    '  </Folder>',
+    '</Document>',
+    '</kml>'
+  ];
+
+  return lines.join('\n');
+}
+
+/**
+ * Export the primary route of an OSRM response (GeoJSON geometry, with steps).
+ * @returns {{ body: string, contentType: string, filename: string }}
+ */
+function exportRoute(data, format, { name = 'Route' } = {}) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const route = collectRoute(data);
+  const writers = { gpx: toGpx, kml: toKml, geojson: toGeoJson };
+
+  return {
+    body: writers[format](route, name),
+    contentType,
+    filename: `route-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS: Object.keys(EXPORT_FORMATS),
+  exportRoute
+};
@@ -0,0 +1,120 @@
+/**
+ * Route Options
+ * Validation and OSRM parameter mapping for the optional /route settings:
+ * exclude, annotations, continue_straight, snapping, alternatives, overview and depart_at
+ */
+
+const ANNOTATIONS = ['speed', 'duration', 'distance', 'nodes'];
+const CONTINUE_STRAIGHT = ['default', 'true', 'false'];
+const SNAPPING = ['default', 'any'];
+// Matches osrm-routed --max-alternatives (default 3)
+const MAX_ALTERNATIVES = parseInt(process.env.OSRM_MAX_ALTERNATIVES) || 3;
+
+// Accept "a,b" strings (query) as well as ["a", "b"] arrays (JSON body)
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+}
+
+/**
+ * Check `exclude` against the classes declared by the profile's .lua file.
+ * Throws with the supported classes listed, for use in express-validator.
+ */
+function checkExclude(value, profile) {
+  const classes = toList(value);
+  if (classes.length === 0) {
+    throw new Error('Exclude must list one or more classes, e.g. toll,ferry');
+  }
+
+  // Unknown profiles are reported by resolveProfile
+  if (!profile) return true;
+
+  const unsupported = classes.filter(name => !profile.excludeClasses.includes(name));
+  if (unsupported.length > 0) {
+    const supported = profile.excludeClasses.length > 0 ? profile.excludeClasses.join(', ') : 'none';
+    throw new Error(
+      `Exclude class ${unsupported.map(name => `"${name}"`).join(', ')} is not supported by profile "${profile.name}". ` +
+      `Supported exclude classes: ${supported}`
+    );
+  }
+  return true;
+}
+
+function checkAnnotations(value) {
+  if (value === true || value === false || value === 'true' || value === 'false') return true;
+
+  const annotations = toList(value);
+  if (annotations.length === 0 || !annotations.every(name => ANNOTATIONS.includes(name))) {
+    throw new Error(`Annotations must be true, false or a list of: ${ANNOTATIONS.join(', ')}`);
+  }
+  return true;
+}
+
+// OSRM takes either a boolean or the number of alternatives to search for
+function checkAlternatives(value) {
+  if (value === true || value === false || value === 'true' || value === 'false') return true;
+
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0 || count > MAX_ALTERNATIVES) {
+    throw new Error(`Alternatives must be true, false or a number from 0 to ${MAX_ALTERNATIVES}`);
+  }
+  return true;
+}
+
+// ISO 8601 with an explicit offset (or Z), so the local hour is unambiguous
+const DEPART_AT_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+// Departure time as a Date, or null when invalid
+function parseDepartAt(value) {
+  if (value === 'now') return new Date();
+  if (typeof value !== 'string') return null;
+
+  // An unescaped "+07:00" in a query string arrives as " 07:00"
+  const normalised = value.replace(/ (\d{2}:?\d{2})$/, '+$1');
+  if (!DEPART_AT_PATTERN.test(normalised)) return null;
+
+  const date = new Date(normalised);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function checkDepartAt(value) {
+  if (!parseDepartAt(value)) {
+    throw new Error('depart_at must be "now" or an ISO 8601 time with offset, e.g. 2025-06-02T07:30:00+07:00');
+  }
+  return true;
+}
+
+/**
+ * Map validated options onto OSRM query parameters, leaving out
+ * anything the caller didn't set so OSRM's defaults apply.
+ */
+function toRouteParams({ alternatives, exclude, annotations, continueStraight, snapping, overview }) {
+  const params = {
+    alternatives: alternatives !== undefined ? String(alternatives) : 'false',
+    overview: overview || 'full'
+  };
+
+  if (exclude !== undefined) params.exclude = toList(exclude).join(',');
+  if (annotations !== undefined) {
+    params.annotations = typeof annotations === 'boolean' || annotations === 'true' || annotations === 'false'
+      ? String(annotations)
+      : toList(annotations).join(',');
+  }
+  if (continueStraight !== undefined) params.continue_straight = String(continueStraight);
+  if (snapping !== undefined) params.snapping = snapping;
+
+  return params;
+}
+
+module.exports = {
+  ANNOTATIONS,
+  CONTINUE_STRAIGHT,
+  SNAPPING,
+  MAX_ALTERNATIVES,
+  checkExclude,
+  checkAnnotations,
+  checkAlternatives,
+  checkDepartAt,
+  parseDepartAt,
+  toRouteParams
+};
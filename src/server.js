@@ -1,6 +1,6 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
 const helmet = require('helmet');
 const compression = require('compression');
 const { body, query, validationResult } = require('express-validator');
@@ -12,9 +12,62 @@ const {
   routeLimiter,
   tileLimiter,
   cacheLimiter,
+  jobsLimiter,
   preloadLimiter
 } = require('./rateLimiter');
 const MemoryMonitor = require('./memoryMonitor');
+const RouteCache = require('./routeCache');
+const ServiceArea = require('./serviceArea');
+const CongestionProfile = require('./congestion');
+const Geocoder = require('./geocoder');
+const TileLayerRegistry = require('./tileLayers');
+const {
+  COORDINATE_PATTERN,
+  parseQueryWaypoints,
+  parseBodyWaypoints,
+  parseCoordinateList,
+  fieldError,
+  toOsrmParams,
+  describeLegs
+} = require('./waypoints');
+const {
+  MATRIX_MAX_LOCATIONS,
+  parseIndexList,
+  parseAnnotations,
+  computeMatrix
+} = require('./matrix');
+const { GAPS, parseTrace, matchTrace } = require('./match');
+const {
+  SOURCES: TRIP_SOURCES,
+  DESTINATIONS: TRIP_DESTINATIONS,
+  parseTripOptions,
+  tripOrders,
+  describeTrip
+} = require('./trip');
+const {
+  METRICS: ISOCHRONE_METRICS,
+  parseThresholds,
+  buildIsochrones
+} = require('./isochrone');
+const { getProfile, findOsrmProfile, getProfileNames, listProfiles, getBackendStates } = require('./profiles');
+const { resolveLanguage, addInstructions } = require('./instructions');
+const { EXPORT_FORMATS, exportRoute } = require('./routeExport');
+const { BATCH_MAX_ITEMS, runOrdered } = require('./batch');
+const { GEOMETRIES, OVERVIEWS, shapeGeometries } = require('./geometry');
+const { parseFields, selectFields } = require('./responseFields');
+const { parseZoomRanges, valueForZoom } = require('./zoomRanges');
+const {
+  CONTINUE_STRAIGHT,
+  SNAPPING,
+  checkExclude,
+  checkAnnotations,
+  checkAlternatives,
+  checkDepartAt,
+  parseDepartAt,
+  toRouteParams
+} = require('./routeOptions');
+const { OSRM_SERVICES, osrmError, parseCoordinatesSegment, validateOsrmRequest } = require('./osrmApi');
+const { ApiError, toApiError, errorBody, sendError, validationError, requestId } = require('./errors');
 
 // Initialize Express
 const app = express();
@@ -23,6 +76,9 @@ const PORT = process.env.PORT || 81;
 // Trust proxy to handle X-Forwarded-For header from nginx
 app.set('trust proxy', true);
 
+// Request ID for logs and error responses
+app.use(requestId);
+
 // Security middleware (CSP disabled for external resources)
 app.use(helmet({
   contentSecurityPolicy: false,
@@ -45,9 +101,10 @@ app.use(cors({
     'X-Requested-With',
     'If-Modified-Since',
     'Cache-Control',
-    'Range'
+    'Range',
+    'X-Request-Id'
   ],
-  exposedHeaders: ['X-Cache-Status', 'Content-Length', 'Content-Range'],
+  exposedHeaders: ['X-Cache-Status', 'X-Route-Cache', 'X-Request-Id', 'Content-Length', 'Content-Range', 'Content-Disposition'],
   optionsSuccessStatus: 204,
   maxAge: 1728000 // 20 days
 }));
@@ -59,9 +116,6 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Serve static files
 app.use(express.static('public'));
 
-// OSRM URL
-const OSRM_URL = process.env.OSRM_URL || 'http://localhost:5000';
-
 // Initialize SphericalMercator for proper tile calculations
 const merc = new SphericalMercator({
   size: 256
@@ -85,17 +139,46 @@ if (process.env.NODE_ENV === 'production') {
 logger.info('Initializing Tile Cache Manager...');
 const cacheManager = new TileCacheManager({
   cacheDir: process.env.CACHE_DIR || './cache',
-  cacheTTL: parseInt(process.env.TILE_CACHE_TTL) || 86400000, // 24 hours
+  storage: process.env.TILE_STORAGE || 'directory', // 'directory' (one file per tile) or 'mbtiles' (one SQLite file per layer)
+  cacheTTL: process.env.TILE_CACHE_TTL !== undefined ? parseInt(process.env.TILE_CACHE_TTL) : 86400000, // 24 hours, 0 = never stale
+  cacheTTLByZoom: parseZoomRanges(process.env.TILE_CACHE_TTL_BY_ZOOM, 'TILE_CACHE_TTL_BY_ZOOM'),
   maxCacheSizeMB: parseInt(process.env.MAX_CACHE_SIZE_MB) || 1000, // 1GB
+  pinnedMaxZoom: process.env.TILE_CACHE_PIN_MAX_ZOOM !== undefined ? parseInt(process.env.TILE_CACHE_PIN_MAX_ZOOM) : 10, // never evicted
   userAgent: 'OSRM-Tile-Service/1.0 (Java Island Routing Service)',
+  maxConcurrentDownloads: parseInt(process.env.TILE_DOWNLOAD_CONCURRENCY) || 4, // upstream downloads across all layers
+  preload: {
+    worker: process.env.PRELOAD_WORKER !== 'false', // only one server sharing the cache should run jobs
+    defaultRate: parseFloat(process.env.PRELOAD_RATE) || 2, // upstream downloads per second per job
+    maxTiles: parseInt(process.env.PRELOAD_MAX_TILES) || 500000,
+    getLayer: (id) => (id === null ? tileLayers.getDefault() : tileLayers.get(id)),
+    intersects: (bounds) => serviceArea.intersectsBounds(bounds)
+  },
   logger: logger // Pass logger to cache manager
 });
 logger.info('Tile Cache Manager initialized');
 
+// Tile sources served under /tiles/{layer} (reloaded when the file changes)
+const tileLayers = new TileLayerRegistry({
+  configPath: process.env.TILE_LAYERS_FILE
+});
+
+// Initialize Route Cache (flushed when the OSRM dataset is rebuilt)
+const routeCache = new RouteCache({
+  enabled: process.env.ROUTE_CACHE_ENABLED !== 'false',
+  precision: parseInt(process.env.ROUTE_CACHE_PRECISION) || 5, // decimal places
+  ttlSeconds: parseInt(process.env.ROUTE_CACHE_TTL) || 3600, // 1 hour
+  maxSizeMB: parseInt(process.env.ROUTE_CACHE_MAX_MB) || 100,
+  getDataVersion: () => cacheManager.getOSRMDataTimestamp()
+});
+
 // Configuration
 const CACHE_MODE = process.env.CACHE_MODE || 'smart'; // 'smart', 'preload', 'proxy'
 const PRELOAD_ENABLED = process.env.PRELOAD_ENABLED === 'true';
 
+// Browser/proxy max-age for tiles per zoom range, in seconds (low zooms barely change)
+const TILE_CACHE_CONTROL = parseZoomRanges(process.env.TILE_CACHE_CONTROL || '0-12=604800,13-22=86400', 'TILE_CACHE_CONTROL');
+const TILE_MAX_AGE = 86400; // zooms not covered by TILE_CACHE_CONTROL
+
 // Batas wilayah Java Island (full coverage)
 const JAVA_ISLAND_BOUNDS = {
   minLon: 105.0,
@@ -104,26 +187,65 @@ const JAVA_ISLAND_BOUNDS = {
   maxLat: -5.9
 };
 
+// Service area polygons (falls back to the bounding box if the config is missing)
+const serviceArea = new ServiceArea({
+  configPath: process.env.SERVICE_AREA_FILE,
+  fallbackBounds: JAVA_ISLAND_BOUNDS
+});
+
+// Congestion table for depart_at ETAs (reloaded when the file changes)
+const congestion = new CongestionProfile({
+  configPath: process.env.CONGESTION_FILE
+});
+
+// Offline geocoder over the gazetteer built from the Java PBF (loads in the background)
+const geocoder = new Geocoder({
+  dataPath: process.env.GEOCODER_FILE
+});
+geocoder.load();
+
 // Apply global rate limiting to all routes except health
 app.use('/api', globalLimiter);
 app.use('/route', routeLimiter);
+app.use('/trip', routeLimiter);
+app.use('/matrix', routeLimiter);
+app.use('/isochrone', routeLimiter);
+app.use('/match', routeLimiter);
+app.use('/geocode', routeLimiter);
+app.use('/reverse', routeLimiter);
+app.use('/v1', routeLimiter);
 app.use('/tiles', tileLimiter);
+app.use('/cache/jobs', jobsLimiter);
 app.use('/cache', cacheLimiter);
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
-    logger.warn('Validation errors:', { errors: errors.array(), ip: req.ip });
-    return res.status(400).json({
-      success: false,
-      error: 'Validation failed',
-      details: errors.array()
-    });
+    return sendValidationErrors(req, res, errors.array());
   }
   next();
 };
 
+// Profile name requested via ?profile= or body.profile
+const requestedProfile = (req) => (req.query.profile !== undefined ? req.query.profile : req.body?.profile);
+
+// Resolve the routing profile (?profile= or body.profile) to its OSRM backend
+const resolveProfile = (req, res, next) => {
+  const location = req.query.profile !== undefined ? 'query' : 'body';
+  const name = requestedProfile(req);
+  const profile = getProfile(name);
+
+  if (!profile) {
+    return sendValidationErrors(req, res, [
+      fieldError(`Unknown profile. Available profiles: ${getProfileNames().join(', ')}`, 'profile', location, name)
+    ]);
+  }
+
+  req.profile = profile;
+  next();
+};
+
 /**
  * Health check endpoint (no rate limiting)
  */
@@ -131,14 +253,18 @@ app.get('/health', async (req, res) => {
   try {
     const cacheStats = await cacheManager.getCacheStatistics();
     const memoryStats = memoryMonitor.getMemoryStats();
+    const osrm = getBackendStates();
     
     res.json({
-      status: 'ok',
+      // Degraded when every backend of some profile has an open circuit
+      status: Object.values(osrm).some(state => state.status !== 'ok') ? 'degraded' : 'ok',
       service: 'OSRM Tile Service (Full Local)',
       region: 'Java Island',
       mode: 'offline',
       cacheMode: CACHE_MODE,
       preloadEnabled: PRELOAD_ENABLED,
+      profiles: listProfiles(),
+      osrm,
       memory: {
         current: memoryStats.current,
         percent: memoryStats.percent,
@@ -149,6 +275,11 @@ app.get('/health', async (req, res) => {
         totalSizeMB: cacheStats.totalSizeMB,
         zoomLevels: Object.keys(cacheStats.zoomLevels).length
       },
+      routeCache: routeCache.getStats(),
+      congestion: congestion.getStatus(),
+      tileLayers: tileLayers.getStatus(),
+      preloadJobs: cacheManager.preloadJobs.getStatus(),
+      geocoder: geocoder.getStatus(),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -157,12 +288,24 @@ app.get('/health', async (req, res) => {
       service: 'OSRM Tile Service',
       region: 'Java Island',
       cacheMode: CACHE_MODE,
+      profiles: listProfiles(),
+      osrm: getBackendStates(),
       cacheError: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
+/**
+ * Service area endpoint - GeoJSON polygons for drawing on the frontend
+ */
+app.get('/service-area', (req, res) => {
+  res.json({
+    success: true,
+    data: serviceArea.toGeoJSON()
+  });
+});
+
 /**
  * Cache statistics endpoint
  */
@@ -171,144 +314,1289 @@ app.get('/cache/stats', async (req, res) => {
     const stats = await cacheManager.getCacheStatistics();
     res.json({
       success: true,
-      data: stats
+      data: {
+        ...stats,
+        downloads: cacheManager.getDownloadStats(),
+        cleanup: cacheManager.getCleanupStats(),
+        routeCache: routeCache.getStats()
+      }
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    logger.error('Cache stats error', { error: error.message, requestId: req.id });
+    sendError(req, res, error, { title: 'Failed to read cache statistics' });
   }
 });
 
-// Note: Cache management endpoints (preload, clean, update) have been removed
-// Use server-side scripts for cache management:
+// Note: Cache clean/update endpoints have been removed, preloading goes through /cache/jobs
+// Use server-side scripts for the rest of cache management:
 // - Linux: ./CACHE-MANAGER.sh
 // - Windows: .\CACHE-MANAGER.ps1
 
+// Cache admin token (job endpoints are disabled without one)
+const CACHE_ADMIN_TOKEN = process.env.CACHE_ADMIN_TOKEN || '';
+
+// Require "Authorization: Bearer <CACHE_ADMIN_TOKEN>" (or X-Api-Key)
+const requireAdminToken = (req, res, next) => {
+  if (!CACHE_ADMIN_TOKEN) {
+    return sendError(req, res, new ApiError('FORBIDDEN', 'Cache job endpoints are disabled, set CACHE_ADMIN_TOKEN to enable them'));
+  }
+
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : req.get('X-Api-Key') || '';
+  // Compare digests so the check takes the same time whatever the token length
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  if (!token || !crypto.timingSafeEqual(digest(token), digest(CACHE_ADMIN_TOKEN))) {
+    logger.warn(`Rejected cache admin request from IP ${req.ip}`, { path: req.path, requestId: req.id });
+    res.set('WWW-Authenticate', 'Bearer');
+    return sendError(req, res, new ApiError('UNAUTHORIZED', token ? 'Invalid admin token' : 'Missing admin token'));
+  }
+  next();
+};
+
+/**
+ * Tile preload jobs - download a layer's tiles inside a bbox or polygon ahead of time
+ * GET /cache/jobs, GET /cache/jobs/:id, POST /cache/jobs
+ * POST /cache/jobs/:id/pause|resume|cancel, DELETE /cache/jobs/:id
+ */
+app.get('/cache/jobs', requireAdminToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        jobs: await cacheManager.preloadJobs.list(),
+        worker: cacheManager.preloadJobs.getStatus()
+      }
+    });
+  } catch (error) {
+    logger.error('Preload job list error', { error: error.message, requestId: req.id });
+    sendError(req, res, error, { title: 'Failed to list preload jobs' });
+  }
+});
+
+// Validated before preloadLimiter, so a rejected job doesn't use up the preload allowance
+const parseJobSpec = (req, res, next) => {
+  const { spec, error } = cacheManager.preloadJobs.parseSpec(req.body || {});
+  if (error) {
+    // Polygons can be large, don't echo them back
+    const value = error.param === 'polygon' ? undefined : req.body?.[error.param];
+    return sendValidationErrors(req, res, [fieldError(error.msg, error.param, 'body', value)]);
+  }
+  req.jobSpec = spec;
+  next();
+};
+
+app.post('/cache/jobs', requireAdminToken, parseJobSpec, preloadLimiter, async (req, res) => {
+  try {
+    const job = await cacheManager.preloadJobs.create(req.jobSpec);
+    logger.info(`Preload job ${job.id} created`, { ip: req.ip, requestId: req.id });
+    res.status(202).json({ success: true, data: job });
+  } catch (error) {
+    logger.error('Preload job create error', { error: error.message, requestId: req.id });
+    sendError(req, res, error, { title: 'Failed to create preload job' });
+  }
+});
+
+app.get('/cache/jobs/:id', requireAdminToken, async (req, res) => {
+  try {
+    const job = await cacheManager.preloadJobs.get(req.params.id);
+    if (!job) {
+      return sendError(req, res, new ApiError('NOT_FOUND', `Preload job ${req.params.id} not found`, { param: 'id' }));
+    }
+    res.json({ success: true, data: job });
+  } catch (error) {
+    logger.error('Preload job read error', { error: error.message, requestId: req.id });
+    sendError(req, res, error, { title: 'Failed to read preload job' });
+  }
+});
+
+// Pause/resume/cancel are applied by the worker instance, the response shows them as pendingAction until then
+const jobAction = (action) => async (req, res) => {
+  try {
+    const { job, error } = await cacheManager.preloadJobs.request(req.params.id, action);
+    if (error === 'not_found') {
+      return sendError(req, res, new ApiError('NOT_FOUND', `Preload job ${req.params.id} not found`, { param: 'id' }));
+    }
+    if (error === 'conflict') {
+      return sendError(req, res, new ApiError('CONFLICT', action === 'delete'
+        ? `Preload job ${job.id} is ${job.status}, cancel it before deleting`
+        : `Cannot ${action} a ${job.status} preload job`, { status: job.status }));
+    }
+    if (action === 'delete') {
+      return res.status(204).end();
+    }
+    res.status(job.pendingAction ? 202 : 200).json({ success: true, data: job });
+  } catch (error) {
+    logger.error(`Preload job ${action} error`, { error: error.message, requestId: req.id });
+    sendError(req, res, error, { title: `Failed to ${action} preload job` });
+  }
+};
+
+app.post('/cache/jobs/:id/pause', requireAdminToken, jobAction('pause'));
+app.post('/cache/jobs/:id/resume', requireAdminToken, jobAction('resume'));
+app.post('/cache/jobs/:id/cancel', requireAdminToken, jobAction('cancel'));
+app.delete('/cache/jobs/:id', requireAdminToken, jobAction('delete'));
+
+// Optional OSRM route settings, shared by GET (query) and POST (body) /route
+const routeOptionValidators = (location) => {
+  const field = location === 'body' ? body : query;
+  return [
+    field('alternatives').optional().custom(checkAlternatives),
+    field('exclude').optional().custom((value, { req }) => checkExclude(value, getProfile(requestedProfile(req)))),
+    field('annotations').optional().custom(checkAnnotations),
+    field('continue_straight')
+      .optional()
+      .isIn(CONTINUE_STRAIGHT)
+      .withMessage(`continue_straight must be one of: ${CONTINUE_STRAIGHT.join(', ')}`),
+    field('snapping')
+      .optional()
+      .isIn(SNAPPING)
+      .withMessage(`Snapping must be one of: ${SNAPPING.join(', ')}`),
+    field('depart_at').optional().custom(checkDepartAt),
+    field('geometries')
+      .optional()
+      .isIn(GEOMETRIES)
+      .withMessage(`Geometries must be one of: ${GEOMETRIES.join(', ')}`),
+    field('overview')
+      .optional()
+      .isIn(OVERVIEWS)
+      .withMessage(`Overview must be one of: ${OVERVIEWS.join(', ')}`),
+    field('simplify')
+      .optional()
+      .isFloat({ min: 0.1, max: 10000 })
+      .withMessage('Simplify must be a tolerance in meters (0.1-10000)'),
+    field('fields').optional().custom((value) => {
+      const { error } = parseFields(value);
+      if (error) throw new Error(error);
+      return true;
+    })
+  ];
+};
+
+// Route settings picked from the query string or JSON body
+const pickRouteOptions = (input) => ({
+  alternatives: input.alternatives,
+  exclude: input.exclude,
+  annotations: input.annotations,
+  continueStraight: input.continue_straight,
+  snapping: input.snapping,
+  overview: input.overview,
+  departAt: input.depart_at
+});
+
 /**
  * Routing endpoint with validation - proxy ke OSRM backend
  * GET /route?start=lon,lat&end=lon,lat
+ * GET /route?waypoints=lon,lat;lon,lat;...&bearings=...&radiuses=...&approaches=...
+ * Options: alternatives, exclude, annotations, continue_straight, snapping, depart_at,
+ *          geometries, overview, simplify (meters), fields (e.g. distance,duration,geometry)
  */
 app.get('/route', [
   query('start')
-    .notEmpty()
-    .matches(/^-?\d+\.?\d*,-?\d+\.?\d*$/)
-    .withMessage('Start coordinates must be in format: lon,lat'),
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Start must be lon,lat or a place name'),
   query('end')
-    .notEmpty()
-    .matches(/^-?\d+\.?\d*,-?\d+\.?\d*$/)
-    .withMessage('End coordinates must be in format: lon,lat'),
-  handleValidationErrors
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('End must be lon,lat or a place name'),
+  query('waypoints')
+    .optional()
+    .isString()
+    .withMessage('Waypoints must be in format: lon,lat;lon,lat;...'),
+  query('format')
+    .optional()
+    .isIn(['json', ...EXPORT_FORMATS])
+    .withMessage(`Format must be one of: json, ${EXPORT_FORMATS.join(', ')}`),
+  ...routeOptionValidators('query'),
+  handleValidationErrors,
+  resolveProfile
 ], async (req, res) => {
+  const { input, places, error: placeError } = resolveRoutePlaces(req.query);
+  if (placeError) {
+    logger.warn('Place name not resolved', { code: placeError.code, param: placeError.fields.param, ip: req.ip, requestId: req.id });
+    return sendError(req, res, placeError);
+  }
+
+  const { waypoints, errors } = parseQueryWaypoints(input);
+  if (errors.length > 0) {
+    return sendValidationErrors(req, res, errors);
+  }
+
+  const { language, error: languageError } = resolveLanguage(req, req.query.language);
+  if (languageError) {
+    return sendValidationErrors(req, res, [fieldError(languageError, 'language', 'query', req.query.language)]);
+  }
+
+  const { steps = 'true', geometries = 'geojson', format = 'json', simplify, fields } = req.query;
+  await calculateRoute(req, res, waypoints, {
+    ...pickRouteOptions(req.query),
+    steps,
+    geometries,
+    simplify,
+    fields,
+    language,
+    format,
+    places
+  });
+});
+
+/**
+ * Routing endpoint with JSON body
+ * POST /route { waypoints: [[lon,lat] | { lon, lat, bearing, radius, approach }, ...] }
+ */
+app.post('/route', [
+  body('waypoints')
+    .isArray()
+    .withMessage('Waypoints must be an array'),
+  body('steps').optional().isBoolean(),
+  body('format')
+    .optional()
+    .isIn(['json', ...EXPORT_FORMATS])
+    .withMessage(`Format must be one of: json, ${EXPORT_FORMATS.join(', ')}`),
+  ...routeOptionValidators('body'),
+  handleValidationErrors,
+  resolveProfile
+], async (req, res) => {
+  const { waypoints, errors } = parseBodyWaypoints(req.body);
+  if (errors.length > 0) {
+    return sendValidationErrors(req, res, errors);
+  }
+
+  const { language, error: languageError } = resolveLanguage(req, req.body.language);
+  if (languageError) {
+    return sendValidationErrors(req, res, [fieldError(languageError, 'language', 'body', req.body.language)]);
+  }
+
+  const { steps = true, geometries = 'geojson', format = 'json', simplify, fields } = req.body;
+  await calculateRoute(req, res, waypoints, {
+    ...pickRouteOptions(req.body),
+    steps: String(steps),
+    geometries,
+    simplify,
+    fields,
+    language,
+    format
+  });
+});
+
+/**
+ * Replace place names given as `start`/`end` with the coordinates of the best
+ * gazetteer match, e.g. start=Stasiun Bandung. Coordinates pass through as-is.
+ * @returns {{ input: Object, places: Array, error: ApiError|null }}
+ */
+function resolveRoutePlaces(input) {
+  const places = [];
+  if (input.waypoints || !input.start || !input.end) {
+    return { input, places, error: null };
+  }
+
+  const resolved = { ...input };
+  for (const [param, waypointIndex] of [['start', 0], ['end', 1]]) {
+    const value = input[param];
+    if (COORDINATE_PATTERN.test(value)) continue;
+
+    if (!geocoder.isReady()) {
+      return { input, places, error: geocoderUnavailableError() };
+    }
+    const [match] = geocoder.search(value, { limit: 1 });
+    if (!match) {
+      return {
+        input,
+        places,
+        error: new ApiError('PLACE_NOT_FOUND', `No place matching "${value}" was found for ${param}`, { param, waypointIndex })
+      };
+    }
+
+    resolved[param] = `${match.location[0]},${match.location[1]}`;
+    places.push({ waypointIndex, query: value, ...match });
+  }
+
+  return { input: resolved, places, error: null };
+}
+
+function geocoderUnavailableError() {
+  return new ApiError(
+    'GEOCODER_UNAVAILABLE',
+    geocoder.getStatus().loading
+      ? 'The gazetteer is still loading, please retry shortly'
+      : 'No gazetteer is loaded; run scripts/process-osrm-v6.sh to build data/gazetteer.jsonl'
+  );
+}
+
+// Address of every snapped waypoint; waypoints given by name keep their gazetteer match
+function describePlaces(osrmWaypoints = [], resolved = []) {
+  return osrmWaypoints.map((waypoint, waypointIndex) => {
+    const match = resolved.find(place => place.waypointIndex === waypointIndex);
+    if (match) return match;
+
+    const [nearest] = geocoder.reverse(waypoint.location[0], waypoint.location[1]);
+    return nearest ? { waypointIndex, ...nearest } : { waypointIndex, address: null, displayName: null };
+  });
+}
+
+// Respond to manual parsing errors with the standard validation format
+function sendValidationErrors(req, res, errors) {
+  logger.warn('Validation errors:', { errors, ip: req.ip, requestId: req.id });
+  return sendError(req, res, validationError(errors));
+}
+
+// Respond 422 when any waypoint lies outside every service area
+function rejectOutsideServiceArea(req, res, waypoints) {
+  const outside = waypoints.filter(wp => !serviceArea.isInside(wp.lon, wp.lat));
+  if (outside.length === 0) return false;
+
+  logger.warn('Waypoints outside service area', {
+    waypoints: outside.map(wp => wp.index),
+    serviceArea: serviceArea.getNames().join(', '),
+    ip: req.ip,
+    requestId: req.id
+  });
+
+  sendError(req, res, outsideServiceAreaError(outside));
+  return true;
+}
+
+function outsideServiceAreaError(outside) {
+  const areaNames = serviceArea.getNames().join(', ');
+  return new ApiError(
+    'OUTSIDE_SERVICE_AREA',
+    `Waypoint ${outside[0].index} (${outside[0].lon},${outside[0].lat}) is outside the service area: ${areaNames}`,
+    {
+      param: `waypoints[${outside[0].index}]`,
+      waypointIndex: outside[0].index,
+      serviceArea: areaNames,
+      details: outside.map(wp => ({
+        path: `waypoints[${wp.index}]`,
+        value: [wp.lon, wp.lat]
+      }))
+    }
+  );
+}
+
+// OSRM route parameters for the given waypoints and options
+function buildRouteParams(waypoints, { steps, geometries, ...options }) {
+  const { params: waypointParams } = toOsrmParams(waypoints);
+  return {
+    ...toRouteParams(options),
+    steps: steps || 'true',
+    geometries: geometries || 'geojson',
+    ...waypointParams
+  };
+}
+
+// Fetch a route from OSRM, serving repeated requests from the route cache
+async function fetchRoute(profile, waypoints, params, { verbose = true } = {}) {
+  const cacheKey = routeCache.buildKey(profile.name, waypoints, params);
+  const cached = routeCache.get(cacheKey);
+  if (cached) {
+    return { data: cached, cacheStatus: 'HIT' };
+  }
+
+  // Build OSRM URL
+  const { coordinates } = toOsrmParams(waypoints);
+
+  if (verbose) {
+    logger.info('Requesting OSRM backend', { profile: profile.name, coordinates, params });
+  }
+
+  // Request ke OSRM (retries, circuit breaker dan failover di OsrmClient)
+  const data = await profile.client.get('route', coordinates, params);
+
+  if (verbose) {
+    logger.info('OSRM backend responded', { 
+      code: data.code,
+      dataSize: JSON.stringify(data).length 
+    });
+  }
+
+  routeCache.set(cacheKey, data);
+  return { data, cacheStatus: 'MISS' };
+}
+
+// Shared route calculation for GET and POST /route
+async function calculateRoute(req, res, waypoints, options) {
   const startTime = Date.now();
-  const { start, end, alternatives = 'false', steps = 'true', geometries = 'geojson' } = req.query;
-  
+  const { steps, geometries, format = 'json' } = options;
+  // Exports need full GeoJSON geometry plus steps with instruction text
+  const isExport = format !== 'json';
+  const language = options.language || (isExport ? 'en' : null);
+  // Server-side simplification works on GeoJSON and re-encodes afterwards
+  const simplify = options.simplify !== undefined ? parseFloat(options.simplify) : null;
+  const start = `${waypoints[0].lon},${waypoints[0].lat}`;
+  const end = `${waypoints[waypoints.length - 1].lon},${waypoints[waypoints.length - 1].lat}`;
+
   try {
     logger.info('Route request received', {
-      start, 
-      end, 
+      start,
+      end,
+      waypoints: waypoints.length,
+      profile: req.profile.name,
       ip: req.ip,
       userAgent: req.get('User-Agent')
     });
 
-    // Parse coordinates
-    const [startLon, startLat] = start.split(',').map(parseFloat);
-    const [endLon, endLat] = end.split(',').map(parseFloat);
-
-    // Validasi koordinat dalam batas Jawa (disabled - function not defined)
-    // if (!isInWestJava(startLon, startLat) || !isInWestJava(endLon, endLat)) {
-    //   return res.status(400).json({
-    //     error: 'Koordinat harus berada di wilayah Jawa Barat',
-    //     bounds: JAVA_ISLAND_BOUNDS
-    //   });
-    // }
-
-    // Build OSRM URL
-    const osrmUrl = `${OSRM_URL}/route/v1/driving/${startLon},${startLat};${endLon},${endLat}`;
-    const params = {
-      alternatives: alternatives || 'false',
-      steps: steps || 'true',
-      geometries: geometries || 'geojson',
-      overview: 'full'
-    };
-
-    logger.info('Requesting OSRM backend', { osrmUrl, params });
-
-    // Request ke OSRM with timeout
-    const response = await axios.get(osrmUrl, { 
-      params,
-      timeout: 30000 // 30 seconds timeout
-    });
+    // Validasi koordinat dalam service area
+    if (rejectOutsideServiceArea(req, res, waypoints)) {
+      return;
+    }
 
-    logger.info('OSRM backend responded', { 
-      status: response.status,
-      dataSize: JSON.stringify(response.data).length 
+    const params = buildRouteParams(waypoints, {
+      ...options,
+      steps: isExport ? 'true' : steps,
+      geometries: isExport || simplify ? 'geojson' : geometries,
+      overview: isExport ? 'full' : options.overview
     });
+    const { data: routeData, cacheStatus } = await fetchRoute(req.profile, waypoints, params);
+    let data = routeData;
 
     const responseTime = Date.now() - startTime;
     
     logger.info('Route request completed', {
       start,
       end,
+      waypoints: waypoints.length,
+      cache: cacheStatus,
       responseTime: `${responseTime}ms`,
-      distance: response.data.routes?.[0]?.distance,
-      duration: response.data.routes?.[0]?.duration
+      distance: data.routes?.[0]?.distance,
+      duration: data.routes?.[0]?.duration
     });
 
+    // Tambahkan instruksi navigasi sesuai bahasa (cached data stays untouched)
+    if (language) {
+      data = addInstructions(data, language);
+    }
+
+    // Sesuaikan ETA dengan jam keberangkatan (raw durations are kept)
+    let eta;
+    if (options.departAt) {
+      const departAt = parseDepartAt(options.departAt);
+      data = congestion.adjust(data, departAt);
+      eta = congestion.describeEta(data, departAt);
+    }
+
+    // Sederhanakan geometri di server, lalu encode sesuai permintaan
+    if (simplify) {
+      data = shapeGeometries(data, { tolerance: simplify, geometries: isExport ? 'geojson' : geometries });
+    }
+
+    res.set('X-Route-Cache', cacheStatus);
+    res.vary('Accept-Language');
+
+    // Unduh rute sebagai file GPX/KML/GeoJSON
+    if (isExport) {
+      const exported = exportRoute(data, format, { name: `Route ${start} to ${end}` });
+      res.set('Content-Type', `${exported.contentType}; charset=utf-8`);
+      res.attachment(exported.filename);
+      return res.send(exported.body);
+    }
+
+    // Trimmed responses skip the derived legs summary (it repeats route data)
+    const fields = options.fields !== undefined ? parseFields(options.fields).tree : null;
+
     res.json({
       success: true,
       region: 'Java Island',
       mode: 'offline',
+      profile: req.profile.name,
+      language,
       responseTime: `${responseTime}ms`,
-      data: response.data
+      eta,
+      // Alamat waypoint dari gazetteer lokal (omitted until it has loaded)
+      places: geocoder.isReady() ? describePlaces(data.waypoints, options.places) : undefined,
+      legs: fields ? undefined : describeLegs(data.routes?.[0], data.waypoints),
+      data: fields ? selectFields(data, fields) : data
     });
 
   } catch (error) {
     const responseTime = Date.now() - startTime;
+    const apiError = toApiError(error);
     
-    // Debug: print full error
-    console.error('ROUTING ERROR DETAIL:', error);
-    console.error('Error message:', error.message);
-    console.error('Error stack:', error.stack);
-    
-    logger.error('Routing error', {
+    logger.log(apiError.status >= 500 ? 'error' : 'warn', 'Routing error', {
+      code: apiError.code,
       error: error.message,
-      stack: error.stack,
+      stack: apiError.status >= 500 ? error.stack : undefined,
       start,
       end,
+      waypoints: waypoints.length,
       responseTime: `${responseTime}ms`,
-      ip: req.ip
+      ip: req.ip,
+      requestId: req.id
     });
     
-    res.status(500).json({
-      success: false,
-      error: 'Failed to calculate route',
-      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error',
+    sendError(req, res, apiError, { title: 'Failed to calculate route', startTime });
+  }
+}
+
+/**
+ * Batch routing endpoint - many independent routes in one request
+ * POST /route/batch { requests: [{ id, waypoints, profile, alternatives, exclude, annotations, steps, geometries, overview, language, depart_at }, ...] }
+ * Stream results as NDJSON with ?stream=ndjson or Accept: application/x-ndjson
+ */
+app.post('/route/batch', [
+  body('requests')
+    .isArray({ min: 1, max: BATCH_MAX_ITEMS })
+    .withMessage(`Requests must be an array of 1-${BATCH_MAX_ITEMS} route requests`),
+  handleValidationErrors
+], async (req, res) => {
+  const startTime = Date.now();
+  const { requests } = req.body;
+  const stream = req.query.stream === 'ndjson' ||
+    req.accepts(['json', 'application/x-ndjson']) === 'application/x-ndjson';
+  const summary = { total: requests.length, succeeded: 0, failed: 0, cacheHits: 0 };
+
+  logger.info('Batch route request received', {
+    items: requests.length,
+    stream,
+    ip: req.ip
+  });
+
+  let clientGone = false;
+  res.on('close', () => { clientGone = !res.writableFinished; });
+
+  const results = stream ? null : [];
+  if (stream) {
+    res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+  }
+
+  await runOrdered(requests.length, (index) => routeBatchItem(req, requests[index], index), {
+    shouldContinue: () => !clientGone,
+    onResult: async (result) => {
+      if (result.success) {
+        summary.succeeded++;
+        if (result.cache === 'HIT') summary.cacheHits++;
+      } else {
+        summary.failed++;
+      }
+
+      if (!stream) {
+        results.push(result);
+      } else if (!res.write(JSON.stringify(result) + '\n')) {
+        // Wait for the client to catch up before producing more results
+        await new Promise(resolve => {
+          res.once('drain', resolve);
+          res.once('close', resolve);
+        });
+      }
+    }
+  });
+
+  const responseTime = Date.now() - startTime;
+  logger.info('Batch route request completed', {
+    ...summary,
+    aborted: clientGone,
+    responseTime: `${responseTime}ms`
+  });
+
+  if (clientGone) return;
+
+  if (stream) {
+    res.end(JSON.stringify({ summary: { ...summary, responseTime: `${responseTime}ms` } }) + '\n');
+    return;
+  }
+
+  res.json({
+    success: true,
+    region: 'Java Island',
+    mode: 'offline',
+    responseTime: `${responseTime}ms`,
+    summary,
+    results
+  });
+});
+
+// Route one batch item; never throws, failures become per-item errors
+async function routeBatchItem(req, item, index) {
+  const base = { index, id: item?.id ?? null };
+  const fail = (error) => ({ ...base, ...errorBody(error, 'Failed to calculate route') });
+
+  const { waypoints, errors } = parseBodyWaypoints(item);
+  const profile = getProfile(item?.profile);
+  if (!profile) {
+    errors.push(fieldError(`Unknown profile. Available profiles: ${getProfileNames().join(', ')}`, 'profile', 'body', item.profile));
+  }
+  const { language, error: languageError } = resolveLanguage(req, item?.language);
+  if (languageError) {
+    errors.push(fieldError(languageError, 'language', 'body', item.language));
+  }
+  if (item?.geometries !== undefined && !GEOMETRIES.includes(item.geometries)) {
+    errors.push(fieldError(`Geometries must be one of: ${GEOMETRIES.join(', ')}`, 'geometries', 'body', item.geometries));
+  }
+  if (item?.overview !== undefined && !OVERVIEWS.includes(String(item.overview))) {
+    errors.push(fieldError(`Overview must be one of: ${OVERVIEWS.join(', ')}`, 'overview', 'body', item.overview));
+  }
+  const optionChecks = {
+    alternatives: checkAlternatives,
+    exclude: (value) => checkExclude(value, profile),
+    annotations: checkAnnotations
+  };
+  for (const [name, check] of Object.entries(optionChecks)) {
+    if (item?.[name] === undefined) continue;
+    try {
+      check(item[name]);
+    } catch (error) {
+      errors.push(fieldError(error.message, name, 'body', item[name]));
+    }
+  }
+  if (item?.continue_straight !== undefined && !CONTINUE_STRAIGHT.includes(String(item.continue_straight))) {
+    errors.push(fieldError(`continue_straight must be one of: ${CONTINUE_STRAIGHT.join(', ')}`, 'continue_straight', 'body', item.continue_straight));
+  }
+  if (item?.snapping !== undefined && !SNAPPING.includes(item.snapping)) {
+    errors.push(fieldError(`Snapping must be one of: ${SNAPPING.join(', ')}`, 'snapping', 'body', item.snapping));
+  }
+  const departAt = item?.depart_at !== undefined ? parseDepartAt(item.depart_at) : null;
+  if (item?.depart_at !== undefined && !departAt) {
+    errors.push(fieldError('depart_at must be "now" or an ISO 8601 time with offset', 'depart_at', 'body', item.depart_at));
+  }
+  if (errors.length > 0) {
+    return fail(validationError(errors));
+  }
+
+  const outside = waypoints.filter(wp => !serviceArea.isInside(wp.lon, wp.lat));
+  if (outside.length > 0) {
+    return fail(outsideServiceAreaError(outside));
+  }
+
+  try {
+    const params = buildRouteParams(waypoints, {
+      ...pickRouteOptions(item),
+      steps: item.steps !== undefined ? String(item.steps) : undefined,
+      geometries: item.geometries
+    });
+    const { data, cacheStatus } = await fetchRoute(profile, waypoints, params, { verbose: false });
+    let result = language ? addInstructions(data, language) : data;
+    if (departAt) {
+      result = congestion.adjust(result, departAt);
+    }
+
+    return {
+      ...base,
+      success: true,
+      profile: profile.name,
+      cache: cacheStatus,
+      eta: departAt ? congestion.describeEta(result, departAt) : undefined,
+      legs: describeLegs(result.routes?.[0], result.waypoints),
+      data: result
+    };
+  } catch (error) {
+    logger.debug('Batch route item failed', { index, error: error.message, requestId: req.id });
+    return fail(error);
+  }
+}
+
+/**
+ * Trip optimisation endpoint - proxy ke OSRM trip service
+ * GET /trip?waypoints=lon,lat;lon,lat;...&roundtrip=true&source=any&destination=any
+ * POST /trip { waypoints: [...], roundtrip, source, destination }
+ */
+app.get('/trip', [
+  query('waypoints')
+    .notEmpty()
+    .withMessage('Waypoints must be in format: lon,lat;lon,lat;...'),
+  query('roundtrip').optional().isBoolean(),
+  query('source').optional().isIn(TRIP_SOURCES).withMessage(`Source must be one of: ${TRIP_SOURCES.join(', ')}`),
+  query('destination').optional().isIn(TRIP_DESTINATIONS).withMessage(`Destination must be one of: ${TRIP_DESTINATIONS.join(', ')}`),
+  handleValidationErrors,
+  resolveProfile
+], async (req, res) => {
+  const { waypoints, errors } = parseQueryWaypoints(req.query);
+  if (errors.length > 0) {
+    return sendValidationErrors(req, res, errors);
+  }
+
+  await calculateTrip(req, res, waypoints, req.query, 'query');
+});
+
+app.post('/trip', [
+  body('waypoints')
+    .isArray()
+    .withMessage('Waypoints must be an array'),
+  body('roundtrip').optional().isBoolean(),
+  body('source').optional().isIn(TRIP_SOURCES).withMessage(`Source must be one of: ${TRIP_SOURCES.join(', ')}`),
+  body('destination').optional().isIn(TRIP_DESTINATIONS).withMessage(`Destination must be one of: ${TRIP_DESTINATIONS.join(', ')}`),
+  handleValidationErrors,
+  resolveProfile
+], async (req, res) => {
+  const { waypoints, errors } = parseBodyWaypoints(req.body);
+  if (errors.length > 0) {
+    return sendValidationErrors(req, res, errors);
+  }
+
+  await calculateTrip(req, res, waypoints, req.body, 'body');
+});
+
+async function calculateTrip(req, res, waypoints, input, location) {
+  const startTime = Date.now();
+  const { options, error: optionError } = parseTripOptions(input);
+  if (optionError) {
+    return sendValidationErrors(req, res, [fieldError(optionError, 'roundtrip', location, input.roundtrip)]);
+  }
+  if (rejectOutsideServiceArea(req, res, waypoints)) {
+    return;
+  }
+
+  try {
+    logger.info('Trip request received', {
+      waypoints: waypoints.length,
+      profile: req.profile.name,
+      ...options,
+      ip: req.ip
+    });
+
+    const { coordinates, params: waypointParams } = toOsrmParams(waypoints);
+    const params = {
+      roundtrip: String(options.roundtrip),
+      source: options.source,
+      destination: options.destination,
+      steps: 'false',
+      geometries: 'geojson',
+      overview: 'full',
+      ...waypointParams
+    };
+
+    const data = await req.profile.client.get('trip', coordinates, params);
+
+    // Stops in disconnected parts of the road network come back as separate trips
+    if (data.trips?.length > 1) {
+      const trips = tripOrders(data);
+      logger.warn('Trip split into disconnected groups', { trips, ip: req.ip, requestId: req.id });
+      return sendError(req, res, new ApiError(
+        'NO_TRIPS',
+        `The stops cannot all be reached from each other by road, OSRM split them into ${trips.length} separate trips`,
+        { trips }
+      ), { startTime });
+    }
+
+    const trip = describeTrip(data);
+    const responseTime = Date.now() - startTime;
+
+    logger.info('Trip request completed', {
+      waypoints: waypoints.length,
+      order: trip.order,
+      distance: trip.distance,
+      duration: trip.duration,
+      responseTime: `${responseTime}ms`
+    });
+
+    res.json({
+      success: true,
+      region: 'Java Island',
+      mode: 'offline',
+      profile: req.profile.name,
+      responseTime: `${responseTime}ms`,
+      order: trip.order,
+      legs: trip.legs,
+      distance: trip.distance,
+      duration: trip.duration,
+      data
+    });
+  } catch (error) {
+    const responseTime = Date.now() - startTime;
+    const apiError = toApiError(error);
+
+    logger.log(apiError.status >= 500 ? 'error' : 'warn', 'Trip error', {
+      code: apiError.code,
+      error: error.message,
+      stack: apiError.status >= 500 ? error.stack : undefined,
+      waypoints: waypoints.length,
+      responseTime: `${responseTime}ms`,
+      ip: req.ip,
+      requestId: req.id
+    });
+
+    sendError(req, res, apiError, { title: 'Failed to optimise trip', startTime });
+  }
+}
+
+/**
+ * Distance/duration matrix endpoint - proxy ke OSRM table service
+ * GET /matrix?coordinates=lon,lat;lon,lat;...&sources=0;1&destinations=2;3&annotations=duration,distance
+ * POST /matrix { coordinates: [[lon,lat], ...], sources, destinations, annotations }
+ */
+const matrixValidators = (location) => {
+  const field = location === 'body' ? body : query;
+  return [
+    field('coordinates')
+      .notEmpty()
+      .withMessage('Coordinates are required'),
+    handleValidationErrors,
+    resolveProfile
+  ];
+};
+
+app.get('/matrix', matrixValidators('query'), (req, res) => calculateMatrix(req, res, req.query, 'query'));
+app.post('/matrix', matrixValidators('body'), (req, res) => calculateMatrix(req, res, req.body, 'body'));
+
+async function calculateMatrix(req, res, input, location) {
+  const startTime = Date.now();
+  const errors = [];
+
+  const coordinates = parseCoordinateList(input.coordinates, 'coordinates', location, errors);
+  if (coordinates.length < 1 || coordinates.length > MATRIX_MAX_LOCATIONS) {
+    errors.push(fieldError(`Coordinates must contain 1-${MATRIX_MAX_LOCATIONS} locations`, 'coordinates', location, coordinates.length));
+  }
+
+  const sources = parseIndexList(input.sources, coordinates.length);
+  if (!sources) {
+    errors.push(fieldError('Sources must be coordinate indices separated by ";" or "all"', 'sources', location, input.sources));
+  }
+  const destinations = parseIndexList(input.destinations, coordinates.length);
+  if (!destinations) {
+    errors.push(fieldError('Destinations must be coordinate indices separated by ";" or "all"', 'destinations', location, input.destinations));
+  }
+  const annotations = parseAnnotations(input.annotations);
+  if (!annotations) {
+    errors.push(fieldError('Annotations must be duration and/or distance', 'annotations', location, input.annotations));
+  }
+
+  if (errors.length > 0) {
+    return sendValidationErrors(req, res, errors);
+  }
+
+  try {
+    logger.info('Matrix request received', {
+      locations: coordinates.length,
+      sources: sources.length,
+      destinations: destinations.length,
+      annotations,
+      ip: req.ip
+    });
+
+    const matrix = await computeMatrix(req.profile.client, {
+      coordinates,
+      sources,
+      destinations,
+      annotations
+    });
+    const responseTime = Date.now() - startTime;
+
+    logger.info('Matrix request completed', {
+      cells: sources.length * destinations.length,
+      chunks: matrix.chunks,
+      failedCells: matrix.failedCells.length,
+      responseTime: `${responseTime}ms`
+    });
+
+    res.json({
+      success: true,
+      region: 'Java Island',
+      mode: 'offline',
+      responseTime: `${responseTime}ms`,
+      data: matrix
+    });
+  } catch (error) {
+    const responseTime = Date.now() - startTime;
+    const apiError = toApiError(error);
+
+    logger.log(apiError.status >= 500 ? 'error' : 'warn', 'Matrix error', {
+      code: apiError.code,
+      error: error.message,
+      stack: apiError.status >= 500 ? error.stack : undefined,
+      locations: coordinates.length,
+      responseTime: `${responseTime}ms`,
+      ip: req.ip,
+      requestId: req.id
+    });
+
+    sendError(req, res, apiError, { title: 'Failed to calculate matrix', startTime });
+  }
+}
+
+/**
+ * Isochrone endpoint - reachability polygons from OSRM table samples
+ * GET /isochrone?center=lon,lat&thresholds=15,30,45&metric=duration
+ */
+app.get('/isochrone', [
+  query('center')
+    .notEmpty()
+    .matches(/^-?\d+\.?\d*,-?\d+\.?\d*$/)
+    .withMessage('Center coordinates must be in format: lon,lat'),
+  query('thresholds')
+    .notEmpty()
+    .withMessage('Thresholds are required, e.g. 15,30,45'),
+  query('metric').optional().isIn(ISOCHRONE_METRICS).withMessage(`Metric must be one of: ${ISOCHRONE_METRICS.join(', ')}`),
+  query('bearings').optional().isInt({ min: 8, max: 72 }).withMessage('Bearings must be 8-72'),
+  query('rings').optional().isInt({ min: 4, max: 24 }).withMessage('Rings must be 4-24'),
+  handleValidationErrors,
+  resolveProfile
+], async (req, res) => {
+  const startTime = Date.now();
+  const errors = [];
+  const [center] = parseCoordinateList(req.query.center, 'center', 'query', errors);
+  const metric = req.query.metric || 'duration';
+  const { thresholds, error: thresholdError } = parseThresholds(req.query.thresholds, metric);
+  if (thresholdError) {
+    errors.push(fieldError(thresholdError, 'thresholds', 'query', req.query.thresholds));
+  }
+  if (errors.length > 0) {
+    return sendValidationErrors(req, res, errors);
+  }
+
+  try {
+    logger.info('Isochrone request received', { center, metric, thresholds, ip: req.ip });
+
+    const isochrones = await buildIsochrones(req.profile.client, center, {
+      metric,
+      thresholds,
+      bearings: req.query.bearings ? parseInt(req.query.bearings) : undefined,
+      rings: req.query.rings ? parseInt(req.query.rings) : undefined
+    });
+    const responseTime = Date.now() - startTime;
+
+    logger.info('Isochrone request completed', {
+      center,
+      samples: isochrones.properties.samples,
+      unreachableSamples: isochrones.properties.unreachableSamples,
       responseTime: `${responseTime}ms`
     });
+
+    res.json({
+      success: true,
+      region: 'Java Island',
+      mode: 'offline',
+      responseTime: `${responseTime}ms`,
+      data: isochrones
+    });
+  } catch (error) {
+    const responseTime = Date.now() - startTime;
+    const apiError = toApiError(error);
+
+    logger.log(apiError.status >= 500 ? 'error' : 'warn', 'Isochrone error', {
+      code: apiError.code,
+      error: error.message,
+      stack: apiError.status >= 500 ? error.stack : undefined,
+      center,
+      responseTime: `${responseTime}ms`,
+      ip: req.ip,
+      requestId: req.id
+    });
+
+    sendError(req, res, apiError, { title: 'Failed to calculate isochrone', startTime });
   }
 });
 
 /**
- * Tile endpoint - serve cached tiles or download from OSM
- * GET /tiles/:z/:x/:y.png
+ * Map matching endpoint - snap GPS traces via OSRM match service
+ * POST /match  (GPX: Content-Type application/gpx+xml, or JSON GeoJSON LineString / { coordinates: [[lon,lat,timestamp], ...] })
+ * Options via query: ?radius=20&tidy=true&gaps=split
  */
-app.get('/tiles/:z/:x/:y.png', async (req, res) => {
+app.post('/match', [
+  express.text({ type: ['application/gpx+xml', 'application/xml', 'text/xml'], limit: '10mb' }),
+  query('radius').optional().isFloat({ min: 0, max: 100 }).withMessage('Radius must be 0-100 meters'),
+  query('tidy').optional().isBoolean(),
+  query('gaps').optional().isIn(GAPS).withMessage(`Gaps must be one of: ${GAPS.join(', ')}`),
+  handleValidationErrors,
+  resolveProfile
+], async (req, res) => {
+  const startTime = Date.now();
+  const { points, error: traceError } = parseTrace(req.body);
+  if (traceError) {
+    return sendValidationErrors(req, res, [fieldError(traceError, 'trace', 'body')]);
+  }
+
+  const options = {
+    radius: req.query.radius ? parseFloat(req.query.radius) : null,
+    tidy: req.query.tidy === 'true',
+    gaps: req.query.gaps || 'split'
+  };
+
+  try {
+    logger.info('Match request received', {
+      points: points.length,
+      timestamps: points[0].timestamp !== null,
+      ip: req.ip
+    });
+
+    const match = await matchTrace(req.profile.client, points, options);
+    const responseTime = Date.now() - startTime;
+
+    logger.info('Match request completed', {
+      points: points.length,
+      chunks: match.chunks,
+      unmatched: match.unmatched.length,
+      confidence: match.confidence,
+      responseTime: `${responseTime}ms`
+    });
+
+    if (match.code === 'NoMatch') {
+      return sendError(req, res, new ApiError('NO_MATCH', 'No part of the trace could be matched', { data: match }), { startTime });
+    }
+
+    res.json({
+      success: true,
+      region: 'Java Island',
+      mode: 'offline',
+      responseTime: `${responseTime}ms`,
+      data: match
+    });
+  } catch (error) {
+    const responseTime = Date.now() - startTime;
+    const apiError = toApiError(error);
+
+    logger.log(apiError.status >= 500 ? 'error' : 'warn', 'Match error', {
+      code: apiError.code,
+      error: error.message,
+      stack: apiError.status >= 500 ? error.stack : undefined,
+      points: points.length,
+      responseTime: `${responseTime}ms`,
+      ip: req.ip,
+      requestId: req.id
+    });
+
+    sendError(req, res, apiError, { title: 'Failed to match trace', startTime });
+  }
+});
+
+/**
+ * OSRM-compatible API for off-the-shelf clients (Leaflet Routing Machine, osrm-frontend, ...)
+ * GET /v1/:service/:profile/:coordinates[.json]?options
+ * Same URLs, parameters and responses as osrm-routed for route, table, nearest,
+ * match and trip, but validated, geofenced, rate limited and logged
+ */
+app.get('/v1/:service/:profile/:coordinates', async (req, res) => {
+  const startTime = Date.now();
+  const { service, profile: profileName } = req.params;
+
+  // Errors keep OSRM's { code, message } shape so clients can handle them
+  const reject = (status, error) => {
+    logger.warn('OSRM API request rejected', { service, code: error.code, error: error.message, ip: req.ip, requestId: req.id });
+    return res.status(status).json(error);
+  };
+
+  if (!OSRM_SERVICES.includes(service)) {
+    return reject(400, osrmError('InvalidService', `Service "${service}" not found. Available services: ${OSRM_SERVICES.join(', ')}`));
+  }
+  const profile = findOsrmProfile(profileName);
+  if (!profile) {
+    return reject(400, osrmError('InvalidUrl', `Unknown profile "${profileName}". Available profiles: ${getProfileNames().join(', ')}`));
+  }
+
+  const { coordinates, error: coordinateError } = parseCoordinatesSegment(req.params.coordinates);
+  if (coordinateError) {
+    return reject(400, coordinateError);
+  }
+  const { params, error: optionError } = validateOsrmRequest(service, profile, coordinates, req.query);
+  if (optionError) {
+    return reject(400, optionError);
+  }
+
+  // Validasi koordinat dalam service area
+  const outside = coordinates.findIndex(([lon, lat]) => !serviceArea.isInside(lon, lat));
+  if (outside !== -1) {
+    return reject(400, osrmError(
+      'NoSegment',
+      `Coordinate ${outside} (${coordinates[outside].join(',')}) is outside the service area: ${serviceArea.getNames().join(', ')}`
+    ));
+  }
+
+  try {
+    const data = await profile.client.get(service, coordinates.map(pair => pair.join(',')).join(';'), params);
+
+    logger.info('OSRM API request completed', {
+      service,
+      profile: profile.name,
+      coordinates: coordinates.length,
+      responseTime: `${Date.now() - startTime}ms`,
+      ip: req.ip
+    });
+    res.json(data);
+  } catch (error) {
+    // OSRM's own 4xx answers (NoRoute, NoSegment, ...) pass through unchanged
+    if (error.response && error.response.status < 500 && error.response.data?.code) {
+      return reject(error.response.status, error.response.data);
+    }
+
+    const apiError = toApiError(error);
+    logger.error('OSRM API error', {
+      service,
+      code: apiError.code,
+      error: error.message,
+      responseTime: `${Date.now() - startTime}ms`,
+      ip: req.ip,
+      requestId: req.id
+    });
+    if (apiError.status === 503) {
+      res.set('Retry-After', '30');
+    }
+    res.status(apiError.status).json(osrmError(apiError.code, apiError.message));
+  }
+});
+
+// 503 until the gazetteer has been loaded
+const requireGeocoder = (req, res, next) => {
+  if (!geocoder.isReady()) {
+    return sendError(req, res, geocoderUnavailableError());
+  }
+  next();
+};
+
+/**
+ * Geocoding endpoint - place names to coordinates from the local gazetteer
+ * GET /geocode?q=Stasiun Bandung&limit=5&near=lon,lat
+ * Words may be prefixes ("stas band") and tolerate small typos
+ */
+app.get('/geocode', [
+  query('q')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('q must be a place name of 2-200 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: Geocoder.MAX_RESULTS })
+    .withMessage(`Limit must be 1-${Geocoder.MAX_RESULTS}`),
+  query('near')
+    .optional()
+    .matches(COORDINATE_PATTERN)
+    .withMessage('Near coordinates must be in format: lon,lat'),
+  handleValidationErrors,
+  requireGeocoder
+], (req, res) => {
+  const startTime = Date.now();
+  const near = req.query.near ? req.query.near.split(',').map(parseFloat) : null;
+  const results = geocoder.search(req.query.q, { limit: parseInt(req.query.limit) || 5, near });
+  const responseTime = Date.now() - startTime;
+
+  logger.info('Geocode request completed', {
+    query: req.query.q,
+    results: results.length,
+    responseTime: `${responseTime}ms`,
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    region: 'Java Island',
+    mode: 'offline',
+    query: req.query.q,
+    responseTime: `${responseTime}ms`,
+    count: results.length,
+    data: results
+  });
+});
+
+/**
+ * Reverse geocoding endpoint - nearest named place, POI or street with its address
+ * GET /reverse?lon=107.6025&lat=-6.9143&radius=1000&limit=1
+ */
+app.get('/reverse', [
+  query('lon').isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  query('lat').isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  query('radius')
+    .optional()
+    .isInt({ min: 1, max: Geocoder.MAX_RADIUS })
+    .withMessage(`Radius must be 1-${Geocoder.MAX_RADIUS} meters`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: Geocoder.MAX_RESULTS })
+    .withMessage(`Limit must be 1-${Geocoder.MAX_RESULTS}`),
+  handleValidationErrors,
+  requireGeocoder
+], (req, res) => {
+  const startTime = Date.now();
+  const lon = parseFloat(req.query.lon);
+  const lat = parseFloat(req.query.lat);
+  const results = geocoder.reverse(lon, lat, {
+    radius: parseInt(req.query.radius) || 1000,
+    limit: parseInt(req.query.limit) || 1
+  });
+  const responseTime = Date.now() - startTime;
+
+  logger.info('Reverse geocode request completed', {
+    location: [lon, lat],
+    results: results.length,
+    responseTime: `${responseTime}ms`,
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    region: 'Java Island',
+    mode: 'offline',
+    responseTime: `${responseTime}ms`,
+    count: results.length,
+    data: results
+  });
+});
+
+/**
+ * Tile layer listing - ids, formats, zoom ranges and attribution for map clients
+ * GET /tiles/layers
+ */
+app.get('/tiles/layers', (req, res) => {
+  const layers = tileLayers.list();
+  res.json({
+    success: true,
+    default: tileLayers.defaultId,
+    count: layers.length,
+    data: layers
+  });
+});
+
+/**
+ * Tile endpoint - default layer (kept for existing map clients)
+ * GET /tiles/:z/:x/:y.png (the default layer is always png, parseConfig rejects anything else)
+ */
+app.get('/tiles/:z/:x/:y.png', (req, res) => serveTile(req, res, tileLayers.getDefault()));
+
+/**
+ * Tile endpoint - named layer
+ * GET /tiles/:layer/:z/:x/:y.:ext
+ */
+app.get('/tiles/:layer/:z/:x/:y.:ext', (req, res) => {
+  const layer = tileLayers.get(req.params.layer);
+  if (!layer) {
+    return sendError(req, res, new ApiError(
+      'NOT_FOUND',
+      `Tile layer "${req.params.layer}" not found. Available layers: ${[...tileLayers.layers.keys()].join(', ')}`,
+      { param: 'layer' }
+    ));
+  }
+
+  const ext = req.params.ext === 'jpeg' ? 'jpg' : req.params.ext;
+  if (ext !== layer.format) {
+    return sendError(req, res, new ApiError(
+      'VALIDATION_FAILED',
+      `Tile layer "${layer.id}" serves ${layer.format} tiles, use .${layer.format}`,
+      { param: 'ext' }
+    ));
+  }
+
+  serveTile(req, res, layer);
+});
+
+// Serve cached tiles or download them from the layer's tile source
+async function serveTile(req, res, layer) {
   try {
     const { z, x, y } = req.params;
     const zoom = parseInt(z);
     const tileX = parseInt(x);
     const tileY = parseInt(y);
+    const tileName = `${layer.id}/${zoom}/${tileX}/${tileY}`;
     const forceRefresh = req.query.refresh === '1' || req.query.force === '1';
 
     // Validasi zoom level
-    if (zoom < 0 || zoom > 18) {
-      return res.status(400).json({ error: 'Zoom level harus antara 0-18' });
+    if (!Number.isInteger(zoom) || zoom < layer.minZoom || zoom > layer.maxZoom) {
+      return sendError(req, res, new ApiError(
+        'VALIDATION_FAILED',
+        `Zoom level harus antara ${layer.minZoom}-${layer.maxZoom}`,
+        { param: 'z' }
+      ));
     }
 
-    // Calculate tile bounds for logging only
+    // Tolak tile di luar service area
     const bounds = tileToBounds(tileX, tileY, zoom);
+    if (!serviceArea.intersectsBounds(bounds)) {
+      const areaNames = serviceArea.getNames().join(', ');
+      return sendError(req, res, new ApiError(
+        'OUTSIDE_SERVICE_AREA',
+        `Tile ${zoom}/${tileX}/${tileY} is outside the service area: ${areaNames}`,
+        { serviceArea: areaNames }
+      ));
+    }
     
     // Debug log for troubleshooting
     if (zoom >= 10 && zoom <= 13) {
@@ -316,99 +1604,122 @@ app.get('/tiles/:z/:x/:y.png', async (req, res) => {
     }
 
     let tile;
+    let etag;
+    let lastModified;
     let cacheStatus = 'MISS';
     let tileSource = 'unknown';
     
     if (forceRefresh) {
-      logger.info(`Force refresh requested for tile ${zoom}/${tileX}/${tileY}`);
+      logger.info(`Force refresh requested for tile ${tileName}`);
     }
     
     try {
       // Try to get from cache or download (skip cache if force refresh)
-      const result = await cacheManager.getTile(zoom, tileX, tileY, forceRefresh);
-      tile = result.tile;
+      const result = await cacheManager.getTile(layer, zoom, tileX, tileY, forceRefresh);
+      ({ tile, etag, lastModified } = result);
       tileSource = result.source;
-      cacheStatus = result.source === 'cache' ? 'HIT' : 'MISS';
+      cacheStatus = result.source === 'cache' ? 'HIT' : result.source === 'stale' ? 'STALE' : 'MISS';
       
-      logger.debug(`Tile ${zoom}/${tileX}/${tileY} served from ${tileSource}`);
+      logger.debug(`Tile ${tileName} served from ${tileSource}`);
       
       // VALIDASI FINAL: Cek apakah tile yang akan dikirim adalah "Outside" tile
       // Ini adalah safety net untuk mencegah tile corrupt ter-serve
       if (tile && tile.length < 1000) {
         const tileStr = tile.toString('utf8', 0, Math.min(500, tile.length));
         if (tileStr.includes('Outside') || tileStr.includes('Java Island')) {
-          logger.warn(`DETECTED: Tile ${zoom}/${tileX}/${tileY} contains "Outside" text (${tile.length} bytes), forcing re-download...`);
+          logger.warn(`DETECTED: Tile ${tileName} contains "Outside" text (${tile.length} bytes), forcing re-download...`);
           
           // Force delete dari cache
-          await cacheManager.deleteTile(zoom, tileX, tileY);
+          await cacheManager.deleteTile(layer, zoom, tileX, tileY);
           
           // Download ulang TANPA cek cache
-          const retryResult = await cacheManager.getTile(zoom, tileX, tileY, true);
-          tile = retryResult.tile;
+          const retryResult = await cacheManager.getTile(layer, zoom, tileX, tileY, true);
+          ({ tile, etag, lastModified } = retryResult);
           tileSource = retryResult.source + '-revalidated';
           cacheStatus = 'REVALIDATED';
           
-          logger.info(`Tile ${zoom}/${tileX}/${tileY} re-downloaded successfully (${tile.length} bytes)`);
+          logger.info(`Tile ${tileName} re-downloaded successfully (${tile.length} bytes)`);
         }
       }
     } catch (error) {
-      logger.error(`Error getting tile ${zoom}/${tileX}/${tileY}:`, error.message);
+      logger.error(`Error getting tile ${tileName}:`, error.message);
       
       // Fallback to error tile
       const errorTile = await createErrorTile();
       res.set('Content-Type', 'image/png');
+      res.set('Cache-Control', 'no-store');
       res.set('X-Cache', 'ERROR');
       res.set('X-Error', error.message);
       return res.send(errorTile);
     }
 
-    // Serve tile
-    res.set('Content-Type', 'image/png');
+    // Serve tile with validators so browsers and nginx can revalidate instead of re-downloading
+    const maxAge = valueForZoom(TILE_CACHE_CONTROL, zoom, TILE_MAX_AGE);
+    res.set('Content-Type', layer.contentType);
+    // A stale tile is being refreshed, so clients should check back rather than keep it for max-age
+    res.set('Cache-Control', maxAge > 0 && cacheStatus !== 'STALE' ? `public, max-age=${maxAge}` : 'no-cache');
+    res.set('ETag', etag);
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
     res.set('X-Cache', cacheStatus);
+    res.set('X-Tile-Layer', layer.id);
     res.set('X-Tile-Source', tileSource);
     res.set('X-Region', 'west-java');
+
+    // If-None-Match / If-Modified-Since still match
+    if (req.fresh) {
+      return res.status(304).end();
+    }
     res.send(tile);
 
   } catch (error) {
-    logger.error(`Tile serving error for ${req.params.z}/${req.params.x}/${req.params.y}:`, error.message, error.stack);
+    logger.error(`Tile serving error for ${layer.id}/${req.params.z}/${req.params.x}/${req.params.y}:`, error.message, error.stack);
     
     try {
       const errorTile = await createErrorTile();
       res.set('Content-Type', 'image/png');
+      res.set('Cache-Control', 'no-store');
       res.set('X-Cache', 'ERROR');
       res.set('X-Error', error.message || 'SERVE_ERROR');
       res.set('X-Error-Stack', error.stack ? error.stack.split('\n')[0] : 'N/A');
       res.send(errorTile);
     } catch (e) {
       logger.error('Failed to create error tile:', e);
-      res.status(500).json({
-        error: 'Gagal melayani tile',
-        message: error.message
-      });
+      sendError(req, res, error, { title: 'Gagal melayani tile' });
     }
   }
+}
+
+
+/**
+ * Unknown endpoints
+ */
+app.use((req, res) => {
+  sendError(req, res, new ApiError('NOT_FOUND', `Endpoint ${req.method} ${req.path} not found`));
 });
 
+/**
+ * Errors thrown by middleware (malformed JSON, oversized bodies, ...)
+ */
+app.use((error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  if (error.type === 'entity.parse.failed') {
+    return sendError(req, res, new ApiError('VALIDATION_FAILED', 'Request body is not valid JSON', { param: 'body' }));
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(req, res, new ApiError('TOO_BIG', 'Request body is too large'));
+  }
+
+  logger.error('Unhandled error', { error: error.message, stack: error.stack, path: req.path, requestId: req.id });
+  sendError(req, res, error);
+});
 
 /**
  * Helper functions
  */
 
-// Check if tile intersects Java Island (overlap check, not strict containment)
-function isTileInJavaIsland(bounds) {
-  // Tile overlaps with Java if:
-  // - Tile's west edge is west of Java's east edge AND
-  // - Tile's east edge is east of Java's west edge AND
-  // - Tile's south edge is south of Java's north edge AND
-  // - Tile's north edge is north of Java's south edge
-  const overlapsLon = bounds.minLon < JAVA_ISLAND_BOUNDS.maxLon && 
-                      bounds.maxLon > JAVA_ISLAND_BOUNDS.minLon;
-  const overlapsLat = bounds.minLat < JAVA_ISLAND_BOUNDS.maxLat && 
-                      bounds.maxLat > JAVA_ISLAND_BOUNDS.minLat;
-  
-  return overlapsLon && overlapsLat;
-}
-
 // Convert tile coordinates to lat/lon bounds
 function tileToBounds(x, y, z) {
   const bbox = merc.bbox(x, y, z, false, 'WGS84');
@@ -421,45 +1732,6 @@ function tileToBounds(x, y, z) {
   };
 }
 
-// Create empty tile for outside Java Island
-async function createEmptyTile() {
-  try {
-    // Create a simple transparent PNG with unique marker
-    const { createCanvas } = require('canvas');
-    const canvas = createCanvas(256, 256);
-    const ctx = canvas.getContext('2d');
-    
-    // Fill with light gray color to indicate "no data"
-    ctx.fillStyle = '#f0f0f0';
-    ctx.fillRect(0, 0, 256, 256);
-    
-    // Add visible marker at bottom right corner (1x1 pixel with specific color)
-    // RGB(255, 0, 255) = Magenta marker - invisible to eye but detectable
-    ctx.fillStyle = '#ff00ff';
-    ctx.fillRect(255, 255, 1, 1);
-    
-    // Add text
-    ctx.fillStyle = '#cccccc';
-    ctx.font = '12px Arial';
-    ctx.textAlign = 'center';
-    ctx.fillText('Outside', 128, 120);
-    ctx.fillText('Java Island', 128, 140);
-    
-    return canvas.toBuffer('image/png');
-  } catch (error) {
-    // Fallback: return a minimal PNG buffer (103 bytes - easy to detect by size)
-    console.warn('Canvas not available, using fallback empty tile');
-    return Buffer.from([
-      0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00, 0x00, 0x0D,
-      0x49, 0x48, 0x44, 0x52, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x01, 0x00,
-      0x08, 0x02, 0x00, 0x00, 0x00, 0x90, 0x77, 0x53, 0xDE, 0x00, 0x00, 0x00,
-      0x0C, 0x49, 0x44, 0x41, 0x54, 0x08, 0x1D, 0x01, 0x01, 0x00, 0x00, 0xFF,
-      0xFF, 0x00, 0x00, 0x00, 0x02, 0x00, 0x01, 0xE2, 0x21, 0xBC, 0x33, 0x00,
-      0x00, 0x00, 0x00, 0x49, 0x45, 0x4E, 0x44, 0xAE, 0x42, 0x60, 0x82
-    ]);
-  }
-}
-
 // Create error tile for failed load
 async function createErrorTile() {
   try {
@@ -493,18 +1765,24 @@ async function createErrorTile() {
   }
 }
 
-// Start preload if enabled
-if (PRELOAD_ENABLED) {
-  console.log('🔄 Preload is enabled, starting background tile preload...');
+// Run preload jobs (queued, or interrupted by the last shutdown)
+cacheManager.preloadJobs.start();
+
+// Start preload if enabled (as a job on the worker instance, resumed after restarts)
+if (PRELOAD_ENABLED && cacheManager.preloadJobs.worker) {
+  logger.info('🔄 Preload is enabled, starting background tile preload...');
   
   // Start preload after server starts
   setTimeout(async () => {
     try {
       const defaultZooms = [10, 11, 12];
-      console.log(`🚀 Starting automatic preload for zoom levels: ${defaultZooms.join(', ')}`);
+      logger.info(`🚀 Starting automatic preload for zoom levels: ${defaultZooms.join(', ')}`);
       
       const results = await cacheManager.preloadTiles(defaultZooms, JAVA_ISLAND_BOUNDS);
-      console.log('✅ Automatic preload completed:', {
+      // A paused job (failing tile source or an admin) waits for POST /cache/jobs/:id/resume
+      const completed = results.status === 'completed';
+      logger.log(completed ? 'info' : 'warn', completed ? '✅ Automatic preload completed' : `⚠️ Automatic preload ${results.status}`, {
+        jobId: results.jobId,
         totalTiles: results.totalTiles,
         downloadedTiles: results.downloadedTiles,
         cachedTiles: results.cachedTiles,
@@ -512,37 +1790,57 @@ if (PRELOAD_ENABLED) {
         durationMinutes: Math.round(results.duration / 60000)
       });
     } catch (error) {
-      console.error('❌ Automatic preload failed:', error.message);
+      logger.error('❌ Automatic preload failed', { error: error.message });
     }
   }, 5000); // Wait 5 seconds after server start
 }
 
-// Periodic cache cleanup (every 6 hours)
-setInterval(async () => {
+// Periodic cache cleanup: evict least recently used tiles above MAX_CACHE_SIZE_MB (shortly after start, then every 6 hours)
+const runCacheCleanup = async () => {
   try {
-    console.log('🧹 Running periodic cache cleanup...');
-    const cleaned = await cacheManager.cleanCache();
-    if (cleaned > 0) {
-      console.log(`✅ Cleaned ${cleaned} old cache entries`);
+    logger.info('🧹 Running periodic cache cleanup...');
+    const { tilesRemoved, bytesFreedMB, cacheSizeMB, maxCacheSizeMB } = await cacheManager.cleanCache();
+    if (tilesRemoved > 0) {
+      logger.info(`✅ Cleaned ${tilesRemoved} tiles, ${bytesFreedMB} MB freed (${cacheSizeMB}/${maxCacheSizeMB} MB used)`);
     }
   } catch (error) {
-    console.error('❌ Cache cleanup failed:', error.message);
+    logger.error('❌ Cache cleanup failed', { error: error.message });
   }
-}, 6 * 60 * 60 * 1000); // 6 hours
+};
+setTimeout(runCacheCleanup, 30000); // 30 seconds
+setInterval(runCacheCleanup, 6 * 60 * 60 * 1000); // 6 hours
 
 // Graceful shutdown handling
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
   memoryMonitor.stop();
+  routeCache.stop();
+  congestion.stop();
+  tileLayers.stop();
+  cacheManager.preloadJobs.stop();
+  cacheManager.store.close();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
   memoryMonitor.stop();
+  routeCache.stop();
+  congestion.stop();
+  tileLayers.stop();
+  cacheManager.preloadJobs.stop();
+  cacheManager.store.close();
   process.exit(0);
 });
 
+// Reload config files on demand (kill -HUP)
+process.on('SIGHUP', () => {
+  logger.info('SIGHUP received, reloading congestion profile, tile layers and gazetteer');
+  congestion.load();
+  tileLayers.load();
+  geocoder.load();
+});
+
 /**
  * Start server
  */
@@ -553,7 +1851,7 @@ app.listen(PORT, '0.0.0.0', () => {
   logger.info(`📍 Server: http://0.0.0.0:${PORT}`);
   logger.info(`🌍 Region: Java Island (Full Coverage)`);
   logger.info(`🔧 Mode: Full Local (No External Dependencies)`);
-  logger.info(`💾 Cache: Persistent file-based storage`);
+  logger.info(`💾 Cache: Persistent ${cacheManager.storage} storage`);
   logger.info(`🛡️  Security: Helmet, Rate Limiting, Validation`);
   logger.info(`📊 Monitoring: Memory tracking, Structured logging`);
   logger.info(`📁 Cache Directory: ${cacheManager.cacheDir}`);
@@ -561,9 +1859,19 @@ app.listen(PORT, '0.0.0.0', () => {
   logger.info('📡 Available endpoints:');
   logger.info(`   🏥 Health: http://localhost:${PORT}/health`);
   logger.info(`   🛣️  Routes: http://localhost:${PORT}/route?start=lon,lat&end=lon,lat`);
+  logger.info(`   📦 Batch: POST http://localhost:${PORT}/route/batch`);
+  logger.info(`   🚚 Trip: http://localhost:${PORT}/trip?waypoints=lon,lat;lon,lat;...`);
+  logger.info(`   🧮 Matrix: http://localhost:${PORT}/matrix?coordinates=lon,lat;lon,lat`);
+  logger.info(`   ⏱️  Isochrone: http://localhost:${PORT}/isochrone?center=lon,lat&thresholds=15,30,45`);
+  logger.info(`   📍 Match: POST http://localhost:${PORT}/match (GPX / GeoJSON)`);
   logger.info(`   🗺️  Tiles: http://localhost:${PORT}/tiles/{z}/{x}/{y}.png`);
+  logger.info(`   🗂️  Tile Layers: http://localhost:${PORT}/tiles/layers`);
+  logger.info(`   🔎 Geocode: http://localhost:${PORT}/geocode?q=Stasiun Bandung`);
+  logger.info(`   📌 Reverse: http://localhost:${PORT}/reverse?lon=107.6025&lat=-6.9143`);
+  logger.info(`   🔌 OSRM API: http://localhost:${PORT}/v1/route/driving/lon,lat;lon,lat`);
+  logger.info(`   🧭 Service Area: http://localhost:${PORT}/service-area`);
   logger.info(`   📊 Cache Stats: http://localhost:${PORT}/cache/stats`);
-  logger.info(`   🔄 Preload: POST http://localhost:${PORT}/cache/preload`);
+  logger.info(`   🔄 Preload Jobs: http://localhost:${PORT}/cache/jobs${CACHE_ADMIN_TOKEN ? '' : ' (disabled, CACHE_ADMIN_TOKEN not set)'}`);
   logger.info('');
   logger.info('🌐 Web UI: http://localhost:' + PORT);
   logger.info('='.repeat(50));
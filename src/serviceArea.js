@@ -0,0 +1,179 @@
+/**
+ * Service Area Geofencing
+ * Loads GeoJSON service-area polygons from config and checks coordinates
+ * and tile bounds against them
+ */
+
+const fsSync = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Ray casting point-in-ring test
+function isPointInRing(lon, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Polygon = outer ring followed by holes
+function isPointInPolygon(lon, lat, rings) {
+  if (!isPointInRing(lon, lat, rings[0])) return false;
+  return !rings.slice(1).some(hole => isPointInRing(lon, lat, hole));
+}
+
+// Segment intersection test (collinear touches are counted as intersecting)
+function segmentsIntersect([ax, ay], [bx, by], [cx, cy], [dx, dy]) {
+  const cross = (px, py, qx, qy, rx, ry) => (qx - px) * (ry - py) - (qy - py) * (rx - px);
+  const d1 = cross(cx, cy, dx, dy, ax, ay);
+  const d2 = cross(cx, cy, dx, dy, bx, by);
+  const d3 = cross(ax, ay, bx, by, cx, cy);
+  const d4 = cross(ax, ay, bx, by, dx, dy);
+  return ((d1 > 0) !== (d2 > 0) || d1 === 0 || d2 === 0) &&
+    ((d3 > 0) !== (d4 > 0) || d3 === 0 || d4 === 0);
+}
+
+// Does a bounding box overlap a polygon (outer ring + holes)?
+function polygonIntersectsBounds(rings, bounds) {
+  const corners = [
+    [bounds.minLon, bounds.minLat],
+    [bounds.maxLon, bounds.minLat],
+    [bounds.maxLon, bounds.maxLat],
+    [bounds.minLon, bounds.maxLat]
+  ];
+  const edges = corners.map((corner, i) => [corner, corners[(i + 1) % 4]]);
+  const outer = rings[0];
+
+  if (corners.some(([lon, lat]) => isPointInPolygon(lon, lat, rings))) return true;
+  if (outer.some(([lon, lat]) =>
+    lon >= bounds.minLon && lon <= bounds.maxLon && lat >= bounds.minLat && lat <= bounds.maxLat)) {
+    return true;
+  }
+  for (let i = 0; i < outer.length - 1; i++) {
+    if (edges.some(([a, b]) => segmentsIntersect(outer[i], outer[i + 1], a, b))) return true;
+  }
+  return false;
+}
+
+// Bounding box of a list of polygons
+function computeBounds(polygons) {
+  const bounds = { minLon: Infinity, minLat: Infinity, maxLon: -Infinity, maxLat: -Infinity };
+  for (const rings of polygons) {
+    for (const [lon, lat] of rings[0]) {
+      bounds.minLon = Math.min(bounds.minLon, lon);
+      bounds.minLat = Math.min(bounds.minLat, lat);
+      bounds.maxLon = Math.max(bounds.maxLon, lon);
+      bounds.maxLat = Math.max(bounds.maxLat, lat);
+    }
+  }
+  return bounds;
+}
+
+class ServiceArea {
+  constructor(options = {}) {
+    this.configPath = options.configPath || path.join(__dirname, '..', 'config', 'service-areas.geojson');
+    this.fallbackBounds = options.fallbackBounds || null;
+    this.areas = [];
+    this.load();
+  }
+
+  // Point-in-polygon test for GeoJSON Polygon coordinates (outer ring + holes)
+  static containsPoint(rings, lon, lat) {
+    return isPointInPolygon(lon, lat, rings);
+  }
+
+  // Bounds overlap test for GeoJSON MultiPolygon coordinates
+  static intersectsBounds(polygons, bounds) {
+    return polygons.some(rings => polygonIntersectsBounds(rings, bounds));
+  }
+
+  static computeBounds(polygons) {
+    return computeBounds(polygons);
+  }
+
+  // Load areas from the GeoJSON config, falling back to the bounding box rectangle
+  load() {
+    try {
+      const geojson = JSON.parse(fsSync.readFileSync(this.configPath, 'utf8'));
+      const features = geojson.type === 'FeatureCollection' ? geojson.features : [geojson];
+
+      this.areas = features
+        .filter(feature => feature.geometry && ['Polygon', 'MultiPolygon'].includes(feature.geometry.type))
+        .map((feature, index) => {
+          const polygons = feature.geometry.type === 'Polygon'
+            ? [feature.geometry.coordinates]
+            : feature.geometry.coordinates;
+          return {
+            name: feature.properties?.name || `Area ${index + 1}`,
+            feature,
+            polygons,
+            bounds: computeBounds(polygons)
+          };
+        });
+
+      if (this.areas.length === 0) {
+        throw new Error('no Polygon or MultiPolygon features found');
+      }
+      logger.info(`Service areas loaded: ${this.getNames().join(', ')}`);
+    } catch (error) {
+      logger.warn(`Could not load service areas from ${this.configPath}: ${error.message}`);
+      this.areas = this.fallbackBounds ? [this.createBoundsArea('Java Island', this.fallbackBounds)] : [];
+    }
+  }
+
+  createBoundsArea(name, { minLon, minLat, maxLon, maxLat }) {
+    const ring = [[minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]];
+    return {
+      name,
+      feature: { type: 'Feature', properties: { name }, geometry: { type: 'Polygon', coordinates: [ring] } },
+      polygons: [[ring]],
+      bounds: { minLon, minLat, maxLon, maxLat }
+    };
+  }
+
+  getNames() {
+    return this.areas.map(area => area.name);
+  }
+
+  // Area containing the point, or null when outside every area
+  findArea(lon, lat) {
+    if (this.areas.length === 0) return { name: 'unrestricted' };
+
+    return this.areas.find(area =>
+      lon >= area.bounds.minLon && lon <= area.bounds.maxLon &&
+      lat >= area.bounds.minLat && lat <= area.bounds.maxLat &&
+      area.polygons.some(rings => isPointInPolygon(lon, lat, rings))
+    ) || null;
+  }
+
+  isInside(lon, lat) {
+    return this.findArea(lon, lat) !== null;
+  }
+
+  // Does a lon/lat bounding box (e.g. a map tile) overlap any service area?
+  intersectsBounds(bounds) {
+    if (this.areas.length === 0) return true;
+
+    return this.areas.some(area => {
+      if (bounds.minLon > area.bounds.maxLon || bounds.maxLon < area.bounds.minLon ||
+          bounds.minLat > area.bounds.maxLat || bounds.maxLat < area.bounds.minLat) {
+        return false;
+      }
+      return ServiceArea.intersectsBounds(area.polygons, bounds);
+    });
+  }
+
+  toGeoJSON() {
+    return {
+      type: 'FeatureCollection',
+      features: this.areas.map(area => area.feature)
+    };
+  }
+}
+
+module.exports = ServiceArea;
@@ -1,20 +1,72 @@
 /**
  * Tile Cache Management System
- * Handles persistent file-based caching of OSM tiles with preload capabilities
+ * Handles persistent caching of tiles from the configured tile layers (one
+ * cache namespace per layer) in a directory or MBTiles store, with preload
+ * capabilities, MBTiles import/export and LRU eviction to stay under the
+ * configured cache size
  */
 
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const axios = require('axios');
+const { SphericalMercator } = require('@mapbox/sphericalmercator');
+const TileLayerRegistry = require('./tileLayers');
+const PreloadJobManager = require('./preloadJobs');
+const DirectoryTileStore = require('./directoryStore');
+const MBTilesTileStore = require('./mbtilesStore');
+const { valueForZoom } = require('./zoomRanges');
+
+const merc = new SphericalMercator({ size: 256 });
+
+const STORAGE_TYPES = ['directory', 'mbtiles'];
+// Tiles written per store call during MBTiles import/export
+const MBTILES_BATCH_SIZE = 500;
+
+// A stale tile whose background refresh failed is not retried for this long
+const REFRESH_RETRY_MS = 60000;
+// Eviction frees space down to this share of maxCacheSizeMB, so it doesn't run on every download
+const CLEANUP_TARGET_RATIO = 0.9;
+// Least recently used tiles fetched from the store per eviction round, bounds the memory eviction takes
+const EVICTION_BATCH_SIZE = 1000;
+// Minimum gap between cleanups triggered by downloads (the scheduled one always runs)
+const CLEANUP_MIN_INTERVAL_MS = 5 * 60 * 1000;
+
+// Strong ETag from the tile content, so every server sharing the cache agrees on it
+const tileETag = (tileBuffer) => `"${crypto.createHash('sha1').update(tileBuffer).digest('hex')}"`;
 
 class TileCacheManager {
   constructor(options = {}) {
     this.cacheDir = options.cacheDir || './cache';
     this.maxCacheSizeMB = options.maxCacheSizeMB || 1000; // 1GB
+    this.cacheTTL = options.cacheTTL ?? 86400000; // 24 hours, 0 = tiles never go stale
+    this.cacheTTLByZoom = options.cacheTTLByZoom || []; // [{ minZoom, maxZoom, value }] overrides
+    this.pinnedMaxZoom = options.pinnedMaxZoom ?? 10; // tiles at this zoom or lower are never evicted
     this.userAgent = options.userAgent || 'OSRM-Tile-Cache-Service/1.0';
     this.logger = options.logger || console; // Use provided logger or fallback to console
     this.osrmDataPath = options.osrmDataPath || './data/java-latest.osrm.timestamp';
+    this.maxConcurrentDownloads = options.maxConcurrentDownloads || 4;
+    this.storage = options.storage || 'directory';
+    
+    // Upstream downloads: one promise per tile being downloaded, and a FIFO of requests waiting for a slot
+    this.inflightDownloads = new Map();
+    this.downloadQueue = [];
+    this.activeDownloads = 0;
+    this.refreshFailures = new Map(); // tile -> time of the last failed background refresh
+    
+    // Cache size known from the last cleanup plus tiles saved since (null until the first cleanup)
+    this.cacheSizeBytes = null;
+    this.cleanupRunning = null;
+    this.lastCleanup = null;
+    this.downloadStats = {
+      upstreamRequests: 0,
+      downloaded: 0,
+      failed: 0,
+      coalesced: 0,
+      queued: 0,
+      backgroundRefreshes: 0
+    };
     
     this.logger.info('TileCacheManager constructor started');
     
@@ -28,10 +80,31 @@ class TileCacheManager {
     
     this.logger.info('Calling initializeCacheDirectories...');
     this.initializeCacheDirectories();
+    
+    this.store = TileCacheManager.createStore(this.storage, this.cacheDir, this.logger);
+    this.logger.info(`Tile storage: ${this.storage} (${this.store.describe().path})`);
     this.checkOSRMDataTimestamp();
+    
+    // Preload jobs keep their state next to the tiles, so every server sharing the cache sees them
+    this.preloadJobs = new PreloadJobManager({
+      ...options.preload,
+      cacheManager: this,
+      jobsDir: path.join(this.cacheDir, 'preload'),
+      logger: this.logger
+    });
     this.logger.info('TileCacheManager constructor completed');
   }
   
+  // Where tiles live: one file per tile, or one MBTiles database per layer
+  static createStore(storage, cacheDir, logger) {
+    if (!STORAGE_TYPES.includes(storage)) {
+      throw new Error(`Unknown tile storage "${storage}" (expected ${STORAGE_TYPES.join(' or ')})`);
+    }
+    return storage === 'mbtiles'
+      ? new MBTilesTileStore({ dir: path.join(cacheDir, 'mbtiles'), logger })
+      : new DirectoryTileStore({ cacheDir });
+  }
+  
   // Initialize cache directory structure
   initializeCacheDirectories() {
     this.logger.info('initializeCacheDirectories: Started');
@@ -57,15 +130,22 @@ class TileCacheManager {
     this.logger.info('initializeCacheDirectories: Completed');
   }
   
+  // Get modification time of the OSRM dataset timestamp file (null if missing)
+  getOSRMDataTimestamp() {
+    try {
+      return fsSync.statSync(this.osrmDataPath).mtime.getTime();
+    } catch (error) {
+      return null;
+    }
+  }
+  
   // Check if OSRM data has been rebuilt (auto-clear cache if needed)
   checkOSRMDataTimestamp() {
     try {
       const cacheTimestampFile = path.join(this.cacheDir, '.osrm-data-timestamp');
+      const osrmDataTime = this.getOSRMDataTimestamp();
       
-      if (fsSync.existsSync(this.osrmDataPath)) {
-        const osrmDataStats = fsSync.statSync(this.osrmDataPath);
-        const osrmDataTime = osrmDataStats.mtime.getTime();
-        
+      if (osrmDataTime !== null) {
         // Check if cache timestamp exists
         if (fsSync.existsSync(cacheTimestampFile)) {
           const cacheTimestamp = parseInt(fsSync.readFileSync(cacheTimestampFile, 'utf8'));
@@ -95,12 +175,8 @@ class TileCacheManager {
   // Clear all cached tiles
   clearAllCache() {
     try {
-      const tilesDir = path.join(this.cacheDir, 'tiles');
-      if (fsSync.existsSync(tilesDir)) {
-        fsSync.rmSync(tilesDir, { recursive: true, force: true });
-        fsSync.mkdirSync(tilesDir, { recursive: true });
-        this.logger.info('🧹 All tile cache cleared');
-      }
+      this.store.clear();
+      this.logger.info('🧹 All tile cache cleared');
     } catch (error) {
       this.logger.error('Error clearing cache:', error);
     }
@@ -139,240 +215,518 @@ class TileCacheManager {
     }
   }
   
-  // Generate cache file paths
-  getTileCachePath(z, x, y) {
-    const dir = path.join(this.cacheDir, 'tiles', z.toString(), x.toString());
-    if (!fsSync.existsSync(dir)) {
-      fsSync.mkdirSync(dir, { recursive: true });
-    }
-    return path.join(dir, `${y}.png`);
-  }
-  
-  getTileMetadataPath(z, x, y) {
-    const dir = path.join(this.cacheDir, 'metadata', z.toString(), x.toString());
-    if (!fsSync.existsSync(dir)) {
-      fsSync.mkdirSync(dir, { recursive: true });
-    }
-    return path.join(dir, `${y}.json`);
-  }
-  
-  // Check if tile is cached (persistent cache - no expiration)
-  async isTileCached(z, x, y) {
+  // Check if tile is cached (stale tiles count as cached, getTile refreshes them)
+  async isTileCached(layer, z, x, y) {
     try {
-      const tilePath = this.getTileCachePath(z, x, y);
-      const metaPath = this.getTileMetadataPath(z, x, y);
-      
-      return fsSync.existsSync(tilePath) && fsSync.existsSync(metaPath);
+      return await this.store.has(layer, z, x, y);
     } catch (error) {
       return false;
     }
   }
   
-  // Load tile from cache
-  async loadTileFromCache(z, x, y) {
+  // Load tile from cache: { tile, metadata, modifiedAt } or null
+  async loadTileFromCache(layer, z, x, y) {
     try {
-      const tilePath = this.getTileCachePath(z, x, y);
-      return await fs.readFile(tilePath);
+      return await this.store.get(layer, z, x, y);
     } catch (error) {
+      this.logger.error(`Error reading tile ${layer.id}/${z}/${x}/${y} from cache:`, error.message);
       return null;
     }
   }
   
   // Save tile to cache
-  async saveTileToCache(z, x, y, tileBuffer, metadata = {}) {
+  async saveTileToCache(layer, z, x, y, tileBuffer, metadata = {}) {
     try {
-      const tilePath = this.getTileCachePath(z, x, y);
-      const metaPath = this.getTileMetadataPath(z, x, y);
-      
-      await fs.writeFile(tilePath, tileBuffer);
-      
       const tileMetadata = {
         timestamp: Date.now(),
         size: tileBuffer.length,
         zoom: z,
         x: x,
         y: y,
-        source: 'osm',
+        layer: layer.id,
+        source: layer.id,
         ...metadata
       };
       
-      await fs.writeFile(metaPath, JSON.stringify(tileMetadata, null, 2));
+      await this.store.put(layer, z, x, y, tileBuffer, tileMetadata);
+      this.trackCacheGrowth(tileBuffer.length);
       return true;
     } catch (error) {
-      this.logger.error(`Error saving tile ${z}/${x}/${y} to cache:`, { error: error.message, stack: error.stack });
+      this.logger.error(`Error saving tile ${layer.id}/${z}/${x}/${y} to cache:`, { error: error.message, stack: error.stack });
       return false;
     }
   }
   
+  // Evict early instead of waiting for the scheduled cleanup when the cache outgrows its limit
+  trackCacheGrowth(bytes) {
+    if (this.cacheSizeBytes === null) return;
+    
+    this.cacheSizeBytes += bytes;
+    const lastCleanupAt = this.lastCleanup ? Date.parse(this.lastCleanup.finishedAt) : 0;
+    if (this.cacheSizeBytes > this.maxCacheSizeMB * 1024 * 1024 && Date.now() - lastCleanupAt > CLEANUP_MIN_INTERVAL_MS) {
+      this.cleanCache().catch(error => this.logger.error('Tile cache cleanup failed:', error.message));
+    }
+  }
+  
   // Delete tile from cache
-  async deleteTile(z, x, y) {
+  async deleteTile(layer, z, x, y) {
     try {
-      const tilePath = this.getTileCachePath(z, x, y);
-      const metaPath = this.getTileMetadataPath(z, x, y);
-      const fs = require('fs').promises;
-      await fs.unlink(tilePath).catch(() => {});
-      await fs.unlink(metaPath).catch(() => {});
-      this.logger.info(`Deleted cached tile ${z}/${x}/${y}`);
+      await this.store.delete(layer, z, x, y);
+      this.logger.info(`Deleted cached tile ${layer.id}/${z}/${x}/${y}`);
       return true;
     } catch (error) {
-      this.logger.error(`Error deleting tile ${z}/${x}/${y}:`, error.message);
+      this.logger.error(`Error deleting tile ${layer.id}/${z}/${x}/${y}:`, error.message);
       return false;
     }
   }
   
-  // Get tile - check cache first, then download from OSM
-  async getTile(z, x, y, forceRefresh = false) {
+  // TTL in ms for tiles at zoom z (0 = never stale)
+  getTileTTL(z) {
+    return valueForZoom(this.cacheTTLByZoom, z, this.cacheTTL);
+  }
+  
+  // Get tile - check the layer's cache first, then download from its tile source.
+  // Tiles older than their TTL are returned as 'stale' right away and refreshed in the background.
+  async getTile(layer, z, x, y, forceRefresh = false) {
+    const tileName = `${layer.id}/${z}/${x}/${y}`;
     try {
       // Check if tile is cached (skip if force refresh)
-      if (!forceRefresh && await this.isTileCached(z, x, y)) {
-        const tile = await this.loadTileFromCache(z, x, y);
-        if (tile) {
-          // Validate tile - check if it's an "Outside Java Island" tile
-          const MIN_VALID_TILE_SIZE = 500; // bytes - normal OSM tiles are usually > 5KB
-          const isOutsideTile = this.isOutsideJavaTile(tile);
+      const cached = forceRefresh ? null : await this.loadTileFromCache(layer, z, x, y);
+      if (cached) {
+        const { tile, metadata } = cached;
+        // Validate tile - check if it's an "Outside Java Island" tile
+        const MIN_VALID_TILE_SIZE = 500; // bytes - normal OSM tiles are usually > 5KB
+        const isOutsideTile = this.isOutsideJavaTile(tile);
+        
+        if (tile.length < MIN_VALID_TILE_SIZE || isOutsideTile) {
+          const reason = isOutsideTile ? 'Outside Java Island marker detected' : `too small (${tile.length} bytes)`;
+          this.logger.warn(`Cached tile ${tileName} is invalid (${reason}), re-downloading...`);
           
-          if (tile.length < MIN_VALID_TILE_SIZE || isOutsideTile) {
-            const reason = isOutsideTile ? 'Outside Java Island marker detected' : `too small (${tile.length} bytes)`;
-            this.logger.warn(`Cached tile ${z}/${x}/${y} is invalid (${reason}), re-downloading...`);
-            
-            // Delete invalid cached tile
-            const tilePath = this.getTileCachePath(z, x, y);
-            const metaPath = this.getTileMetadataPath(z, x, y);
-            try {
-              const fs = require('fs').promises;
-              await fs.unlink(tilePath).catch(() => {});
-              await fs.unlink(metaPath).catch(() => {});
-            } catch (e) {
-              // Ignore delete errors
-            }
-            // Fall through to download section below
-          } else {
-            this.logger.debug(`Tile ${z}/${x}/${y} loaded from cache (${tile.length} bytes)`);
-            return { tile, source: 'cache' };
+          // Delete invalid cached tile
+          await this.store.delete(layer, z, x, y).catch(() => {});
+          // Fall through to download section below
+        } else {
+          this.logger.debug(`Tile ${tileName} loaded from cache (${tile.length} bytes)`);
+          // Tiles cached before ETags were stored (or by CACHE-MANAGER.sh) fall back to the content hash and file time
+          const lastModified = cached.modifiedAt;
+          const ttl = this.getTileTTL(z);
+          const stale = ttl > 0 && Date.now() - lastModified > ttl;
+          if (stale) {
+            this.refreshInBackground(layer, z, x, y);
           }
+          this.touchTile(layer, z, x, y, lastModified);
+          return {
+            tile,
+            source: stale ? 'stale' : 'cache',
+            etag: metadata?.etag || tileETag(tile),
+            lastModified
+          };
         }
       }
 
-      // Download from OSM with retry
-      const reason = forceRefresh ? '(force refresh)' : '(not in cache or invalid)';
-      this.logger.info(`Downloading tile ${z}/${x}/${y} from OSM ${reason}`);
-      const tileUrl = `https://tile.openstreetmap.org/${z}/${x}/${y}.png`;
-      
-      let lastError;
-      for (let retry = 0; retry < 3; retry++) {
+      // Join a download of the same tile that is already running instead of fetching it twice
+      const pending = this.inflightDownloads.get(tileName);
+      if (pending) {
+        this.downloadStats.coalesced++;
+        this.logger.debug(`Tile ${tileName} is already being downloaded, waiting for it`);
+        const result = await pending;
+        return { ...result, source: 'coalesced' };
+      }
+
+      const download = this.downloadTile(layer, z, x, y, forceRefresh ? '(force refresh)' : '(not in cache or invalid)');
+      this.inflightDownloads.set(tileName, download);
+      try {
+        return await download;
+      } finally {
+        this.inflightDownloads.delete(tileName);
+      }
+    } catch (error) {
+      this.logger.error(`Error getting tile ${tileName}:`, { 
+        error: error.message, 
+        stack: error.stack 
+      });
+      throw error;
+    }
+  }
+
+  // Record a cache hit, the LRU clock for eviction
+  touchTile(layer, z, x, y, lastModified) {
+    this.store.touch(layer, z, x, y, lastModified);
+  }
+
+  // Refresh a stale tile without making the request wait; the stale copy stays if the refresh fails
+  refreshInBackground(layer, z, x, y) {
+    const tileName = `${layer.id}/${z}/${x}/${y}`;
+    if (this.inflightDownloads.has(tileName)) return;
+    
+    const failedAt = this.refreshFailures.get(tileName);
+    if (failedAt && Date.now() - failedAt < REFRESH_RETRY_MS) return;
+    this.refreshFailures.delete(tileName);
+    
+    this.downloadStats.backgroundRefreshes++;
+    const download = this.downloadTile(layer, z, x, y, '(stale)');
+    this.inflightDownloads.set(tileName, download);
+    download
+      .catch(error => {
+        this.refreshFailures.set(tileName, Date.now());
+        this.logger.warn(`Background refresh of tile ${tileName} failed, keeping the stale copy: ${error.message}`);
+      })
+      .finally(() => this.inflightDownloads.delete(tileName));
+  }
+
+  // Download from the layer's tile source with retry and save to cache
+  async downloadTile(layer, z, x, y, reason) {
+    const tileName = `${layer.id}/${z}/${x}/${y}`;
+    const tileUrl = TileLayerRegistry.tileUrl(layer, z, x, y);
+    this.logger.info(`Downloading tile ${tileName} from ${new URL(tileUrl).host} ${reason}`);
+    
+    let lastError;
+    for (let retry = 0; retry < 3; retry++) {
+      try {
+        if (retry > 0) {
+          this.logger.info(`Retry ${retry}/3 for tile ${tileName}`);
+          await new Promise(resolve => setTimeout(resolve, retry * 1000)); // Backoff
+        }
+        
+        // Only the request itself holds a download slot, not the backoff above
+        await this.acquireDownloadSlot();
+        let response;
         try {
-          if (retry > 0) {
-            this.logger.info(`Retry ${retry}/3 for tile ${z}/${x}/${y}`);
-            await new Promise(resolve => setTimeout(resolve, retry * 1000)); // Backoff
-          }
-          
-          const response = await axios.get(tileUrl, {
+          this.downloadStats.upstreamRequests++;
+          response = await axios.get(tileUrl, {
             responseType: 'arraybuffer',
             timeout: 30000, // Increased to 30 seconds
             headers: {
-              'User-Agent': 'OSRM-Tile-Service/1.0'
+              'User-Agent': this.userAgent,
+              ...layer.headers
             }
           });
+        } finally {
+          this.releaseDownloadSlot();
+        }
 
-          const tileBuffer = Buffer.from(response.data);
-          this.logger.info(`Tile ${z}/${x}/${y} downloaded successfully (${tileBuffer.length} bytes)`);
+        const tileBuffer = Buffer.from(response.data);
+        this.logger.info(`Tile ${tileName} downloaded successfully (${tileBuffer.length} bytes)`);
 
-          // Save to cache
-          await this.saveTileToCache(z, x, y, tileBuffer, { 
-            source: 'osm',
-            downloadedAt: new Date().toISOString()
-          });
+        // Save to cache
+        const etag = tileETag(tileBuffer);
+        const timestamp = Date.now();
+        await this.saveTileToCache(layer, z, x, y, tileBuffer, { 
+          timestamp,
+          etag,
+          downloadedAt: new Date(timestamp).toISOString()
+        });
 
-          return { tile: tileBuffer, source: 'download' };
-        } catch (err) {
-          lastError = err;
-          this.logger.warn(`Download attempt ${retry + 1} failed for tile ${z}/${x}/${y}: ${err.message}`);
-        }
+        this.downloadStats.downloaded++;
+        return { tile: tileBuffer, source: 'download', etag, lastModified: timestamp };
+      } catch (err) {
+        lastError = err;
+        this.logger.warn(`Download attempt ${retry + 1} failed for tile ${tileName}: ${err.message}`);
       }
-      
-      throw lastError;
+    }
+    
+    this.downloadStats.failed++;
+    throw lastError;
+  }
+
+  // Wait for one of the maxConcurrentDownloads upstream slots (FIFO)
+  acquireDownloadSlot() {
+    if (this.activeDownloads < this.maxConcurrentDownloads) {
+      this.activeDownloads++;
+      return Promise.resolve();
+    }
+    this.downloadStats.queued++;
+    return new Promise(resolve => this.downloadQueue.push(resolve));
+  }
+
+  // Hand the slot straight to the next queued download, or free it
+  releaseDownloadSlot() {
+    const next = this.downloadQueue.shift();
+    if (next) {
+      next();
+    } else {
+      this.activeDownloads--;
+    }
+  }
+
+  // Download concurrency, queue and coalescing counters for /cache/stats
+  getDownloadStats() {
+    return {
+      maxConcurrent: this.maxConcurrentDownloads,
+      active: this.activeDownloads,
+      waiting: this.downloadQueue.length,
+      inFlightTiles: this.inflightDownloads.size,
+      ...this.downloadStats
+    };
+  }
+
+  // Get cache statistics (totals plus a breakdown per tile layer)
+  async getCacheStatistics() {
+    const toMB = (bytes) => Math.round(bytes / (1024 * 1024) * 100) / 100;
+    const withDate = (tile) => (tile ? { ...tile, date: new Date(tile.time).toISOString() } : null);
+    try {
+      const stats = await this.store.getStatistics();
+      for (const layerStats of Object.values(stats.layers)) {
+        layerStats.sizeMB = toMB(layerStats.size);
+      }
+      return {
+        totalTiles: stats.totalTiles,
+        totalSize: stats.totalSize,
+        totalSizeMB: toMB(stats.totalSize),
+        zoomLevels: stats.zoomLevels,
+        layers: stats.layers,
+        oldestTile: withDate(stats.oldestTile),
+        newestTile: withDate(stats.newestTile),
+        storage: this.store.describe()
+      };
     } catch (error) {
-      this.logger.error(`Error getting tile ${z}/${x}/${y}:`, { 
-        error: error.message, 
-        stack: error.stack 
+      console.error('Error getting cache statistics:', error.message);
+      return { totalTiles: 0, totalSize: 0, totalSizeMB: 0, zoomLevels: {}, layers: {}, storage: this.store.describe() };
+    }
+  }
+
+  // Evict least recently used tiles until the cache fits maxCacheSizeMB (one cleanup at a time)
+  async cleanCache() {
+    if (!this.cleanupRunning) {
+      this.cleanupRunning = this.evictTiles().finally(() => {
+        this.cleanupRunning = null;
       });
-      throw error;
     }
+    return this.cleanupRunning;
   }
 
-  // Get cache statistics
-  async getCacheStatistics() {
+  async evictTiles() {
+    const startTime = Date.now();
+    const maxBytes = this.maxCacheSizeMB * 1024 * 1024;
+    const toMB = (bytes) => Math.round(bytes / (1024 * 1024) * 100) / 100;
+    
+    // Only the totals are kept while walking the cache, pinned zooms are counted but never evicted
+    let totalBytes = 0;
+    let pinnedBytes = 0;
+    for await (const entry of this.store.entries()) {
+      totalBytes += entry.size;
+      if (entry.z <= this.pinnedMaxZoom) {
+        pinnedBytes += entry.size;
+      }
+    }
+    
+    // MBTiles files take more than their tiles (indexes, free pages), go by the size on disk when the store knows it
+    const diskBytes = await this.store.size();
+    if (diskBytes !== null) {
+      totalBytes = diskBytes;
+    }
+    
+    let tilesRemoved = 0;
+    let bytesFreed = 0;
+    if (totalBytes > maxBytes) {
+      const targetBytes = maxBytes * CLEANUP_TARGET_RATIO;
+      
+      // Removed tiles drop out of the store, so each round returns the next oldest ones
+      while (totalBytes - bytesFreed > targetBytes) {
+        const victims = await this.store.leastRecentlyUsed(EVICTION_BATCH_SIZE, this.pinnedMaxZoom);
+        let removedThisRound = 0;
+        for (const tile of victims) {
+          if (totalBytes - bytesFreed <= targetBytes) break;
+          // false = already gone (deleted or replaced meanwhile)
+          if (await this.store.deleteEntry(tile)) {
+            tilesRemoved++;
+            removedThisRound++;
+            bytesFreed += tile.size;
+          }
+        }
+        if (removedThisRound === 0) break;
+      }
+    }
+    
+    if (tilesRemoved > 0) {
+      this.store.compact();
+    }
+    const sizeAfter = await this.store.size();
+    if (sizeAfter !== null) {
+      bytesFreed = Math.max(totalBytes - sizeAfter, 0);
+    }
+    
+    this.cacheSizeBytes = totalBytes - bytesFreed;
+    if (this.cacheSizeBytes > maxBytes) {
+      this.logger.warn(`Tile cache is ${toMB(this.cacheSizeBytes)} MB after cleanup, above the ${this.maxCacheSizeMB} MB limit ` +
+        `(${toMB(pinnedBytes)} MB pinned at zoom <= ${this.pinnedMaxZoom})`);
+    }
+    
+    const result = {
+      tilesRemoved,
+      bytesFreed,
+      bytesFreedMB: toMB(bytesFreed),
+      cacheSizeMB: toMB(this.cacheSizeBytes),
+      maxCacheSizeMB: this.maxCacheSizeMB,
+      pinnedSizeMB: toMB(pinnedBytes),
+      durationMs: Date.now() - startTime
+    };
+    this.lastCleanup = { ...result, finishedAt: new Date().toISOString() };
+    this.logger.info(`Tile cache cleanup: ${tilesRemoved} tiles removed, ${result.bytesFreedMB} MB freed, ${result.cacheSizeMB}/${this.maxCacheSizeMB} MB used`);
+    return result;
+  }
+
+  /**
+   * Import the tiles of an .mbtiles file into a layer's cache (e.g. a pre-seeded cache for a new server).
+   * Tiles keep their own modified time, or the file's, so TILE_CACHE_TTL still applies to them.
+   * Static so scripts/mbtiles.js can work on a store without the startup checks of a cache manager.
+   * @returns {Promise<{ imported: number, skipped: number, totalTiles: number, durationMs: number }>}
+   */
+  static async importMBTiles(store, filePath, layer, { overwrite = false } = {}) {
+    const startTime = Date.now();
+    const db = MBTilesTileStore.open(filePath, { readonly: true });
     try {
-      const stats = { 
-        totalTiles: 0, 
-        totalSize: 0, 
-        totalSizeMB: 0,
-        zoomLevels: {},
-        oldestTile: null,
-        newestTile: null
+      const { format } = MBTilesTileStore.readMetadata(db);
+      if (format && (format === 'jpeg' ? 'jpg' : format) !== layer.format) {
+        throw new Error(`${path.basename(filePath)} holds ${format} tiles but layer "${layer.id}" serves ${layer.format}`);
+      }
+      
+      const fileTime = (await fs.stat(filePath)).mtimeMs;
+      let batch = [];
+      let imported = 0;
+      let skipped = 0;
+      let totalTiles = 0;
+      const flush = async () => {
+        await store.putMany(layer, batch);
+        imported += batch.length;
+        batch = [];
       };
       
-      const tilesDir = path.join(this.cacheDir, 'tiles');
-      if (!fsSync.existsSync(tilesDir)) {
-        return stats;
+      for (const { z, x, y, tile, etag, modifiedAt } of MBTilesTileStore.readTiles(db)) {
+        totalTiles++;
+        if (z < layer.minZoom || z > layer.maxZoom || (!overwrite && await store.has(layer, z, x, y))) {
+          skipped++;
+          continue;
+        }
+        batch.push({
+          z, x, y, tile,
+          metadata: {
+            timestamp: modifiedAt || fileTime,
+            size: tile.length,
+            zoom: z,
+            x: x,
+            y: y,
+            layer: layer.id,
+            source: 'mbtiles',
+            etag: etag || tileETag(tile),
+            importedFrom: path.basename(filePath)
+          }
+        });
+        if (batch.length >= MBTILES_BATCH_SIZE) await flush();
       }
+      if (batch.length > 0) await flush();
       
-      const zoomDirs = await fs.readdir(tilesDir);
+      return { imported, skipped, totalTiles, durationMs: Date.now() - startTime };
+    } finally {
+      db.close();
+    }
+  }
+  
+  /**
+   * Export the cached tiles of a layer inside a bbox to a new .mbtiles file. Tiles that are
+   * not cached are counted as missing, nothing is downloaded.
+   * @returns {Promise<{ exported: number, missing: number, totalTiles: number, sizeMB: number, durationMs: number }>}
+   */
+  static async exportMBTiles(store, filePath, layer, { bounds, zoomLevels, overwrite = false }) {
+    const startTime = Date.now();
+    if (!overwrite && fsSync.existsSync(filePath)) {
+      throw new Error(`${filePath} already exists`);
+    }
+    
+    // Written next to the target and renamed at the end, so a failed export leaves nothing behind
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const db = MBTilesTileStore.open(tempPath, { create: true });
+    try {
+      db.pragma('journal_mode = DELETE'); // a single self-contained file to ship
+      MBTilesTileStore.writeMetadata(db, {
+        ...MBTilesTileStore.layerMetadata(layer),
+        minzoom: Math.min(...zoomLevels),
+        maxzoom: Math.max(...zoomLevels),
+        bounds: [bounds.minLon, bounds.minLat, bounds.maxLon, bounds.maxLat].join(','),
+        description: `Tile cache export of layer ${layer.id}`
+      });
       
-      for (const zoomDir of zoomDirs) {
-        const z = parseInt(zoomDir);
-        if (isNaN(z)) continue;
-        
-        stats.zoomLevels[z] = 0;
-        
-        const zoomPath = path.join(tilesDir, zoomDir);
-        if (!(await fs.stat(zoomPath)).isDirectory()) continue;
-        
-        const xDirs = await fs.readdir(zoomPath);
-        
-        for (const xDir of xDirs) {
-          const xPath = path.join(zoomPath, xDir);
-          if (!(await fs.stat(xPath)).isDirectory()) continue;
-          
-          const yFiles = await fs.readdir(xPath);
-          
-          for (const yFile of yFiles) {
-            if (yFile.endsWith('.png')) {
-              const filePath = path.join(xPath, yFile);
-              const fileStat = await fs.stat(filePath);
-              
-              stats.totalTiles++;
-              stats.totalSize += fileStat.size;
-              stats.zoomLevels[z]++;
-              
-              // Track oldest/newest tiles
-              const mtime = fileStat.mtime.getTime();
-              if (!stats.oldestTile || mtime < stats.oldestTile.time) {
-                stats.oldestTile = { 
-                  time: mtime, 
-                  path: filePath.replace(this.cacheDir, ''),
-                  date: fileStat.mtime.toISOString()
-                };
-              }
-              if (!stats.newestTile || mtime > stats.newestTile.time) {
-                stats.newestTile = { 
-                  time: mtime, 
-                  path: filePath.replace(this.cacheDir, ''),
-                  date: fileStat.mtime.toISOString()
-                };
-              }
+      let batch = [];
+      let exported = 0;
+      let missing = 0;
+      let totalTiles = 0;
+      for (const z of zoomLevels) {
+        const { minX, minY, maxX, maxY } = merc.xyz([bounds.minLon, bounds.minLat, bounds.maxLon, bounds.maxLat], z);
+        for (let x = minX; x <= maxX; x++) {
+          for (let y = minY; y <= maxY; y++) {
+            totalTiles++;
+            const cached = await store.get(layer, z, x, y);
+            if (!cached) {
+              missing++;
+              continue;
+            }
+            batch.push({ z, x, y, tile: cached.tile, etag: cached.metadata?.etag || tileETag(cached.tile), modifiedAt: cached.modifiedAt });
+            if (batch.length >= MBTILES_BATCH_SIZE) {
+              MBTilesTileStore.writeTiles(db, batch);
+              exported += batch.length;
+              batch = [];
             }
           }
         }
       }
+      MBTilesTileStore.writeTiles(db, batch);
+      exported += batch.length;
+      db.close();
+      await fs.rename(tempPath, filePath);
       
-      stats.totalSizeMB = Math.round(stats.totalSize / (1024 * 1024) * 100) / 100;
-      return stats;
+      const { size } = await fs.stat(filePath);
+      return {
+        exported,
+        missing,
+        totalTiles,
+        sizeMB: Math.round(size / (1024 * 1024) * 100) / 100,
+        durationMs: Date.now() - startTime
+      };
     } catch (error) {
-      console.error('Error getting cache statistics:', error.message);
-      return { totalTiles: 0, totalSize: 0, totalSizeMB: 0, zoomLevels: {} };
+      if (db.open) db.close();
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
     }
   }
+  
+  // Preload a bbox of the default layer and wait until the job finishes or pauses (reuses an unfinished job for the same area)
+  async preloadTiles(zoomLevels, bounds, options = {}) {
+    const startTime = Date.now();
+    const { spec, error } = this.preloadJobs.parseSpec({
+      ...options,
+      bbox: [bounds.minLon, bounds.minLat, bounds.maxLon, bounds.maxLat],
+      zoomLevels
+    });
+    if (error) throw new Error(error.msg);
+    
+    const jobs = await this.preloadJobs.loadJobs();
+    const sameArea = (job) => job.spec.layer === spec.layer && job.spec.refresh === spec.refresh &&
+      JSON.stringify([job.spec.zoomLevels, job.spec.bounds]) === JSON.stringify([spec.zoomLevels, spec.bounds]);
+    const job = jobs.find(item => ['queued', 'running', 'paused'].includes(item.status) && sameArea(item)) ||
+      await this.preloadJobs.create(spec, 'startup');
+    
+    const { status, progress } = await this.preloadJobs.waitFor(job.id);
+    return {
+      jobId: job.id,
+      status,
+      totalTiles: progress.total,
+      downloadedTiles: progress.downloaded,
+      cachedTiles: progress.cached,
+      skippedTiles: progress.skipped,
+      failedTiles: progress.failed,
+      duration: Date.now() - startTime
+    };
+  }
+
+  // Size limit, pinning and last cleanup for /cache/stats
+  getCleanupStats() {
+    return {
+      maxCacheSizeMB: this.maxCacheSizeMB,
+      pinnedMaxZoom: this.pinnedMaxZoom,
+      running: this.cleanupRunning !== null,
+      lastCleanup: this.lastCleanup
+    };
+  }
 }
 
 module.exports = TileCacheManager;
\ No newline at end of file
@@ -0,0 +1,201 @@
+/**
+ * Tile Layer Registry
+ * Named tile sources (URL template, image format, zoom range, attribution,
+ * upstream headers) loaded from config and reloaded when the file changes.
+ */
+
+const fsSync = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const FORMATS = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  webp: 'image/webp'
+};
+const MAX_ZOOM = 22;
+const ID_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+
+// Tiles of this layer stay at cache/tiles/{z}/{x}/{y}.png, where CACHE-MANAGER.sh and older caches keep them
+const LEGACY_LAYER = 'osm';
+
+// Used when the config file is missing, matches the tiles served before layers existed
+const FALLBACK_CONFIG = {
+  default: 'osm',
+  layers: [{
+    id: 'osm',
+    name: 'OpenStreetMap',
+    url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    format: 'png',
+    minZoom: 0,
+    maxZoom: 18,
+    attribution: '&copy; OpenStreetMap contributors'
+  }]
+};
+
+function parseLayer(layer, index) {
+  const label = layer.id ? `layer "${layer.id}"` : `layers[${index}]`;
+  if (!ID_PATTERN.test(layer.id || '')) {
+    throw new Error(`${label}: "id" must be lowercase letters, digits, "-" or "_" and start with a letter`);
+  }
+  if (typeof layer.url !== 'string' || !/^https?:\/\//.test(layer.url) ||
+      !['{z}', '{x}', '{y}'].every(part => layer.url.includes(part))) {
+    throw new Error(`${label}: "url" must be an http(s) template containing {z}, {x} and {y}`);
+  }
+
+  const format = layer.format === 'jpeg' ? 'jpg' : layer.format || 'png';
+  if (!FORMATS[format]) {
+    throw new Error(`${label}: "format" must be one of ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  const minZoom = layer.minZoom ?? 0;
+  const maxZoom = layer.maxZoom ?? 18;
+  if (!Number.isInteger(minZoom) || !Number.isInteger(maxZoom) || minZoom < 0 || maxZoom > MAX_ZOOM || minZoom > maxZoom) {
+    throw new Error(`${label}: "minZoom" and "maxZoom" must be integers with 0 <= minZoom <= maxZoom <= ${MAX_ZOOM}`);
+  }
+
+  const subdomains = typeof layer.subdomains === 'string' ? layer.subdomains.split('') : layer.subdomains || ['a', 'b', 'c'];
+  if (layer.url.includes('{s}') && (!Array.isArray(subdomains) || subdomains.length === 0)) {
+    throw new Error(`${label}: "subdomains" must be a non-empty list when the url uses {s}`);
+  }
+
+  const headers = layer.headers || {};
+  if (typeof headers !== 'object' || Array.isArray(headers) || !Object.values(headers).every(value => typeof value === 'string')) {
+    throw new Error(`${label}: "headers" must be an object of strings`);
+  }
+
+  return {
+    id: layer.id,
+    name: layer.name || layer.id,
+    url: layer.url,
+    subdomains: layer.url.includes('{s}') ? subdomains.map(String) : [],
+    format,
+    contentType: FORMATS[format],
+    minZoom,
+    maxZoom,
+    attribution: layer.attribution || '',
+    headers,
+    // Cache directory under cache/tiles and cache/metadata ('' = the directories themselves)
+    namespace: layer.id === LEGACY_LAYER ? '' : layer.id
+  };
+}
+
+function parseConfig(config) {
+  if (!Array.isArray(config.layers) || config.layers.length === 0) {
+    throw new Error('"layers" must be a non-empty array');
+  }
+
+  const layers = new Map();
+  config.layers.forEach((entry, index) => {
+    const layer = parseLayer(entry, index);
+    if (layers.has(layer.id)) {
+      throw new Error(`duplicate layer id "${layer.id}"`);
+    }
+    layers.set(layer.id, layer);
+  });
+
+  const defaultId = config.default || layers.keys().next().value;
+  if (!layers.has(defaultId)) {
+    throw new Error(`default layer "${defaultId}" is not defined`);
+  }
+  // The legacy /tiles/{z}/{x}/{y}.png route serves the default layer
+  if (layers.get(defaultId).format !== 'png') {
+    throw new Error(`default layer "${defaultId}" must serve png tiles, it is served at /tiles/{z}/{x}/{y}.png`);
+  }
+  return { layers, defaultId };
+}
+
+class TileLayerRegistry {
+  static LEGACY_LAYER = LEGACY_LAYER;
+
+  constructor(options = {}) {
+    this.configPath = options.configPath || path.join(__dirname, '..', 'config', 'tile-layers.json');
+    this.watchInterval = options.watchInterval || 10000; // 10 seconds
+    this.layers = new Map();
+    this.defaultId = null;
+    this.source = null;
+    this.loadedAt = null;
+    this.load();
+
+    // Pick up edits to the config file without a restart
+    fsSync.watchFile(this.configPath, { interval: this.watchInterval }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) this.load();
+    });
+  }
+
+  // (Re)load the config; a broken file keeps the previous layers in service
+  load() {
+    try {
+      const { layers, defaultId } = parseConfig(JSON.parse(fsSync.readFileSync(this.configPath, 'utf8')));
+      this.layers = layers;
+      this.defaultId = defaultId;
+      this.source = this.configPath;
+      this.loadedAt = new Date().toISOString();
+      logger.info(`Tile layers loaded: ${[...layers.keys()].join(', ')} (default: ${defaultId})`);
+      return true;
+    } catch (error) {
+      if (this.layers.size > 0) {
+        logger.warn(`Could not load tile layers from ${this.configPath}: ${error.message} (keeping previous layers)`);
+        return false;
+      }
+      const { layers, defaultId } = parseConfig(FALLBACK_CONFIG);
+      this.layers = layers;
+      this.defaultId = defaultId;
+      this.source = 'fallback';
+      this.loadedAt = new Date().toISOString();
+      logger.warn(`Could not load tile layers from ${this.configPath}: ${error.message} (using built-in OpenStreetMap layer)`);
+      return false;
+    }
+  }
+
+  stop() {
+    fsSync.unwatchFile(this.configPath);
+  }
+
+  get(id) {
+    return this.layers.get(id) || null;
+  }
+
+  getDefault() {
+    return this.layers.get(this.defaultId);
+  }
+
+  // Upstream URL of a tile; the subdomain is fixed per tile so upstream caches stay warm
+  static tileUrl(layer, z, x, y) {
+    const subdomain = layer.subdomains.length > 0 ? layer.subdomains[Math.abs(x + y) % layer.subdomains.length] : '';
+    return layer.url
+      .replace('{s}', subdomain)
+      .replace('{z}', z)
+      .replace('{x}', x)
+      .replace('{y}', y);
+  }
+
+  // Client-facing description (upstream URL and headers may carry API keys, so they stay private)
+  describe(layer) {
+    return {
+      id: layer.id,
+      name: layer.name,
+      format: layer.format,
+      minZoom: layer.minZoom,
+      maxZoom: layer.maxZoom,
+      attribution: layer.attribution,
+      url: `/tiles/${layer.id}/{z}/{x}/{y}.${layer.format}`,
+      default: layer.id === this.defaultId
+    };
+  }
+
+  list() {
+    return [...this.layers.values()].map(layer => this.describe(layer));
+  }
+
+  getStatus() {
+    return {
+      layers: this.layers.size,
+      default: this.defaultId,
+      source: this.source,
+      loadedAt: this.loadedAt
+    };
+  }
+}
+
+module.exports = TileLayerRegistry;
@@ -0,0 +1,85 @@
+/**
+ * Trip Optimisation (TSP)
+ * Helpers for OSRM's trip service: option validation and mapping the
+ * optimised order back onto the caller's waypoint indices
+ */
+
+const SOURCES = ['any', 'first'];
+const DESTINATIONS = ['any', 'last'];
+
+/**
+ * Normalise trip options. OSRM only supports one-way trips when both the
+ * first and last stops are fixed.
+ * @returns {{ options: Object, error: string|null }}
+ */
+function parseTripOptions({ roundtrip = true, source = 'any', destination = 'any' }) {
+  const options = {
+    roundtrip: String(roundtrip) !== 'false',
+    source,
+    destination
+  };
+
+  if (!options.roundtrip && (source !== 'first' || destination !== 'last')) {
+    return {
+      options,
+      error: 'One-way trips (roundtrip=false) require source=first and destination=last'
+    };
+  }
+  return { options, error: null };
+}
+
+/**
+ * Visiting order of every trip OSRM returned, as the caller's input indices.
+ * OSRM splits stops it cannot connect into separate trips; `waypoints[i]`
+ * belongs to `trips[trips_index]` and `waypoint_index` is its position there,
+ * so each order is the inverse of that mapping within one trip.
+ */
+function tripOrders(data) {
+  const orders = (data.trips || []).map(() => []);
+  (data.waypoints || []).forEach((waypoint, inputIndex) => {
+    orders[waypoint.trips_index || 0][waypoint.waypoint_index] = inputIndex;
+  });
+  return orders;
+}
+
+/**
+ * Describe a single optimised trip in terms of the caller's input indices.
+ * Callers reject responses with more than one trip first (see tripOrders).
+ */
+function describeTrip(data) {
+  if (data.trips?.length > 1) {
+    throw new Error(`Expected a single trip, OSRM returned ${data.trips.length}`);
+  }
+  const trip = data.trips?.[0];
+  const waypoints = data.waypoints || [];
+  const order = tripOrders(data)[0] || [];
+
+  const legs = (trip?.legs || []).map((leg, i) => {
+    const from = order[i];
+    // The closing leg of a round trip returns to the first stop
+    const to = order[(i + 1) % order.length];
+    return {
+      index: i,
+      from: { inputIndex: from, name: waypoints[from]?.name || '', location: waypoints[from]?.location || null },
+      to: { inputIndex: to, name: waypoints[to]?.name || '', location: waypoints[to]?.location || null },
+      distance: leg.distance,
+      duration: leg.duration,
+      summary: leg.summary || ''
+    };
+  });
+
+  return {
+    order,
+    distance: trip?.distance,
+    duration: trip?.duration,
+    legs
+  };
+}
+
+module.exports = {
+  SOURCES,
+  DESTINATIONS,
+  parseTripOptions,
+  tripOrders,
+  describeTrip
+};
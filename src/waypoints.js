@@ -0,0 +1,265 @@
+/**
+ * Waypoint Parsing & Validation
+ * Normalises GET query strings and POST bodies into an ordered waypoint list
+ * and builds the matching OSRM coordinate/option parameters
+ */
+
+const MAX_WAYPOINTS = parseInt(process.env.MAX_WAYPOINTS) || 25;
+const APPROACHES = ['curb', 'unrestricted'];
+const COORDINATE_PATTERN = /^-?\d+\.?\d*,-?\d+\.?\d*$/;
+
+// Build an error entry shaped like express-validator's validationResult items
+const fieldError = (msg, path, location, value) => ({
+  type: 'field',
+  msg,
+  path,
+  location,
+  value
+});
+
+// Check a lon/lat pair is a real WGS84 coordinate
+function isValidCoordinate(lon, lat) {
+  return Number.isFinite(lon) && Number.isFinite(lat) &&
+    lon >= -180 && lon <= 180 &&
+    lat >= -90 && lat <= 90;
+}
+
+// Whole degrees only: "90abc", "1e3" and 12.5 are rejected rather than truncated by parseInt
+const parseDegrees = (part) => (typeof part === 'number' || /^\d+$/.test(String(part)) ? Number(part) : NaN);
+
+// Parse "value,range" bearing (OSRM format), returns null for empty
+function parseBearing(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+
+  const parts = Array.isArray(raw)
+    ? raw
+    : typeof raw === 'object'
+      ? [raw.value, raw.range]
+      : String(raw).split(',');
+
+  const value = parseDegrees(parts[0]);
+  const range = parts[1] === undefined || parts[1] === '' ? 90 : parseDegrees(parts[1]);
+
+  if (parts.length > 2 || !Number.isInteger(value) || value < 0 || value > 360 ||
+      !Number.isInteger(range) || range < 0 || range > 180) {
+    throw new Error('Bearing must be "value,range" with whole degrees: value 0-360 and range 0-180');
+  }
+  return { value, range };
+}
+
+// Parse snapping radius in meters, returns null for empty
+function parseRadius(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  if (raw === 'unlimited') return 'unlimited';
+
+  const radius = parseFloat(raw);
+  if (!Number.isFinite(radius) || radius < 0) {
+    throw new Error('Radius must be a non-negative number of meters or "unlimited"');
+  }
+  return radius;
+}
+
+// Parse approach restriction, returns null for empty
+function parseApproach(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  if (!APPROACHES.includes(raw)) {
+    throw new Error(`Approach must be one of: ${APPROACHES.join(', ')}`);
+  }
+  return raw;
+}
+
+// Validate waypoint count and per-waypoint options, collecting errors
+function buildWaypoints(entries, location, errors) {
+  if (entries.length < 2) {
+    errors.push(fieldError('At least 2 waypoints are required', 'waypoints', location, entries.length));
+    return [];
+  }
+  if (entries.length > MAX_WAYPOINTS) {
+    errors.push(fieldError(`A maximum of ${MAX_WAYPOINTS} waypoints is allowed`, 'waypoints', location, entries.length));
+    return [];
+  }
+
+  return entries.map((entry, index) => {
+    const waypoint = { index, lon: entry.lon, lat: entry.lat, bearing: null, radius: null, approach: null };
+
+    if (!isValidCoordinate(entry.lon, entry.lat)) {
+      errors.push(fieldError('Waypoint must be a valid lon,lat coordinate', `waypoints[${index}]`, location, entry.raw));
+    }
+
+    const options = [
+      ['bearing', parseBearing, entry.bearing],
+      ['radius', parseRadius, entry.radius],
+      ['approach', parseApproach, entry.approach]
+    ];
+    for (const [field, parse, raw] of options) {
+      try {
+        waypoint[field] = parse(raw);
+      } catch (error) {
+        errors.push(fieldError(error.message, `waypoints[${index}].${field}`, location, raw));
+      }
+    }
+
+    return waypoint;
+  });
+}
+
+// Split an OSRM-style ";" list, keeping empty entries as positional blanks
+function splitList(value) {
+  return value === undefined ? [] : String(value).split(';');
+}
+
+/**
+ * Parse waypoints from a GET /route query.
+ * Accepts either `waypoints=lon,lat;lon,lat;...` or the legacy `start`/`end` pair,
+ * with optional `bearings`, `radiuses` and `approaches` lists in OSRM order.
+ * @returns {{ waypoints: Array, errors: Array }}
+ */
+function parseQueryWaypoints(query) {
+  const errors = [];
+  let coordinates;
+
+  if (query.waypoints) {
+    coordinates = splitList(query.waypoints);
+  } else if (query.start && query.end) {
+    coordinates = [query.start, query.end];
+  } else {
+    errors.push(fieldError('Either waypoints or both start and end are required', 'waypoints', 'query'));
+    return { waypoints: [], errors };
+  }
+
+  const bearings = splitList(query.bearings);
+  const radiuses = splitList(query.radiuses);
+  const approaches = splitList(query.approaches);
+
+  for (const [name, list] of [['bearings', bearings], ['radiuses', radiuses], ['approaches', approaches]]) {
+    if (list.length > 0 && list.length !== coordinates.length) {
+      errors.push(fieldError(`${name} must have one entry per waypoint (${coordinates.length})`, name, 'query', query[name]));
+    }
+  }
+  if (errors.length > 0) {
+    return { waypoints: [], errors };
+  }
+
+  const entries = coordinates.map((raw, i) => {
+    const valid = COORDINATE_PATTERN.test(raw);
+    const [lon, lat] = valid ? raw.split(',').map(parseFloat) : [NaN, NaN];
+    return { raw, lon, lat, bearing: bearings[i], radius: radiuses[i], approach: approaches[i] };
+  });
+
+  const waypoints = buildWaypoints(entries, 'query', errors);
+  return { waypoints, errors };
+}
+
+/**
+ * Parse waypoints from a POST /route JSON body.
+ * Each waypoint is `[lon, lat]`, `{ lon, lat }` or `{ coordinates: [lon, lat] }`
+ * and may carry `bearing`, `radius` and `approach`.
+ * @returns {{ waypoints: Array, errors: Array }}
+ */
+function parseBodyWaypoints(body) {
+  const errors = [];
+
+  if (!body || !Array.isArray(body.waypoints)) {
+    errors.push(fieldError('waypoints must be an array', 'waypoints', 'body'));
+    return { waypoints: [], errors };
+  }
+
+  const entries = body.waypoints.map(raw => {
+    const item = raw || {};
+    const pair = Array.isArray(item) ? item : (item.coordinates || [item.lon, item.lat]);
+    return {
+      raw,
+      lon: typeof pair[0] === 'number' ? pair[0] : NaN,
+      lat: typeof pair[1] === 'number' ? pair[1] : NaN,
+      bearing: Array.isArray(item) ? undefined : item.bearing,
+      radius: Array.isArray(item) ? undefined : item.radius,
+      approach: Array.isArray(item) ? undefined : item.approach
+    };
+  });
+
+  const waypoints = buildWaypoints(entries, 'body', errors);
+  return { waypoints, errors };
+}
+
+/**
+ * Parse a plain coordinate list, either `lon,lat;lon,lat` (query) or
+ * `[[lon, lat], ...]` (body), pushing errors onto the given array.
+ * @returns {Array<[number, number]>}
+ */
+function parseCoordinateList(value, path, location, errors) {
+  const items = Array.isArray(value) ? value : splitList(value);
+
+  return items.map((raw, index) => {
+    let lon = NaN;
+    let lat = NaN;
+    if (Array.isArray(raw)) {
+      [lon, lat] = raw;
+    } else if (typeof raw === 'string' && COORDINATE_PATTERN.test(raw)) {
+      [lon, lat] = raw.split(',').map(parseFloat);
+    }
+    if (!isValidCoordinate(lon, lat)) {
+      errors.push(fieldError('Coordinate must be a valid lon,lat pair', `${path}[${index}]`, location, raw));
+    }
+    return [lon, lat];
+  });
+}
+
+/**
+ * Build the OSRM coordinate path segment and per-waypoint option lists.
+ * Option lists are only sent when at least one waypoint sets them.
+ */
+function toOsrmParams(waypoints) {
+  const coordinates = waypoints.map(wp => `${wp.lon},${wp.lat}`).join(';');
+  const params = {};
+
+  if (waypoints.some(wp => wp.bearing)) {
+    params.bearings = waypoints.map(wp => wp.bearing ? `${wp.bearing.value},${wp.bearing.range}` : '').join(';');
+  }
+  if (waypoints.some(wp => wp.radius !== null)) {
+    params.radiuses = waypoints.map(wp => wp.radius === null ? '' : wp.radius).join(';');
+  }
+  if (waypoints.some(wp => wp.approach)) {
+    params.approaches = waypoints.map(wp => wp.approach || '').join(';');
+  }
+
+  return { coordinates, params };
+}
+
+/**
+ * Break a route into legs labelled with the waypoints they connect.
+ * OSRM returns one leg per consecutive waypoint pair.
+ */
+function describeLegs(route, osrmWaypoints = []) {
+  if (!route || !Array.isArray(route.legs)) return [];
+
+  const describeWaypoint = (index) => ({
+    waypointIndex: index,
+    name: osrmWaypoints[index]?.name || '',
+    location: osrmWaypoints[index]?.location || null
+  });
+
+  return route.legs.map((leg, i) => ({
+    index: i,
+    from: describeWaypoint(i),
+    to: describeWaypoint(i + 1),
+    distance: leg.distance,
+    duration: leg.duration,
+    summary: leg.summary || '',
+    stepCount: Array.isArray(leg.steps) ? leg.steps.length : 0
+  }));
+}
+
+module.exports = {
+  MAX_WAYPOINTS,
+  COORDINATE_PATTERN,
+  fieldError,
+  isValidCoordinate,
+  parseBearing,
+  parseRadius,
+  parseApproach,
+  parseQueryWaypoints,
+  parseBodyWaypoints,
+  parseCoordinateList,
+  toOsrmParams,
+  describeLegs
+};
@@ -0,0 +1,43 @@
+/**
+ * Zoom Range Settings
+ * Parses per-zoom settings such as TILE_CACHE_CONTROL="0-12=604800,13-22=86400"
+ * and looks up the value for a zoom level
+ */
+
+const logger = require('./logger');
+
+const ENTRY_PATTERN = /^(\d{1,2})(?:-(\d{1,2}))?=(\d+)$/;
+
+/**
+ * Parse "min-max=value,zoom=value" entries. Invalid entries are logged and
+ * skipped; when ranges overlap the first one listed wins.
+ * @param {string} config Comma-separated entries
+ * @param {string} name Setting name used in warnings
+ * @returns {Array<{ minZoom: number, maxZoom: number, value: number }>}
+ */
+function parseZoomRanges(config, name) {
+  const ranges = [];
+  for (const entry of String(config || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const match = entry.match(ENTRY_PATTERN);
+    const minZoom = match ? parseInt(match[1]) : NaN;
+    const maxZoom = match && match[2] !== undefined ? parseInt(match[2]) : minZoom;
+
+    if (!match || minZoom > maxZoom) {
+      logger.warn(`Ignoring invalid ${name} entry: "${entry}" (expected zoom=value or min-max=value)`);
+      continue;
+    }
+    ranges.push({ minZoom, maxZoom, value: parseInt(match[3]) });
+  }
+  return ranges;
+}
+
+// Value of the first range containing `zoom`, or `fallback`
+function valueForZoom(ranges, zoom, fallback) {
+  const range = ranges.find(item => zoom >= item.minZoom && zoom <= item.maxZoom);
+  return range ? range.value : fallback;
+}
+
+module.exports = {
+  parseZoomRanges,
+  valueForZoom
+};
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const { runOrdered } = require('../src/batch');
+
+test('runOrdered emits results in input order with bounded concurrency', async () => {
+  let active = 0;
+  let peak = 0;
+  const emitted = [];
+
+  await runOrdered(20, async (index) => {
+    active++;
+    peak = Math.max(peak, active);
+    // Later items finish first so results arrive out of order
+    await sleep((20 - index) % 5);
+    active--;
+    return index * 2;
+  }, {
+    concurrency: 3,
+    onResult: (result, index) => emitted.push([index, result])
+  });
+
+  assert.deepEqual(emitted, Array.from({ length: 20 }, (_, i) => [i, i * 2]));
+  assert.ok(peak <= 3, `peak concurrency was ${peak}`);
+});
+
+test('runOrdered never starts jobs more than a window ahead of the output', async () => {
+  const started = [];
+  let released = null;
+  const firstDone = new Promise(resolve => { released = resolve; });
+
+  const run = runOrdered(100, async (index) => {
+    started.push(index);
+    if (index === 0) await firstDone;
+    return index;
+  }, { concurrency: 2, onResult: () => {} });
+
+  await sleep(20);
+  // While item 0 is stuck, only the window of concurrency * 4 items may have started
+  assert.equal(started.length, 8);
+  released();
+  await run;
+  assert.equal(started.length, 100);
+});
+
+test('runOrdered waits for async onResult and stops when shouldContinue fails', async () => {
+  const emitted = [];
+  let workerCalls = 0;
+
+  await runOrdered(50, async (index) => {
+    workerCalls++;
+    return index;
+  }, {
+    concurrency: 1,
+    onResult: async (result) => {
+      await sleep(1);
+      emitted.push(result);
+    },
+    shouldContinue: () => emitted.length < 3
+  });
+
+  assert.deepEqual(emitted, [0, 1, 2]);
+  assert.ok(workerCalls < 50);
+});
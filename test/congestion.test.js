@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'error';
+const CongestionProfile = require('../src/congestion');
+
+const hours = (base, overrides = {}) => Array.from({ length: 24 }, (_, hour) => overrides[hour] ?? base);
+
+const config = {
+  version: '2025-06',
+  timezone: 'UTC',
+  areas: {
+    type: 'FeatureCollection',
+    features: [{
+      type: 'Feature',
+      properties: { name: 'Centre' },
+      geometry: { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]] }
+    }]
+  },
+  rules: [
+    { name: 'toll rush', roadClass: 'toll', factors: hours(1, { 8: 3 }) },
+    { name: 'centre weekdays', area: 'Centre', days: ['mon'], factors: hours(2) },
+    { name: 'base', factors: hours(1, { 8: 1.5 }) }
+  ]
+};
+
+function createProfile(t, contents = config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'congestion-'));
+  const configPath = path.join(dir, 'congestion.json');
+  fs.writeFileSync(configPath, JSON.stringify(contents));
+
+  const profile = new CongestionProfile({ configPath });
+  t.after(() => {
+    profile.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return profile;
+}
+
+// 2025-06-09 is a Monday
+const monday = (hour, minute = 0) => Date.UTC(2025, 5, 9, hour, minute);
+
+test('getFactor picks the first rule matching day, road class and area', (t) => {
+  const profile = createProfile(t);
+
+  assert.equal(profile.getFactor(monday(8), [0.5, 0.5], new Set()), 2);
+  assert.equal(profile.getFactor(monday(8), [5, 5], new Set(['toll'])), 3);
+  assert.equal(profile.getFactor(monday(8) + 24 * 3600 * 1000, [0.5, 0.5], new Set()), 1.5);
+  assert.equal(profile.getFactor(monday(9), [5, 5], new Set()), 1);
+  assert.equal(profile.getStatus().rules, 3);
+});
+
+test('adjust walks the clock through the hourly factors and keeps raw durations', (t) => {
+  const profile = createProfile(t);
+  const data = {
+    routes: [{
+      duration: 160,
+      legs: [{
+        duration: 160,
+        steps: [
+          { duration: 60, maneuver: { location: [5, 5] } },
+          { duration: 100, maneuver: { location: [5, 5] } }
+        ]
+      }]
+    }]
+  };
+  const departAt = new Date(monday(7, 59));
+  const adjusted = profile.adjust(data, departAt);
+  const route = adjusted.routes[0];
+
+  // The first minute is free-flow, the second step starts at 08:00 and takes 1.5x
+  assert.deepEqual(route.legs[0].steps.map(step => step.duration_adjusted), [60, 150]);
+  assert.equal(route.legs[0].duration_adjusted, 210);
+  assert.equal(route.duration_adjusted, 210);
+  assert.equal(data.routes[0].duration_adjusted, undefined);
+
+  const eta = profile.describeEta(adjusted, departAt);
+  assert.equal(eta.congestionVersion, '2025-06');
+  assert.equal(eta.adjusted.arrival, '2025-06-09T08:02:30.000Z');
+  assert.equal(eta.factor, 1.31);
+});
+
+test('an invalid config is rejected and a broken reload keeps the previous table', (t) => {
+  assert.equal(createProfile(t, { version: '1', rules: [{ factors: [1, 2] }] }).getStatus().enabled, false);
+  assert.equal(createProfile(t, { ...config, rules: [{ area: 'Nowhere', factors: hours(1) }] }).getStatus().enabled, false);
+
+  const profile = createProfile(t);
+  fs.writeFileSync(profile.configPath, '{ not json');
+  assert.equal(profile.load(), false);
+  assert.equal(profile.getStatus().version, '2025-06');
+});
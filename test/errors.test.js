@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OsrmUnavailableError } = require('../src/osrmClient');
+const { ApiError, toApiError, errorBody, sendError, validationError, requestId } = require('../src/errors');
+
+// Axios-shaped error for an OSRM response
+function osrmError(status, data, extra = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    isAxiosError: true,
+    response: { status, data },
+    ...extra
+  });
+}
+
+// Minimal stand-in for an Express response
+function fakeResponse() {
+  return {
+    headers: {},
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+test('toApiError maps OSRM codes and points at the offending parameter and waypoint', () => {
+  const error = toApiError(osrmError(400, { code: 'InvalidValue', message: 'Invalid bearings for coordinate 1' }, { coordinateOffset: 10 }));
+  assert.equal(error.code, 'INVALID_VALUE');
+  assert.equal(error.status, 400);
+  assert.deepEqual(error.fields, { osrmCode: 'InvalidValue', param: 'bearings', waypointIndex: 11 });
+
+  const chunked = toApiError(osrmError(400, { code: 'NoSegment', message: 'Could not find a matching segment for coordinate 2' }, { coordinateIndices: [4, 7, 9] }));
+  assert.equal(chunked.status, 422);
+  assert.equal(chunked.fields.waypointIndex, 9);
+
+  assert.equal(toApiError(osrmError(400, { code: 'NoRoute' })).message, 'No route found');
+});
+
+test('toApiError turns transport failures into 502, 503 and 504', () => {
+  assert.equal(toApiError(new OsrmUnavailableError('All OSRM backends for profile "car" are unavailable')).status, 503);
+  assert.equal(toApiError(Object.assign(new Error('timeout'), { isAxiosError: true, code: 'ECONNABORTED' })).status, 504);
+  assert.equal(toApiError(osrmError(500, 'upstream exploded')).message, 'The routing backend responded with HTTP 500');
+  assert.equal(toApiError(Object.assign(new Error('refused'), { isAxiosError: true, code: 'ECONNREFUSED' })).message, 'The routing backend could not be reached');
+
+  const internal = toApiError(new Error('secret stack detail'));
+  assert.equal(internal.code, 'INTERNAL_ERROR');
+  assert.equal(internal.message, 'Internal server error');
+});
+
+test('errorBody uses the caller title only for unexpected errors', () => {
+  assert.equal(errorBody(new Error('boom'), 'Failed to calculate route').error, 'Failed to calculate route');
+  assert.deepEqual(errorBody(new ApiError('NOT_FOUND', 'No such job', { jobId: 'x', param: undefined }), 'Ignored'), {
+    success: false,
+    error: 'Not found',
+    code: 'NOT_FOUND',
+    message: 'No such job',
+    jobId: 'x'
+  });
+});
+
+test('sendError writes the envelope with status, request ID and Retry-After on 503', () => {
+  const res = fakeResponse();
+  const apiError = sendError({ id: 'req-1' }, res, new OsrmUnavailableError('down'), { startTime: Date.now() });
+
+  assert.equal(apiError.code, 'OSRM_UNAVAILABLE');
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.headers['Retry-After'], '30');
+  assert.equal(res.body.requestId, 'req-1');
+  assert.match(res.body.responseTime, /^\d+ms$/);
+});
+
+test('validationError points at the first failing field and its waypoint', () => {
+  const error = validationError([{ msg: 'Invalid coordinate', path: 'waypoints[3].lon' }, { msg: 'Other', path: 'steps' }]);
+  assert.equal(error.status, 400);
+  assert.equal(error.message, 'Invalid coordinate');
+  assert.equal(error.fields.param, 'waypoints[3].lon');
+  assert.equal(error.fields.waypointIndex, 3);
+  assert.equal(error.fields.details.length, 2);
+});
+
+test('requestId keeps sane incoming IDs and generates the rest', () => {
+  const run = (incoming) => {
+    const req = { get: () => incoming };
+    const res = fakeResponse();
+    requestId(req, res, () => {});
+    assert.equal(res.headers['X-Request-Id'], req.id);
+    return req.id;
+  };
+
+  assert.equal(run('nginx-1234.abc'), 'nginx-1234.abc');
+  assert.match(run('bad id<script>'), /^[0-9a-f-]{36}$/);
+  assert.match(run(undefined), /^[0-9a-f-]{36}$/);
+});
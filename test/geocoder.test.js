@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Geocoder = require('../src/geocoder');
+
+const GAZETTEER = [
+  { name: 'Jalan Asia Afrika', type: 'highway=primary', lon: 107.6098, lat: -6.9216, address: { city: 'Bandung' } },
+  { name: 'Alun-Alun Bandung', type: 'place=square', lon: 107.6072, lat: -6.9218, address: { city: 'Bandung' } },
+  { name: 'Kutub Utara', type: 'place=hamlet', lon: 0, lat: 89.999, address: {} }
+];
+
+async function loadGeocoder(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gazetteer-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const dataPath = path.join(dir, 'gazetteer.jsonl');
+  fs.writeFileSync(dataPath, GAZETTEER.map(entry => JSON.stringify(entry)).join('\n'));
+
+  const geocoder = new Geocoder({ dataPath });
+  assert.equal(await geocoder.load(), true);
+  return geocoder;
+}
+
+test('reverse returns the nearest entry with the nearest street filled in', async (t) => {
+  const geocoder = await loadGeocoder(t);
+  const [result] = geocoder.reverse(107.6072, -6.9218, { radius: 1000 });
+  assert.equal(result.name, 'Alun-Alun Bandung');
+  assert.equal(result.address.street, 'Jalan Asia Afrika');
+});
+
+test('reverse near the poles scans a bounded number of cells', async (t) => {
+  const geocoder = await loadGeocoder(t);
+  for (const lat of [90, 89.99, -90, -89.99]) {
+    const startedAt = Date.now();
+    const results = geocoder.reverse(0, lat, { radius: Geocoder.MAX_RADIUS, limit: 5 });
+    assert.ok(Date.now() - startedAt < 500, `lat ${lat} took ${Date.now() - startedAt} ms`);
+    assert.ok(Array.isArray(results));
+  }
+  assert.equal(geocoder.reverse(0, 90, { radius: 1000 })[0].name, 'Kutub Utara');
+});
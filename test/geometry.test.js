@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodePolyline, decodePolyline, simplifyLine, shapeGeometries } = require('../src/geometry');
+
+// The worked example from Google's encoded polyline documentation, as [lon, lat]
+const example = [[-120.2, 38.5], [-120.95, 40.7], [-126.453, 43.252]];
+
+test('encodePolyline matches the reference encoding and round-trips', () => {
+  assert.equal(encodePolyline(example), '_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+  assert.deepEqual(decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@'), example);
+});
+
+test('polyline6 keeps six decimal places', () => {
+  const coordinates = [[107.609812, -6.921634], [107.610005, -6.922001]];
+  const encoded = encodePolyline(coordinates, 6);
+  assert.notEqual(encoded, encodePolyline(coordinates, 5));
+  assert.deepEqual(decodePolyline(encoded, 6), coordinates);
+  assert.deepEqual(decodePolyline(encodePolyline(coordinates, 5), 5), [[107.60981, -6.92163], [107.61001, -6.922]]);
+});
+
+test('simplifyLine drops points within the tolerance and keeps real corners', () => {
+  // Roughly 1 m of wobble along a 1 km line, then a sharp corner
+  const line = [[107.6, -6.9], [107.6025, -6.90001], [107.605, -6.900005], [107.6075, -6.89999], [107.609, -6.9], [107.609, -6.91]];
+
+  assert.deepEqual(simplifyLine(line, 5), [[107.6, -6.9], [107.609, -6.9], [107.609, -6.91]]);
+  assert.equal(simplifyLine(line, 0.1).length, line.length);
+  assert.equal(simplifyLine(line, 0), line);
+});
+
+test('shapeGeometries simplifies and encodes route and step geometries without touching the input', () => {
+  const geometry = { type: 'LineString', coordinates: [[107.6, -6.9], [107.605, -6.90001], [107.61, -6.9]] };
+  const data = { routes: [{ geometry, legs: [{ steps: [{ geometry }] }] }] };
+
+  const encoded = shapeGeometries(data, { tolerance: 10, geometries: 'polyline6' });
+  assert.equal(encoded.routes[0].geometry, encodePolyline([[107.6, -6.9], [107.61, -6.9]], 6));
+  assert.equal(encoded.routes[0].legs[0].steps[0].geometry, encoded.routes[0].geometry);
+
+  const plain = shapeGeometries(data, {});
+  assert.deepEqual(plain.routes[0].geometry, geometry);
+  assert.equal(data.routes[0].geometry.coordinates.length, 3);
+});
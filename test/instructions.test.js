@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SUPPORTED_LANGUAGES, resolveLanguage, generateInstruction, addInstructions } = require('../src/instructions');
+
+// Minimal stand-in for an Express request
+function fakeRequest(acceptLanguage) {
+  return {
+    get: name => (name === 'Accept-Language' ? acceptLanguage : undefined),
+    acceptsLanguages: (...codes) => codes.find(code => acceptLanguage.includes(code)) || false
+  };
+}
+
+test('every language file in the directory is loaded', () => {
+  assert.deepEqual([...SUPPORTED_LANGUAGES].sort(), ['en', 'id']);
+});
+
+test('resolveLanguage prefers the explicit option over Accept-Language', () => {
+  assert.deepEqual(resolveLanguage(fakeRequest('id'), 'EN-gb'), { language: 'en', error: null });
+  assert.match(resolveLanguage(fakeRequest(''), 'fr').error, /Language must be one of/);
+  assert.deepEqual(resolveLanguage(fakeRequest('id-ID,id;q=0.9'), undefined), { language: 'id', error: null });
+  assert.deepEqual(resolveLanguage(fakeRequest('fr'), undefined), { language: null, error: null });
+});
+
+test('generateInstruction fills templates with way names, directions and exits', () => {
+  const depart = { name: 'Jalan Tol Jagorawi', ref: 'E2', maneuver: { type: 'depart', bearing_after: 92 } };
+  assert.equal(generateInstruction(depart, 'en'), 'Head east on Jalan Tol Jagorawi (E2)');
+  assert.equal(generateInstruction(depart, 'id'), 'Berangkat ke arah timur melalui Jalan Tol Jagorawi (E2)');
+
+  assert.equal(generateInstruction({ maneuver: { type: 'turn', modifier: 'slight left' } }, 'en'), 'Turn slightly left');
+  assert.equal(generateInstruction({ maneuver: { type: 'turn', modifier: 'uturn' } }, 'id'), 'Putar balik');
+  assert.equal(generateInstruction({ maneuver: { type: 'rotary', exit: 2 } }, 'en'), 'Enter the roundabout and take the second exit');
+  assert.equal(generateInstruction({ maneuver: { type: 'roundabout', exit: 12 } }, 'id'), 'Masuk bundaran dan ambil jalan keluar ke-12');
+  assert.equal(generateInstruction({ maneuver: { type: 'fork', modifier: 'slight right' } }, 'en'), 'Keep right at the fork');
+});
+
+test('addInstructions numbers intermediate stops and leaves the input untouched', () => {
+  const data = {
+    routes: [{
+      legs: [
+        { steps: [{ name: '', maneuver: { type: 'depart', bearing_after: 0 } }, { name: '', maneuver: { type: 'arrive' } }] },
+        { steps: [{ name: 'Jalan Asia Afrika', maneuver: { type: 'arrive' } }] }
+      ]
+    }]
+  };
+  const result = addInstructions(data, 'en');
+  const texts = result.routes[0].legs.flatMap(leg => leg.steps.map(step => step.maneuver.instruction));
+
+  assert.deepEqual(texts, [
+    'Head north',
+    'You have arrived at stop 1',
+    'You have arrived at your destination on Jalan Asia Afrika'
+  ]);
+  assert.equal(data.routes[0].legs[0].steps[0].maneuver.instruction, undefined);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.LOG_LEVEL = 'error';
+const { parseThresholds, buildIsochrones } = require('../src/isochrone');
+const { OsrmClient } = require('../src/osrmClient');
+
+const center = [107.6, -6.9];
+
+function haversine([lon1, lat1], [lon2, lat2]) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const a = Math.sin(toRadians(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(toRadians(lon2 - lon1) / 2) ** 2;
+  return 2 * 6371008.8 * Math.asin(Math.sqrt(a));
+}
+
+// Stand-in for OSRM's table service: travel at 10 m/s in a straight line, nothing north of the origin is reachable
+async function startOsrm(t) {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://osrm');
+    const coords = url.pathname.split('/').pop().split(';').map(pair => pair.split(',').map(Number));
+    const sources = url.searchParams.get('sources').split(';').map(Number);
+    const destinations = url.searchParams.get('destinations').split(';').map(Number);
+    const cell = (i, j) => (coords[j][1] > center[1] + 0.001 ? null : haversine(coords[i], coords[j]) / 10);
+
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+      code: 'Ok',
+      durations: sources.map(i => destinations.map(j => cell(i, j))),
+      sources: sources.map(i => ({ location: coords[i], distance: 0 })),
+      destinations: destinations.map(j => ({ location: coords[j], distance: 0 }))
+    }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return new OsrmClient({ urls: [`http://127.0.0.1:${server.address().port}`], retries: 0 });
+}
+
+test('parseThresholds sorts and deduplicates values within the metric limit', () => {
+  assert.deepEqual(parseThresholds('15,5,15', 'duration'), { thresholds: [5, 15], error: null });
+  assert.deepEqual(parseThresholds([1000], 'distance').thresholds, [1000]);
+  assert.match(parseThresholds('', 'duration').error, /Thresholds must be/);
+  assert.match(parseThresholds('5,10,15,20,25', 'duration').error, /1-4 positive values/);
+  assert.match(parseThresholds('0', 'duration').error, /Thresholds must be/);
+  assert.match(parseThresholds('121', 'duration').error, /up to 120 minutes/);
+});
+
+test('buildIsochrones interpolates each ray to the threshold and collapses unreachable rays', async (t) => {
+  const client = await startOsrm(t);
+  const result = await buildIsochrones(client, center, { thresholds: [5], bearings: 8, rings: 6 });
+
+  assert.equal(result.type, 'FeatureCollection');
+  assert.equal(result.properties.samples, 48);
+  assert.deepEqual(result.features[0].properties, { metric: 'duration', value: 5, unit: 'minutes' });
+
+  const ring = result.features[0].geometry.coordinates[0];
+  assert.equal(ring.length, 9);
+  assert.deepEqual(ring[0], ring[8]);
+
+  // Five minutes at 10 m/s is 3 km; the three northern rays never leave the origin
+  const reaches = ring.slice(0, 8).map(vertex => haversine(center, vertex));
+  for (const b of [0, 1, 7]) assert.equal(reaches[b], 0);
+  for (const b of [2, 3, 4, 5, 6]) assert.ok(Math.abs(reaches[b] - 3000) < 5, `ray ${b} reaches ${reaches[b]} m`);
+  assert.ok(result.properties.unreachableSamples >= 18);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTrace, splitTrace } = require('../src/match');
+
+const trace = (length) => Array.from({ length }, (_, i) => ({ lon: 107 + i / 1000, lat: -6.9, timestamp: null }));
+
+test('parseTrace reads GPX track points with their times', () => {
+  const gpx = `<?xml version="1.0"?>
+    <gpx><trk><trkseg>
+      <trkpt lat="-6.9216" lon="107.6098"><time>2025-06-09T00:00:00Z</time></trkpt>
+      <trkpt lon="107.6110" lat="-6.9220"><time>2025-06-09T00:00:10Z</time></trkpt>
+    </trkseg></trk></gpx>`;
+  const { points, error } = parseTrace(gpx);
+  assert.equal(error, null);
+  assert.deepEqual(points, [
+    { lon: 107.6098, lat: -6.9216, timestamp: 1749427200 },
+    { lon: 107.611, lat: -6.922, timestamp: 1749427210 }
+  ]);
+});
+
+test('parseTrace falls back to GPX route points', () => {
+  const { points } = parseTrace('<gpx><rte><rtept lat="-6.9" lon="107.6"/><rtept lat="-6.91" lon="107.61"/></rte></gpx>');
+  assert.deepEqual(points.map(p => [p.lon, p.lat, p.timestamp]), [[107.6, -6.9, null], [107.61, -6.91, null]]);
+});
+
+test('parseTrace reads GeoJSON LineStrings with coordTimes', () => {
+  const { points, error } = parseTrace({
+    type: 'Feature',
+    properties: { coordTimes: ['2025-06-09T00:00:00Z', '2025-06-09T00:00:05Z'] },
+    geometry: { type: 'LineString', coordinates: [[107.6, -6.9], [107.61, -6.91]] }
+  });
+  assert.equal(error, null);
+  assert.deepEqual(points.map(p => p.timestamp), [1749427200, 1749427205]);
+});
+
+test('parseTrace reads coordinate arrays with seconds or milliseconds', () => {
+  const { points, error } = parseTrace({ coordinates: [[107.6, -6.9, 1749427200], { lon: 107.61, lat: -6.91, timestamp: 1749427205000 }] });
+  assert.equal(error, null);
+  assert.deepEqual(points.map(p => p.timestamp), [1749427200, 1749427205]);
+});
+
+test('parseTrace rejects unusable traces', () => {
+  assert.match(parseTrace(42).error, /GPX document/);
+  assert.match(parseTrace({ type: 'Feature', geometry: { type: 'Point', coordinates: [1, 2] } }).error, /LineString geometry/);
+  assert.match(parseTrace({ coordinates: [[107.6, -6.9]] }).error, /at least 2 points/);
+  assert.match(parseTrace({ coordinates: [[107.6, -6.9], [190, -6.9]] }).error, /Trace point 1/);
+  assert.match(parseTrace({ coordinates: [[107.6, -6.9, 10], [107.61, -6.91]] }).error, /every trace point or none/);
+  assert.match(parseTrace({ coordinates: [[107.6, -6.9, 10], [107.61, -6.91, 5]] }).error, /decreasing timestamp/);
+});
+
+test('splitTrace keeps a short trace in one chunk', () => {
+  const chunks = splitTrace(trace(5), 100);
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].offset, 0);
+  assert.equal(chunks[0].points.length, 5);
+});
+
+test('splitTrace overlaps consecutive chunks by one point', () => {
+  const chunks = splitTrace(trace(10), 4);
+  assert.deepEqual(chunks.map(chunk => [chunk.offset, chunk.points.length]), [[0, 4], [3, 4], [6, 4]]);
+  assert.equal(chunks[chunks.length - 1].offset + chunks[chunks.length - 1].points.length, 10);
+});
+
+test('splitTrace terminates for chunk sizes below 2', () => {
+  for (const size of [1, 0, -5]) {
+    const chunks = splitTrace(trace(5), size);
+    assert.deepEqual(chunks.map(chunk => chunk.offset), [0, 1, 2, 3]);
+    assert.ok(chunks.every(chunk => chunk.points.length === 2));
+  }
+});
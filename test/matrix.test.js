@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.MATRIX_CHUNK_SIZE = '2';
+process.env.LOG_LEVEL = 'error';
+const { parseIndexList, parseAnnotations, computeMatrix } = require('../src/matrix');
+const { OsrmClient } = require('../src/osrmClient');
+
+// Coordinate k sits at longitude 100 + k, so the expected duration from i to j is (j - i) * 10
+const coordinates = Array.from({ length: 5 }, (_, k) => [100 + k, -6.9]);
+const expected = (i, j) => (j - i) * 10;
+
+// Stand-in for OSRM's table service; blocks containing `failLon` fail, `unreachableLon` has no routes
+async function startOsrm(t, { failLon = null, unreachableLon = null } = {}) {
+  const osrm = { requests: [] };
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://osrm');
+    const lons = url.pathname.split('/').pop().split(';').map(pair => parseFloat(pair.split(',')[0]));
+    const sources = url.searchParams.get('sources').split(';').map(Number);
+    const destinations = url.searchParams.get('destinations').split(';').map(Number);
+    osrm.requests.push({ lons, sources, destinations });
+
+    res.setHeader('Content-Type', 'application/json');
+    if (lons.includes(failLon)) {
+      res.statusCode = 500;
+      return res.end(JSON.stringify({ code: 'InvalidQuery' }));
+    }
+    const cell = (i, j) => (lons[i] === unreachableLon || lons[j] === unreachableLon ? null : (lons[j] - lons[i]) * 10);
+    res.end(JSON.stringify({
+      code: 'Ok',
+      durations: sources.map(i => destinations.map(j => cell(i, j))),
+      distances: sources.map(i => destinations.map(j => cell(i, j) === null ? null : cell(i, j) * 100)),
+      sources: sources.map(i => ({ location: [lons[i], -6.9] })),
+      destinations: destinations.map(j => ({ location: [lons[j], -6.9] }))
+    }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  osrm.client = new OsrmClient({ urls: [`http://127.0.0.1:${server.address().port}`], retries: 0 });
+  return osrm;
+}
+
+test('parseIndexList defaults to every coordinate and rejects out-of-range indices', () => {
+  assert.deepEqual(parseIndexList(undefined, 3), [0, 1, 2]);
+  assert.deepEqual(parseIndexList('all', 2), [0, 1]);
+  assert.deepEqual(parseIndexList('2;0', 3), [2, 0]);
+  assert.deepEqual(parseIndexList([1], 3), [1]);
+  assert.equal(parseIndexList('0;3', 3), null);
+  assert.equal(parseIndexList('0;x', 3), null);
+});
+
+test('parseAnnotations defaults to duration and rejects unknown annotations', () => {
+  assert.deepEqual(parseAnnotations(undefined), ['duration']);
+  assert.deepEqual(parseAnnotations('duration,distance,duration'), ['duration', 'distance']);
+  assert.equal(parseAnnotations('speed'), null);
+});
+
+test('computeMatrix stitches chunked OSRM tables back into one matrix', async (t) => {
+  const osrm = await startOsrm(t);
+  const sources = [0, 1, 2, 3, 4];
+  const destinations = [4, 2, 0];
+  const result = await computeMatrix(osrm.client, { coordinates, sources, destinations, annotations: ['duration', 'distance'] });
+
+  // 3 source chunks x 2 destination chunks of at most 2 coordinates each
+  assert.equal(result.chunks, 6);
+  assert.equal(osrm.requests.length, 6);
+  assert.deepEqual(result.durations, sources.map(i => destinations.map(j => expected(i, j))));
+  assert.deepEqual(result.distances, sources.map(i => destinations.map(j => expected(i, j) * 100)));
+  assert.deepEqual(result.destinations.map(d => d.location[0]), [104, 102, 100]);
+  assert.deepEqual(result.failedCells, []);
+});
+
+test('computeMatrix reports unreachable pairs and failed chunks as null cells', async (t) => {
+  const osrm = await startOsrm(t, { failLon: 104, unreachableLon: 101 });
+  const result = await computeMatrix(osrm.client, { coordinates, sources: [0, 1, 4], destinations: [0, 2], annotations: ['duration'] });
+
+  assert.deepEqual(result.durations, [[0, 20], [null, null], [null, null]]);
+  assert.equal(result.failedChunks, 1);
+  assert.deepEqual(result.failedCells, [
+    { source: 1, destination: 0, reason: 'NoRoute' },
+    { source: 1, destination: 1, reason: 'NoRoute' },
+    { source: 2, destination: 0, reason: 'InvalidQuery' },
+    { source: 2, destination: 1, reason: 'InvalidQuery' }
+  ]);
+});
+
+test('computeMatrix rethrows the OSRM error when every chunk fails', async (t) => {
+  const osrm = await startOsrm(t, { failLon: 100 });
+  await assert.rejects(
+    computeMatrix(osrm.client, { coordinates, sources: [0], destinations: [0], annotations: ['duration'] }),
+    error => error.response.data.code === 'InvalidQuery' && error.coordinateIndices.join() === '0'
+  );
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TileCacheManager = require('../src/tile-cache');
+const Database = require('better-sqlite3');
+const MBTilesTileStore = require('../src/mbtilesStore');
+
+const quietLogger = { debug() {}, info() {}, warn() {}, error() {} };
+const LAYER = { id: 'osm', name: 'OpenStreetMap', namespace: '', format: 'png', minZoom: 0, maxZoom: 18, attribution: '' };
+const BANDUNG = { minLon: 107.55, minLat: -6.95, maxLon: 107.65, maxLat: -6.88 };
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mbtiles-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const tileData = (z, x, y) => Buffer.from(`tile ${z}/${x}/${y}`);
+
+test('tiles survive an export from a directory cache and an import into an MBTiles cache', async (t) => {
+  const dir = tempDir(t);
+  const source = TileCacheManager.createStore('directory', path.join(dir, 'source'));
+  const target = TileCacheManager.createStore('mbtiles', path.join(dir, 'target'));
+  t.after(() => target.close());
+
+  const tiles = [{ z: 12, x: 3271, y: 2126 }, { z: 13, x: 6543, y: 4252 }, { z: 13, x: 6544, y: 4253 }];
+  for (const { z, x, y } of tiles) {
+    await source.put(LAYER, z, x, y, tileData(z, x, y), { timestamp: 1749427200000, etag: `"${z}-${x}-${y}"` });
+  }
+
+  const filePath = path.join(dir, 'bandung.mbtiles');
+  const exported = await TileCacheManager.exportMBTiles(source, filePath, LAYER, { bounds: BANDUNG, zoomLevels: [12, 13] });
+  assert.equal(exported.exported, tiles.length);
+  assert.equal(exported.missing, exported.totalTiles - tiles.length);
+
+  // Rows are stored in TMS order, as other MBTiles readers expect
+  const db = MBTilesTileStore.open(filePath, { readonly: true });
+  assert.equal(MBTilesTileStore.readMetadata(db).format, 'png');
+  const row = db.prepare('SELECT tile_row FROM tiles WHERE zoom_level = 12 AND tile_column = 3271').get();
+  assert.equal(row.tile_row, (1 << 12) - 1 - 2126);
+  db.close();
+
+  const imported = await TileCacheManager.importMBTiles(target, filePath, LAYER);
+  assert.deepEqual([imported.imported, imported.skipped], [tiles.length, 0]);
+  for (const { z, x, y } of tiles) {
+    const cached = await target.get(LAYER, z, x, y);
+    assert.deepEqual(cached.tile, tileData(z, x, y));
+    assert.equal(cached.metadata.etag, `"${z}-${x}-${y}"`);
+    assert.equal(cached.modifiedAt, 1749427200000);
+  }
+
+  // Tiles already cached are skipped, a layer of another format is refused
+  const again = await TileCacheManager.importMBTiles(target, filePath, LAYER);
+  assert.deepEqual([again.imported, again.skipped], [0, tiles.length]);
+  await assert.rejects(
+    TileCacheManager.importMBTiles(target, filePath, { ...LAYER, id: 'sat', format: 'jpg' }),
+    /holds png tiles/
+  );
+});
+
+test('export refuses to overwrite an existing file', async (t) => {
+  const dir = tempDir(t);
+  const store = TileCacheManager.createStore('directory', dir);
+  const filePath = path.join(dir, 'existing.mbtiles');
+  fs.writeFileSync(filePath, 'keep me');
+
+  await assert.rejects(
+    TileCacheManager.exportMBTiles(store, filePath, LAYER, { bounds: BANDUNG, zoomLevels: [12] }),
+    /already exists/
+  );
+  assert.equal(fs.readFileSync(filePath, 'utf8'), 'keep me');
+});
+
+test('evicting from the MBTiles store shrinks the database file', async (t) => {
+  const cacheDir = tempDir(t);
+  const cacheManager = new TileCacheManager({
+    cacheDir,
+    storage: 'mbtiles',
+    maxCacheSizeMB: 2,
+    pinnedMaxZoom: -1,
+    osrmDataPath: path.join(cacheDir, 'missing.timestamp'),
+    logger: quietLogger
+  });
+  t.after(() => cacheManager.store.close());
+
+  // 80 tiles of 50 KB, about 4 MB on disk
+  const tiles = Array.from({ length: 80 }, (_, i) => ({
+    z: 14, x: 13000 + i, y: 8500, tile: Buffer.alloc(50 * 1024, i), metadata: { timestamp: Date.now() }
+  }));
+  await cacheManager.store.putMany(LAYER, tiles);
+  const sizeBefore = await cacheManager.store.size();
+  assert.ok(sizeBefore > 4 * 1024 * 1024);
+
+  const result = await cacheManager.evictTiles();
+  assert.ok(result.tilesRemoved > 0);
+  const sizeAfter = await cacheManager.store.size();
+  assert.ok(sizeAfter <= 2 * 1024 * 1024 * 0.9, `database is still ${sizeAfter} bytes`);
+  assert.equal(cacheManager.cacheSizeBytes, sizeAfter);
+  assert.ok(fs.statSync(path.join(cacheDir, 'mbtiles', 'osm.mbtiles')).size <= sizeBefore);
+});
+
+test('leastRecentlyUsed picks the oldest unpinned tiles across layer files in SQL', async (t) => {
+  const store = new MBTilesTileStore({ dir: tempDir(t) });
+  t.after(() => store.close());
+  const satellite = { ...LAYER, id: 'satellite', name: 'Satellite', format: 'jpg' };
+
+  for (const layer of [LAYER, satellite]) {
+    await store.putMany(layer, [10, 14, 15].flatMap(z => [1, 2, 3].map(x => ({ z, x, y: 1, tile: tileData(z, x, 1), metadata: {} }))));
+    // Access time grows with the column, satellite tiles are a little older than osm ones
+    store.database(layer).db.prepare('UPDATE tiles SET accessed_at = tile_column * 1000 - ?').run(layer === satellite ? 500 : 0);
+  }
+
+  const oldest = await store.leastRecentlyUsed(3, 10);
+  assert.deepEqual(oldest.map(entry => [entry.layer, entry.x, entry.accessedAt]), [
+    ['satellite', 1, 500], ['satellite', 1, 500], ['osm', 1, 1000]
+  ]);
+  assert.ok(oldest.every(entry => entry.z > 10));
+  assert.equal((await store.leastRecentlyUsed(100, 14)).length, 6);
+});
+
+test('older layer files are only converted to incremental auto-vacuum on request', async (t) => {
+  const dir = tempDir(t);
+  // A store file from before auto-vacuum: tables created without it
+  const legacy = new Database(path.join(dir, 'osm.mbtiles'));
+  legacy.exec('CREATE TABLE metadata (name TEXT PRIMARY KEY, value TEXT)');
+  legacy.close();
+
+  const warnings = [];
+  const store = new MBTilesTileStore({ dir, logger: { ...quietLogger, warn: message => warnings.push(message) } });
+  t.after(() => store.close());
+  await store.put(LAYER, 14, 1, 1, tileData(14, 1, 1), {});
+
+  const { db } = store.database(LAYER);
+  assert.equal(MBTilesTileStore.hasAutoVacuum(db), false);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /osm\.mbtiles predates incremental auto-vacuum/);
+
+  assert.deepEqual(store.enableAutoVacuum(), ['osm']);
+  assert.equal(MBTilesTileStore.hasAutoVacuum(db), true);
+  assert.deepEqual(store.enableAutoVacuum(), []);
+  assert.deepEqual((await store.get(LAYER, 14, 1, 1)).tile, tileData(14, 1, 1));
+
+  // New files get it without a VACUUM
+  const fresh = new MBTilesTileStore({ dir: tempDir(t), logger: quietLogger });
+  t.after(() => fresh.close());
+  assert.equal(MBTilesTileStore.hasAutoVacuum(fresh.database(LAYER).db), true);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+const { encodePolyline } = require('../src/geometry');
+const { parseCoordinatesSegment, validateOsrmRequest } = require('../src/osrmApi');
+
+const car = { name: 'car', excludeClasses: ['toll', 'motorway', 'ferry'] };
+const two = [[107.6, -6.9], [107.7, -6.95]];
+
+test('parseCoordinatesSegment reads lon,lat lists and encoded polylines', () => {
+  assert.deepEqual(parseCoordinatesSegment('107.6,-6.9;107.7,-6.95.json'), { coordinates: two, error: null });
+  assert.deepEqual(parseCoordinatesSegment(`polyline(${encodePolyline(two)})`).coordinates, two);
+  assert.deepEqual(parseCoordinatesSegment(`polyline6(${encodePolyline(two, 6)})`).coordinates, two);
+
+  assert.equal(parseCoordinatesSegment('107.6,-6.9;abc').error.code, 'InvalidUrl');
+  assert.deepEqual(parseCoordinatesSegment('107.6,-6.9;107.7,-96').error, { code: 'InvalidValue', message: 'Invalid coordinate value at index 1' });
+});
+
+test('validateOsrmRequest forwards valid options unchanged', () => {
+  const query = { steps: 'true', overview: 'full', bearings: '90,20;', exclude: 'toll', alternatives: '2' };
+  assert.deepEqual(validateOsrmRequest('route', car, two, query), { params: query, error: null });
+  assert.equal(validateOsrmRequest('table', car, two, { sources: '0', destinations: 'all', annotations: 'duration,distance' }).error, null);
+  assert.equal(validateOsrmRequest('match', car, two, { timestamps: '1749427200;1749427210', gaps: 'ignore' }).error, null);
+});
+
+test('validateOsrmRequest rejects unknown, repeated and malformed options with OSRM error codes', () => {
+  const error = (service, query, coordinates = two) => validateOsrmRequest(service, car, coordinates, query).error;
+
+  assert.deepEqual(error('route', { foo: '1' }), { code: 'InvalidQuery', message: 'Unsupported parameter "foo" for the route service' });
+  assert.equal(error('route', { steps: ['true', 'false'] }).message, 'Parameter "steps" must be given once');
+  assert.equal(error('route', { bearings: '90,20' }).message, 'bearings must have one entry per coordinate (2)');
+  assert.equal(error('route', { steps: 'yes' }).message, 'steps must be true or false');
+  assert.match(error('route', { exclude: 'unpaved' }).message, /Exclude class "unpaved" is not supported/);
+  assert.equal(error('table', { sources: '0;2' }).code, 'InvalidValue');
+  assert.equal(error('nearest', { number: '101' }, [two[0]]).message, 'Number must be 1-100');
+  assert.match(error('trip', { roundtrip: 'false' }).message, /require source=first and destination=last/);
+});
+
+test('validateOsrmRequest enforces per-service coordinate counts', () => {
+  assert.deepEqual(validateOsrmRequest('route', car, [two[0]], {}).error, {
+    code: 'InvalidValue',
+    message: 'The route service needs at least 2 coordinates'
+  });
+  assert.equal(validateOsrmRequest('nearest', car, two, {}).error.code, 'TooBig');
+});
+
+test('validateOsrmRequest rejects bearings that are not whole degrees', () => {
+  assert.equal(validateOsrmRequest('route', car, two, { bearings: '90abc,20;' }).error.code, 'InvalidValue');
+  assert.equal(validateOsrmRequest('route', car, two, { bearings: ';1e3' }).error.code, 'InvalidValue');
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { setTimeout: sleep } = require('timers/promises');
+
+process.env.LOG_LEVEL = 'error';
+const { OsrmClient, OsrmUnavailableError } = require('../src/osrmClient');
+
+// Fake OSRM backend answering with `backend.status` and recording request paths
+async function startBackend(t, status = 200) {
+  const backend = { status, requests: [] };
+  const server = http.createServer((req, res) => {
+    backend.requests.push(req.url);
+    res.statusCode = backend.status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ code: backend.status === 200 ? 'Ok' : backend.status === 400 ? 'InvalidValue' : 'InternalError' }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  backend.url = `http://127.0.0.1:${server.address().port}/`;
+  return backend;
+}
+
+test('get builds the OSRM service URL and resolves with the response body', async (t) => {
+  const backend = await startBackend(t);
+  const client = new OsrmClient({ urls: [backend.url], osrmProfile: 'cycling' });
+
+  assert.deepEqual(await client.get('route', '107.6,-6.9;107.7,-6.95', { steps: true }), { code: 'Ok' });
+  assert.deepEqual(backend.requests, ['/route/v1/cycling/107.6,-6.9;107.7,-6.95?steps=true']);
+});
+
+test('backend failures are retried on the next backend', async (t) => {
+  const broken = await startBackend(t, 503);
+  const healthy = await startBackend(t);
+  const client = new OsrmClient({ urls: [broken.url, healthy.url], retries: 1, retryBaseDelay: 1 });
+
+  assert.deepEqual(await client.get('nearest', '107.6,-6.9'), { code: 'Ok' });
+  assert.equal(broken.requests.length, 1);
+  assert.equal(healthy.requests.length, 1);
+  assert.deepEqual(client.getState().backends.map(b => [b.state, b.failures]), [['closed', 1], ['closed', 0]]);
+});
+
+test('4xx answers are passed through without a retry or a failure', async (t) => {
+  const backend = await startBackend(t, 400);
+  const client = new OsrmClient({ urls: [backend.url], retries: 2, retryBaseDelay: 1 });
+
+  await assert.rejects(client.get('route', '0,0;1,1'), error => error.response.data.code === 'InvalidValue');
+  assert.equal(backend.requests.length, 1);
+  assert.equal(client.getState().backends[0].failures, 0);
+});
+
+test('the circuit opens after repeated failures and recovers through a half-open probe', async (t) => {
+  const backend = await startBackend(t, 500);
+  const client = new OsrmClient({ urls: [backend.url], retries: 0, failureThreshold: 2, resetTimeout: 30 });
+
+  await assert.rejects(client.get('route', '0,0;1,1'), error => error.response.status === 500);
+  await assert.rejects(client.get('route', '0,0;1,1'), error => error.response.status === 500);
+  assert.equal(client.getState().status, 'unavailable');
+
+  // Open circuits fail fast without reaching the backend
+  await assert.rejects(client.get('route', '0,0;1,1'), OsrmUnavailableError);
+  assert.equal(backend.requests.length, 2);
+
+  await sleep(40);
+  backend.status = 200;
+  assert.deepEqual(await client.get('route', '0,0;1,1'), { code: 'Ok' });
+  assert.deepEqual(client.getState().backends.map(b => [b.state, b.failures]), [['closed', 0]]);
+});
+
+test('a failed half-open probe reopens the circuit immediately', async (t) => {
+  const backend = await startBackend(t, 500);
+  const client = new OsrmClient({ urls: [backend.url], retries: 0, failureThreshold: 1, resetTimeout: 20 });
+
+  await assert.rejects(client.get('route', '0,0;1,1'));
+  await sleep(30);
+  await assert.rejects(client.get('route', '0,0;1,1'), error => error.response.status === 500);
+  assert.equal(client.backends[0].state, 'open');
+  await assert.rejects(client.get('route', '0,0;1,1'), OsrmUnavailableError);
+});
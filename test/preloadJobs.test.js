@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PreloadJobManager = require('../src/preloadJobs');
+
+const quietLogger = { debug() {}, info() {}, warn() {}, error() {} };
+const LAYER = { id: 'osm', minZoom: 0, maxZoom: 18 };
+
+// Stands in for the tile cache, recording every tile the jobs download
+function fakeCache(cached = new Set()) {
+  return {
+    downloads: [],
+    async isTileCached(layer, z, x, y) {
+      return cached.has(`${z}/${x}/${y}`);
+    },
+    async getTile(layer, z, x, y) {
+      this.downloads.push(`${z}/${x}/${y}`);
+    }
+  };
+}
+
+function createManager(jobsDir, cacheManager) {
+  return new PreloadJobManager({
+    cacheManager,
+    jobsDir,
+    getLayer: () => LAYER,
+    pollInterval: 20,
+    logger: quietLogger
+  });
+}
+
+async function until(condition) {
+  while (!(await condition())) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+function jobsDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'preload-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('a job interrupted by a restart resumes where it stopped', async (t) => {
+  const dir = jobsDir(t);
+  const cache = fakeCache();
+  const first = createManager(dir, cache);
+  const { spec, error } = first.parseSpec({ bbox: [107.55, -6.95, 107.65, -6.88], zoomLevels: [14], rate: 50 });
+  assert.equal(error, null);
+  const { id } = await first.create(spec);
+
+  first.start();
+  await until(() => first.active?.job.progress.processed >= 5);
+  first.stop();
+  await until(() => first.active === null);
+
+  const interrupted = await first.loadJob(id);
+  assert.equal(interrupted.status, 'running');
+  assert.ok(interrupted.progress.processed < spec.totalTiles);
+
+  const second = createManager(dir, cache);
+  second.start();
+  t.after(() => second.stop());
+  const finished = await second.waitFor(id, 20);
+
+  assert.equal(finished.status, 'completed');
+  assert.equal(finished.progress.processed, spec.totalTiles);
+  assert.equal(finished.progress.downloaded, spec.totalTiles);
+  // Every tile downloaded exactly once across both runs
+  assert.equal(cache.downloads.length, spec.totalTiles);
+  assert.equal(new Set(cache.downloads).size, spec.totalTiles);
+});
+
+test('cached tiles and tiles outside the area are counted but not downloaded', async (t) => {
+  const dir = jobsDir(t);
+  const cache = fakeCache(new Set(['14/13086/8509']));
+  const manager = createManager(dir, cache);
+  // A triangle over the bbox's lower left half
+  const polygon = { type: 'Polygon', coordinates: [[[107.55, -6.95], [107.65, -6.95], [107.55, -6.88], [107.55, -6.95]]] };
+  const { spec } = manager.parseSpec({ polygon, zoomLevels: [14], rate: 50 });
+  const { id } = await manager.create(spec);
+
+  manager.start();
+  t.after(() => manager.stop());
+  const { progress } = await manager.waitFor(id, 20);
+
+  assert.ok(progress.skipped > 0);
+  assert.equal(progress.cached, 1);
+  assert.equal(progress.downloaded + progress.cached + progress.skipped, spec.totalTiles);
+  assert.equal(cache.downloads.length, progress.downloaded);
+  assert.ok(!cache.downloads.includes('14/13086/8509'));
+});
+
+test('waitFor returns a job that paused itself after repeated download failures', async (t) => {
+  const dir = jobsDir(t);
+  const cache = fakeCache();
+  cache.getTile = async () => {
+    throw new Error('connect ECONNREFUSED');
+  };
+  const manager = createManager(dir, cache);
+  const { spec } = manager.parseSpec({ bbox: [107.55, -6.95, 107.65, -6.88], zoomLevels: [15], rate: 50 });
+  const { id } = await manager.create(spec);
+
+  manager.start();
+  t.after(() => manager.stop());
+  const paused = await manager.waitFor(id, 20);
+
+  assert.equal(paused.status, 'paused');
+  assert.match(paused.reason, /failed downloads in a row/);
+  assert.ok(paused.progress.processed < spec.totalTiles);
+});
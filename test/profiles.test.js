@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+process.env.OSRM_PROFILES = 'car=http://osrm-car:5000/|http://osrm-car-2:5000, bicycle = http://osrm-bike:5000,broken,scooter=';
+process.env.DEFAULT_PROFILE = 'bicycle';
+process.env.OSRM_EXCLUDE_CLASSES = 'bicycle=ferry|steps';
+const { DEFAULT_PROFILE, getProfile, findOsrmProfile, getProfileNames, listProfiles, getBackendStates } = require('../src/profiles');
+
+test('OSRM_PROFILES entries map to failover backends and skip invalid entries', () => {
+  assert.deepEqual(getProfileNames(), ['car', 'bicycle']);
+  assert.equal(getProfile('car').osrmProfile, 'driving');
+  assert.deepEqual(getProfile('car').client.backends.map(backend => backend.url), ['http://osrm-car:5000', 'http://osrm-car-2:5000']);
+  assert.equal(getProfile('bicycle').client.osrmProfile, 'cycling');
+  assert.equal(getProfile('scooter'), null);
+  assert.equal(getBackendStates().car.backends.length, 2);
+});
+
+test('getBackendStates identifies backends by index without exposing URLs or errors', () => {
+  getProfile('car').client.recordFailure(getProfile('car').client.backends[1], { code: 'ECONNREFUSED' });
+  const [first, second] = getBackendStates().car.backends;
+
+  assert.deepEqual(first, { index: 0, state: 'closed', failures: 0, lastFailureAt: null });
+  assert.deepEqual(Object.keys(second), ['index', 'state', 'failures', 'lastFailureAt']);
+  assert.equal(second.failures, 1);
+  assert.doesNotMatch(JSON.stringify(getBackendStates()), /osrm-car|ECONNREFUSED/);
+});
+
+test('the default profile answers unnamed lookups and is flagged in the listing', () => {
+  assert.equal(DEFAULT_PROFILE, 'bicycle');
+  assert.equal(getProfile().name, 'bicycle');
+  assert.deepEqual(listProfiles(), [
+    { name: 'car', default: false, excludeClasses: ['toll', 'motorway', 'ferry'] },
+    { name: 'bicycle', default: true, excludeClasses: ['ferry', 'steps'] }
+  ]);
+});
+
+test('findOsrmProfile accepts profile names and the OSRM profiles they serve', () => {
+  assert.equal(findOsrmProfile('car').name, 'car');
+  assert.equal(findOsrmProfile('driving').name, 'car');
+  assert.equal(findOsrmProfile('cycling').name, 'bicycle');
+  assert.equal(findOsrmProfile('foot'), null);
+});
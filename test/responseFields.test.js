@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFields, selectFields } = require('../src/responseFields');
+
+const response = {
+  code: 'Ok',
+  routes: [{
+    distance: 1200,
+    duration: 150,
+    geometry: 'abc',
+    legs: [{ summary: 'Jalan Braga', distance: 1200, steps: [{}] }]
+  }],
+  waypoints: [{ name: 'Braga', location: [107.6, -6.9], hint: 'xyz' }]
+};
+
+test('parseFields builds a selection tree rooted at each route', () => {
+  assert.deepEqual(parseFields('distance, legs.summary,waypoints.location').tree, {
+    code: true,
+    routes: { distance: true, legs: { summary: true } },
+    waypoints: { location: true }
+  });
+  // A parent path already selects its children
+  assert.deepEqual(parseFields(['legs', 'legs.summary']).tree, { code: true, routes: { legs: true } });
+});
+
+test('parseFields rejects empty lists and malformed paths', () => {
+  assert.match(parseFields(' , ').error, /one or more paths/);
+  assert.match(parseFields('legs..summary').error, /Invalid field path "legs..summary"/);
+  assert.match(parseFields('routes[0]').error, /Invalid field path/);
+});
+
+test('selectFields copies only the selected paths through arrays', () => {
+  const { tree } = parseFields('distance,legs.summary,waypoints.location,missing');
+  assert.deepEqual(selectFields(response, tree), {
+    code: 'Ok',
+    routes: [{ distance: 1200, legs: [{ summary: 'Jalan Braga' }] }],
+    waypoints: [{ location: [107.6, -6.9] }]
+  });
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+const RouteCache = require('../src/routeCache');
+
+function createCache(t, options) {
+  const cache = new RouteCache(options);
+  t.after(() => cache.stop());
+  return cache;
+}
+
+test('buildKey rounds coordinates and ignores parameter order', (t) => {
+  const cache = createCache(t, { precision: 3 });
+  const a = cache.buildKey('car', [{ lon: 107.60012, lat: -6.90049 }, { lon: 107.7, lat: -6.95 }], { steps: true, overview: 'full' });
+  const b = cache.buildKey('car', [{ lon: 107.6001, lat: -6.9 }, { lon: 107.7, lat: -6.95 }], { overview: 'full', steps: true });
+  assert.equal(a, 'car|107.600,-6.900;107.700,-6.950|overview=full&steps=true');
+  assert.equal(a, b);
+  assert.notEqual(a, cache.buildKey('foot', [{ lon: 107.6, lat: -6.9 }, { lon: 107.7, lat: -6.95 }], { overview: 'full', steps: true }));
+  assert.notEqual(a, cache.buildKey('car', [{ lon: 107.6, lat: -6.9 }, { lon: 107.7, lat: -6.95 }], { overview: 'simplified', steps: true }));
+});
+
+test('get and set count hits and misses, and do nothing when disabled', (t) => {
+  const cache = createCache(t);
+  assert.equal(cache.get('k'), undefined);
+  cache.set('k', { code: 'Ok' });
+  assert.deepEqual(cache.get('k'), { code: 'Ok' });
+  assert.deepEqual([cache.getStats().hits, cache.getStats().misses, cache.getStats().hitRate], [1, 1, 50]);
+
+  const disabled = createCache(t, { enabled: false });
+  disabled.set('k', { code: 'Ok' });
+  assert.equal(disabled.get('k'), undefined);
+});
+
+test('set evicts the oldest entries once over the memory cap', (t) => {
+  const value = { payload: 'x'.repeat(400) };
+  const entrySize = Buffer.byteLength(JSON.stringify(value));
+  const cache = createCache(t, { maxSizeMB: (entrySize * 2.5) / (1024 * 1024) });
+
+  cache.set('a', value);
+  cache.set('b', value);
+  cache.set('c', value);
+  assert.equal(cache.get('a'), undefined);
+  assert.ok(cache.get('b') && cache.get('c'));
+  assert.equal(cache.getStats().evictions, 1);
+  assert.equal(cache.totalSize, entrySize * 2);
+});
+
+test('a new OSRM data version flushes the cache', (t) => {
+  let version = 'v1';
+  const cache = createCache(t, { getDataVersion: () => version });
+  cache.set('k', { code: 'Ok' });
+
+  version = 'v2';
+  cache.lastVersionCheck = 0;
+  assert.equal(cache.get('k'), undefined);
+  assert.equal(cache.getStats().invalidations, 1);
+  assert.equal(cache.totalSize, 0);
+});
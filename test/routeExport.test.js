@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EXPORT_FORMATS, exportRoute } = require('../src/routeExport');
+
+const data = {
+  waypoints: [{ name: 'Jalan Braga', location: [107.6, -6.9] }, { name: '', location: [107.61, -6.91] }],
+  routes: [{
+    distance: 1520.4,
+    duration: 180.6,
+    geometry: { type: 'LineString', coordinates: [[107.6, -6.9], [107.605, -6.905], [107.61, -6.91]] },
+    legs: [{
+      steps: [
+        { name: 'Jalan Braga', distance: 1520.4, duration: 180.6, maneuver: { type: 'depart', location: [107.6, -6.9], instruction: 'Head south on Jalan Braga' } },
+        { name: '', distance: 0, duration: 0, maneuver: { type: 'arrive', location: [107.61, -6.91] } }
+      ]
+    }]
+  }]
+};
+
+test('exportRoute writes GeoJSON with the route line, waypoints and instruction points', () => {
+  assert.deepEqual(EXPORT_FORMATS, ['gpx', 'kml', 'geojson']);
+  const { body, contentType, filename } = exportRoute(data, 'geojson', { name: 'Braga' });
+  const collection = JSON.parse(body);
+
+  assert.equal(contentType, 'application/geo+json');
+  assert.match(filename, /^route-.*\.geojson$/);
+  assert.deepEqual(collection.features.map(f => f.properties.type), ['route', 'waypoint', 'waypoint', 'instruction', 'instruction']);
+  assert.equal(collection.features[0].properties.name, 'Braga');
+  assert.equal(collection.features[0].geometry.coordinates.length, 3);
+  // Steps without instruction text fall back to the road name, then the maneuver type
+  assert.deepEqual(collection.features.slice(3).map(f => f.properties.instruction), ['Head south on Jalan Braga', 'arrive']);
+});
+
+test('exportRoute writes GPX waypoints, route points and a track', () => {
+  const { body, contentType } = exportRoute(data, 'gpx', { name: 'Braga & back' });
+
+  assert.equal(contentType, 'application/gpx+xml');
+  assert.match(body, /<metadata><name>Braga &amp; back<\/name>/);
+  assert.match(body, /<wpt lat="-6.9" lon="107.6"><name>Jalan Braga<\/name>/);
+  assert.match(body, /<wpt lat="-6.91" lon="107.61"><name>Waypoint 2<\/name>/);
+  assert.match(body, /<rtept lat="-6.9" lon="107.6"><name>Head south on Jalan Braga<\/name><desc>1520 m, 181 s<\/desc>/);
+  assert.equal(body.match(/<trkpt /g).length, 3);
+});
+
+test('exportRoute writes KML with a LineString and placemark folders', () => {
+  const { body, contentType } = exportRoute(data, 'kml');
+
+  assert.equal(contentType, 'application/vnd.google-earth.kml+xml');
+  assert.match(body, /<coordinates>107.6,-6.9 107.605,-6.905 107.61,-6.91<\/coordinates>/);
+  assert.match(body, /<description>1520 m, 181 s<\/description><styleUrl>#route<\/styleUrl>/);
+  assert.equal(body.match(/<styleUrl>#instruction<\/styleUrl>/g).length, 2);
+});
+
+test('exportRoute refuses responses without a route', () => {
+  assert.throws(() => exportRoute({ routes: [] }, 'gpx'), /no routes to export/);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkExclude, checkAnnotations, checkAlternatives, toRouteParams } = require('../src/routeOptions');
+
+const car = { name: 'car', excludeClasses: ['toll', 'motorway', 'ferry'] };
+const foot = { name: 'foot', excludeClasses: [] };
+
+test('checkExclude only accepts classes the profile declares', () => {
+  assert.equal(checkExclude('toll, ferry', car), true);
+  assert.equal(checkExclude(['toll'], null), true);
+  assert.throws(() => checkExclude(' , ', car), /one or more classes/);
+  assert.throws(() => checkExclude('toll,unpaved', car), /Exclude class "unpaved" is not supported by profile "car". Supported exclude classes: toll, motorway, ferry/);
+  assert.throws(() => checkExclude('ferry', foot), /Supported exclude classes: none/);
+});
+
+test('checkAnnotations accepts booleans or a list of known annotations', () => {
+  assert.equal(checkAnnotations(true), true);
+  assert.equal(checkAnnotations('false'), true);
+  assert.equal(checkAnnotations('speed,nodes'), true);
+  assert.throws(() => checkAnnotations('speed,weight'), /Annotations must be true, false or a list of/);
+});
+
+test('checkAlternatives accepts booleans or a count up to the OSRM limit', () => {
+  assert.equal(checkAlternatives('true'), true);
+  assert.equal(checkAlternatives(3), true);
+  assert.throws(() => checkAlternatives('4'), /from 0 to 3/);
+  assert.throws(() => checkAlternatives('1.5'), /from 0 to 3/);
+});
+
+test('toRouteParams only sends the options the caller set', () => {
+  assert.deepEqual(toRouteParams({}), { alternatives: 'false', overview: 'full' });
+  assert.deepEqual(toRouteParams({
+    alternatives: 2,
+    exclude: ['toll', 'toll', 'ferry'],
+    annotations: 'speed, duration',
+    continueStraight: false,
+    snapping: 'any',
+    overview: 'simplified'
+  }), {
+    alternatives: '2',
+    overview: 'simplified',
+    exclude: 'toll,ferry',
+    annotations: 'speed,duration',
+    continue_straight: 'false',
+    snapping: 'any'
+  });
+  assert.equal(toRouteParams({ annotations: true }).annotations, 'true');
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'error';
+const ServiceArea = require('../src/serviceArea');
+
+const square = (minLon, minLat, size) =>
+  [[minLon, minLat], [minLon + size, minLat], [minLon + size, minLat + size], [minLon, minLat + size], [minLon, minLat]];
+
+function writeAreas(t, geojson) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'service-area-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const configPath = path.join(dir, 'areas.geojson');
+  fs.writeFileSync(configPath, JSON.stringify(geojson));
+  return configPath;
+}
+
+test('findArea honours holes and MultiPolygon parts', (t) => {
+  const configPath = writeAreas(t, {
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', properties: { name: 'Ring' }, geometry: { type: 'Polygon', coordinates: [square(0, 0, 10), square(4, 4, 2)] } },
+      { type: 'Feature', properties: {}, geometry: { type: 'MultiPolygon', coordinates: [[square(20, 0, 2)], [square(30, 0, 2)]] } },
+      { type: 'Feature', properties: { name: 'Ignored' }, geometry: { type: 'Point', coordinates: [50, 50] } }
+    ]
+  });
+  const area = new ServiceArea({ configPath });
+
+  assert.deepEqual(area.getNames(), ['Ring', 'Area 2']);
+  assert.equal(area.findArea(1, 1).name, 'Ring');
+  assert.equal(area.findArea(5, 5), null);
+  assert.equal(area.findArea(31, 1).name, 'Area 2');
+  assert.equal(area.isInside(25, 1), false);
+  assert.equal(area.toGeoJSON().features.length, 2);
+});
+
+test('intersectsBounds detects corners, vertices and crossing edges', (t) => {
+  const area = new ServiceArea({ configPath: writeAreas(t, { type: 'Feature', geometry: { type: 'Polygon', coordinates: [square(0, 0, 10)] } }) });
+
+  assert.equal(area.intersectsBounds({ minLon: 9, minLat: 9, maxLon: 12, maxLat: 12 }), true);
+  assert.equal(area.intersectsBounds({ minLon: -1, minLat: -1, maxLon: 11, maxLat: 11 }), true);
+  assert.equal(area.intersectsBounds({ minLon: -1, minLat: 4, maxLon: 11, maxLat: 5 }), true);
+  assert.equal(area.intersectsBounds({ minLon: 11, minLat: 0, maxLon: 12, maxLat: 1 }), false);
+});
+
+test('a missing config falls back to the bounding box, or no restriction at all', () => {
+  const missing = path.join(os.tmpdir(), 'no-such-service-areas.geojson');
+  const bounded = new ServiceArea({ configPath: missing, fallbackBounds: { minLon: 105, minLat: -9, maxLon: 115, maxLat: -5 } });
+  assert.deepEqual(bounded.getNames(), ['Java Island']);
+  assert.equal(bounded.isInside(107.6, -6.9), true);
+  assert.equal(bounded.isInside(100, -6.9), false);
+
+  const unrestricted = new ServiceArea({ configPath: missing });
+  assert.equal(unrestricted.findArea(0, 0).name, 'unrestricted');
+  assert.equal(unrestricted.intersectsBounds({ minLon: 0, minLat: 0, maxLon: 1, maxLat: 1 }), true);
+});
@@ -0,0 +1,242 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const TileCacheManager = require('../src/tile-cache');
+
+const quietLogger = { debug() {}, info() {}, warn() {}, error() {} };
+const LAYER = { id: 'osm', name: 'OpenStreetMap', namespace: '', format: 'png', minZoom: 0, maxZoom: 18, attribution: '' };
+const HOUR = 60 * 60 * 1000;
+const TILE_BYTES = 100 * 1024;
+
+const contentETag = (tile) => `"${crypto.createHash('sha1').update(tile).digest('hex')}"`;
+
+// Local tile source that answers after a short delay and tracks concurrent requests
+async function startUpstream(t) {
+  const upstream = { requests: 0, active: 0, peak: 0 };
+  const server = http.createServer((req, res) => {
+    upstream.requests++;
+    upstream.active++;
+    upstream.peak = Math.max(upstream.peak, upstream.active);
+    setTimeout(() => {
+      upstream.active--;
+      res.setHeader('Content-Type', 'image/png');
+      res.end(Buffer.alloc(1000, upstream.requests));
+    }, 30);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  upstream.layer = {
+    ...LAYER,
+    url: `http://127.0.0.1:${server.address().port}/{z}/{x}/{y}.png`,
+    subdomains: [],
+    headers: {}
+  };
+  return upstream;
+}
+
+// Wait for background refreshes to finish
+async function settle(cacheManager) {
+  while (cacheManager.inflightDownloads.size > 0) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+function createCacheManager(t, options = {}) {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tile-cache-'));
+  const cacheManager = new TileCacheManager({
+    cacheDir,
+    osrmDataPath: path.join(cacheDir, 'missing.timestamp'),
+    logger: quietLogger,
+    ...options
+  });
+  t.after(() => {
+    cacheManager.store.close();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+  return cacheManager;
+}
+
+// Cache tiles of TILE_BYTES each and give them the access times listed (seconds ago)
+async function seedTiles(cacheManager, tiles) {
+  for (const { z, x, y, accessedSecondsAgo } of tiles) {
+    await cacheManager.saveTileToCache(LAYER, z, x, y, Buffer.alloc(TILE_BYTES, x));
+    const accessedAt = new Date(Date.now() - accessedSecondsAgo * 1000);
+    fs.utimesSync(cacheManager.store.tilePath(LAYER, z, x, y), accessedAt, accessedAt);
+  }
+}
+
+test('concurrent requests for the same tile share one upstream download', async (t) => {
+  const upstream = await startUpstream(t);
+  const cacheManager = createCacheManager(t);
+
+  const results = await Promise.all([1, 2, 3].map(() => cacheManager.getTile(upstream.layer, 14, 13000, 8500)));
+
+  assert.equal(upstream.requests, 1);
+  assert.deepEqual(results.map(result => result.source).sort(), ['coalesced', 'coalesced', 'download']);
+  assert.ok(results.every(result => result.tile.equals(results[0].tile)));
+  assert.equal(cacheManager.getDownloadStats().coalesced, 2);
+  assert.equal(cacheManager.inflightDownloads.size, 0);
+
+  const hit = await cacheManager.getTile(upstream.layer, 14, 13000, 8500);
+  assert.equal(hit.source, 'cache');
+  assert.equal(upstream.requests, 1);
+});
+
+test('upstream downloads are limited to maxConcurrentDownloads and queue in order', async (t) => {
+  const upstream = await startUpstream(t);
+  const cacheManager = createCacheManager(t, { maxConcurrentDownloads: 2 });
+
+  await Promise.all([1, 2, 3, 4, 5].map(x => cacheManager.getTile(upstream.layer, 14, x, 1)));
+
+  assert.equal(upstream.requests, 5);
+  assert.equal(upstream.peak, 2);
+  const stats = cacheManager.getDownloadStats();
+  assert.deepEqual(
+    [stats.maxConcurrent, stats.active, stats.waiting, stats.upstreamRequests, stats.downloaded, stats.queued],
+    [2, 0, 0, 5, 5, 3]
+  );
+});
+
+test('saved tiles are written atomically without leftover temp files', async (t) => {
+  const upstream = await startUpstream(t);
+  const cacheManager = createCacheManager(t);
+
+  await cacheManager.getTile(upstream.layer, 14, 7, 9);
+  const files = fs.readdirSync(path.dirname(cacheManager.store.tilePath(upstream.layer, 14, 7, 9)));
+  assert.deepEqual(files, ['9.png']);
+});
+
+test('getTile keeps the content ETag and Last-Modified of a downloaded tile on later hits', async (t) => {
+  const upstream = await startUpstream(t);
+  const cacheManager = createCacheManager(t);
+
+  const downloaded = await cacheManager.getTile(upstream.layer, 14, 13000, 8500);
+  assert.equal(downloaded.source, 'download');
+  assert.equal(downloaded.etag, contentETag(downloaded.tile));
+
+  const hit = await cacheManager.getTile(upstream.layer, 14, 13000, 8500);
+  assert.equal(hit.source, 'cache');
+  assert.equal(hit.etag, downloaded.etag);
+  assert.equal(hit.lastModified, downloaded.lastModified);
+  assert.equal(upstream.requests, 1);
+});
+
+test('getTile derives the ETag from the content for tiles cached without one', async (t) => {
+  const upstream = await startUpstream(t);
+  const cacheManager = createCacheManager(t);
+  const tile = Buffer.alloc(1000, 7);
+  await cacheManager.saveTileToCache(upstream.layer, 14, 13000, 8500, tile);
+  // Metadata without etag or timestamp fields
+  fs.writeFileSync(cacheManager.store.metadataPath(upstream.layer, 14, 13000, 8500), JSON.stringify({ zoom: 14 }));
+
+  // Read before the hit, which rewrites the file times to record the access
+  const { mtimeMs } = fs.statSync(cacheManager.store.tilePath(upstream.layer, 14, 13000, 8500));
+
+  const hit = await cacheManager.getTile(upstream.layer, 14, 13000, 8500);
+  assert.equal(hit.etag, contentETag(tile));
+  assert.equal(hit.lastModified, mtimeMs);
+});
+
+test('getTile serves a tile past its TTL as stale and refreshes it in the background', async (t) => {
+  const upstream = await startUpstream(t);
+  const cacheManager = createCacheManager(t, { cacheTTL: HOUR });
+  const oldTile = Buffer.alloc(1000, 200);
+  await cacheManager.saveTileToCache(upstream.layer, 14, 13000, 8500, oldTile, { timestamp: Date.now() - 2 * HOUR });
+
+  const stale = await cacheManager.getTile(upstream.layer, 14, 13000, 8500);
+  assert.equal(stale.source, 'stale');
+  assert.deepEqual(stale.tile, oldTile);
+
+  await settle(cacheManager);
+  assert.equal(upstream.requests, 1);
+  const refreshed = await cacheManager.getTile(upstream.layer, 14, 13000, 8500);
+  assert.equal(refreshed.source, 'cache');
+  assert.deepEqual(refreshed.tile, Buffer.alloc(1000, 1));
+  assert.ok(refreshed.lastModified > Date.now() - HOUR);
+});
+
+test('getTile keeps the stale copy when the background refresh fails', async (t) => {
+  const cacheManager = createCacheManager(t, { cacheTTL: HOUR });
+  // Nothing listens on port 9, every download attempt fails
+  const layer = { ...LAYER, url: 'http://127.0.0.1:9/{z}/{x}/{y}.png', subdomains: [], headers: {} };
+  const oldTile = Buffer.alloc(1000, 200);
+  await cacheManager.saveTileToCache(layer, 14, 13000, 8500, oldTile, { timestamp: Date.now() - 2 * HOUR });
+
+  assert.equal((await cacheManager.getTile(layer, 14, 13000, 8500)).source, 'stale');
+  await settle(cacheManager);
+  const again = await cacheManager.getTile(layer, 14, 13000, 8500);
+  assert.equal(again.source, 'stale');
+  assert.deepEqual(again.tile, oldTile);
+});
+
+test('per-zoom TTLs override TILE_CACHE_TTL and 0 never expires', async (t) => {
+  const upstream = await startUpstream(t);
+  const cacheManager = createCacheManager(t, {
+    cacheTTL: HOUR,
+    cacheTTLByZoom: [{ minZoom: 0, maxZoom: 10, value: 0 }, { minZoom: 17, maxZoom: 22, value: 60 * 1000 }]
+  });
+  const timestamp = Date.now() - 30 * 60 * 1000; // half an hour old
+  for (const [z, x, y] of [[10, 816, 531], [14, 13000, 8500], [17, 104000, 68000]]) {
+    await cacheManager.saveTileToCache(upstream.layer, z, x, y, Buffer.alloc(1000, z), { timestamp });
+  }
+  await cacheManager.saveTileToCache(upstream.layer, 10, 816, 532, Buffer.alloc(1000, 10), { timestamp: Date.now() - 1000 * HOUR });
+
+  assert.equal((await cacheManager.getTile(upstream.layer, 10, 816, 532)).source, 'cache');
+  assert.equal((await cacheManager.getTile(upstream.layer, 14, 13000, 8500)).source, 'cache');
+  assert.equal((await cacheManager.getTile(upstream.layer, 17, 104000, 68000)).source, 'stale');
+  await settle(cacheManager);
+});
+
+test('evictTiles removes the least recently used tiles down to 90% of the limit', async (t) => {
+  // 5 tiles of 100 KB against a 0.3 MB limit: evicting down to 0.27 MB removes 3 tiles
+  const cacheManager = createCacheManager(t, { maxCacheSizeMB: 0.3, pinnedMaxZoom: 10 });
+  await seedTiles(cacheManager, [
+    { z: 10, x: 816, y: 531, accessedSecondsAgo: 5000 },
+    { z: 14, x: 1, y: 1, accessedSecondsAgo: 400 },
+    { z: 14, x: 2, y: 1, accessedSecondsAgo: 100 },
+    { z: 14, x: 3, y: 1, accessedSecondsAgo: 300 },
+    { z: 14, x: 4, y: 1, accessedSecondsAgo: 200 }
+  ]);
+
+  const result = await cacheManager.evictTiles();
+  assert.equal(result.tilesRemoved, 3);
+  assert.equal(result.bytesFreed, 3 * TILE_BYTES);
+
+  // The most recently used tile survives, and so does the older tile at a pinned zoom
+  const remaining = [];
+  for await (const entry of cacheManager.store.entries()) remaining.push(`${entry.z}/${entry.x}/${entry.y}`);
+  assert.deepEqual(remaining.sort(), ['10/816/531', '14/2/1']);
+  assert.equal(fs.existsSync(cacheManager.store.metadataPath(LAYER, 14, 1, 1)), false);
+});
+
+test('evictTiles leaves a cache under the limit alone', async (t) => {
+  const cacheManager = createCacheManager(t, { maxCacheSizeMB: 1, pinnedMaxZoom: -1 });
+  await seedTiles(cacheManager, [
+    { z: 14, x: 1, y: 1, accessedSecondsAgo: 400 },
+    { z: 14, x: 2, y: 1, accessedSecondsAgo: 100 }
+  ]);
+
+  const result = await cacheManager.evictTiles();
+  assert.equal(result.tilesRemoved, 0);
+  assert.equal(cacheManager.cacheSizeBytes, 2 * TILE_BYTES);
+});
+
+test('the directory store returns only the requested number of least recently used tiles', async (t) => {
+  const cacheManager = createCacheManager(t);
+  await seedTiles(cacheManager, [
+    { z: 10, x: 816, y: 531, accessedSecondsAgo: 5000 },
+    { z: 14, x: 1, y: 1, accessedSecondsAgo: 400 },
+    { z: 14, x: 2, y: 1, accessedSecondsAgo: 100 },
+    { z: 14, x: 3, y: 1, accessedSecondsAgo: 300 },
+    { z: 14, x: 4, y: 1, accessedSecondsAgo: 200 },
+    { z: 14, x: 5, y: 1, accessedSecondsAgo: 500 }
+  ]);
+
+  const oldest = await cacheManager.store.leastRecentlyUsed(3, 10);
+  assert.deepEqual(oldest.map(entry => entry.x), [5, 1, 3]);
+  assert.deepEqual((await cacheManager.store.leastRecentlyUsed(10, -1)).map(entry => entry.x), [816, 5, 1, 3, 4, 2]);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'error';
+const TileLayerRegistry = require('../src/tileLayers');
+
+const osm = { id: 'osm', url: 'https://{s}.tile.example.org/{z}/{x}/{y}.png' };
+const satellite = {
+  id: 'satellite',
+  name: 'Satellite',
+  url: 'https://tiles.example.com/{z}/{y}/{x}.jpeg?key=secret',
+  format: 'jpeg',
+  minZoom: 2,
+  maxZoom: 19,
+  headers: { Referer: 'https://maps.example.com' }
+};
+
+function createRegistry(t, config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tile-layers-'));
+  const configPath = path.join(dir, 'tile-layers.json');
+  if (config !== undefined) fs.writeFileSync(configPath, typeof config === 'string' ? config : JSON.stringify(config));
+
+  const registry = new TileLayerRegistry({ configPath });
+  t.after(() => {
+    registry.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return registry;
+}
+
+test('layers are normalised and described without upstream secrets', (t) => {
+  const registry = createRegistry(t, { layers: [osm, satellite] });
+  const layer = registry.get('satellite');
+
+  assert.equal(registry.getDefault().id, 'osm');
+  assert.deepEqual([layer.format, layer.contentType, layer.namespace], ['jpg', 'image/jpeg', 'satellite']);
+  assert.equal(registry.get('osm').namespace, '');
+  assert.deepEqual(registry.get('osm').subdomains, ['a', 'b', 'c']);
+  assert.deepEqual(registry.list()[1], {
+    id: 'satellite',
+    name: 'Satellite',
+    format: 'jpg',
+    minZoom: 2,
+    maxZoom: 19,
+    attribution: '',
+    url: '/tiles/satellite/{z}/{x}/{y}.jpg',
+    default: false
+  });
+  assert.equal(registry.getStatus().source, registry.configPath);
+});
+
+test('tileUrl fills the template with a stable subdomain per tile', () => {
+  const layer = { url: osm.url, subdomains: ['a', 'b', 'c'] };
+  assert.equal(TileLayerRegistry.tileUrl(layer, 5, 3, 4), 'https://b.tile.example.org/5/3/4.png');
+  assert.equal(TileLayerRegistry.tileUrl({ url: satellite.url, subdomains: [] }, 5, 3, 4), 'https://tiles.example.com/5/4/3.jpeg?key=secret');
+});
+
+test('invalid configs fall back to the built-in OpenStreetMap layer', (t) => {
+  const invalid = [
+    { layers: [] },
+    { layers: [{ ...osm, id: 'OSM' }] },
+    { layers: [{ ...osm, url: 'ftp://tiles/{z}/{x}/{y}.png' }] },
+    { layers: [{ ...osm, url: 'https://tiles/{z}/{x}.png' }] },
+    { layers: [{ ...osm, format: 'gif' }] },
+    { layers: [{ ...osm, minZoom: 10, maxZoom: 5 }] },
+    { layers: [{ ...osm, subdomains: [] }] },
+    { layers: [{ ...osm, headers: { Authorization: 1 } }] },
+    { layers: [osm, osm] },
+    { default: 'satellite', layers: [osm] },
+    // The legacy /tiles/{z}/{x}/{y}.png route serves the default layer
+    { default: 'satellite', layers: [osm, satellite] }
+  ];
+
+  for (const config of invalid) {
+    const registry = createRegistry(t, config);
+    assert.equal(registry.getStatus().source, 'fallback', JSON.stringify(config));
+    assert.equal(registry.getDefault().url, 'https://tile.openstreetmap.org/{z}/{x}/{y}.png');
+  }
+  assert.equal(createRegistry(t).getStatus().source, 'fallback');
+});
+
+test('a broken reload keeps the layers already in service', (t) => {
+  const registry = createRegistry(t, { layers: [osm, satellite] });
+  fs.writeFileSync(registry.configPath, '{ "layers": ');
+  assert.equal(registry.load(), false);
+  assert.deepEqual([...registry.layers.keys()], ['osm', 'satellite']);
+  assert.equal(registry.getStatus().source, registry.configPath);
+});
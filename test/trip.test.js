@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTripOptions, tripOrders, describeTrip } = require('../src/trip');
+
+test('parseTripOptions defaults to a round trip and requires fixed ends for one-way trips', () => {
+  assert.deepEqual(parseTripOptions({}), { options: { roundtrip: true, source: 'any', destination: 'any' }, error: null });
+  assert.equal(parseTripOptions({ roundtrip: 'false', source: 'first', destination: 'last' }).error, null);
+  assert.match(parseTripOptions({ roundtrip: 'false', source: 'first' }).error, /require source=first and destination=last/);
+});
+
+test('describeTrip inverts waypoint_index into the visiting order', () => {
+  const data = {
+    waypoints: [
+      { waypoint_index: 0, trips_index: 0, name: 'A', location: [0, 0] },
+      { waypoint_index: 2, trips_index: 0, name: 'B', location: [1, 0] },
+      { waypoint_index: 1, trips_index: 0, name: 'C', location: [2, 0] }
+    ],
+    trips: [{
+      distance: 30,
+      duration: 3,
+      legs: [{ distance: 10, duration: 1 }, { distance: 10, duration: 1 }, { distance: 10, duration: 1, summary: 'home' }]
+    }]
+  };
+  const trip = describeTrip(data);
+
+  // Input 0 is visited first, input 2 second and input 1 last
+  assert.deepEqual(trip.order, [0, 2, 1]);
+  assert.deepEqual(trip.legs.map(leg => [leg.from.name, leg.to.name]), [['A', 'C'], ['C', 'B'], ['B', 'A']]);
+  assert.equal(trip.legs[2].summary, 'home');
+  assert.equal(trip.distance, 30);
+});
+
+test('tripOrders keeps waypoint_index relative to each trip and describeTrip rejects split trips', () => {
+  // Inputs 0 and 2 form one trip, input 1 and 3 another (e.g. on an island)
+  const data = {
+    waypoints: [
+      { waypoint_index: 0, trips_index: 0 },
+      { waypoint_index: 1, trips_index: 1 },
+      { waypoint_index: 1, trips_index: 0 },
+      { waypoint_index: 0, trips_index: 1 }
+    ],
+    trips: [{ legs: [{}, {}] }, { legs: [{}, {}] }]
+  };
+
+  assert.deepEqual(tripOrders(data), [[0, 2], [3, 1]]);
+  assert.throws(() => describeTrip(data), /Expected a single trip, OSRM returned 2/);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQueryWaypoints, parseBodyWaypoints, toOsrmParams, describeLegs } = require('../src/waypoints');
+
+test('parseQueryWaypoints reads a waypoints list with per-waypoint options', () => {
+  const { waypoints, errors } = parseQueryWaypoints({
+    waypoints: '107.6,-6.9;107.61,-6.91;107.62,-6.92',
+    bearings: '90,20;;180',
+    radiuses: ';50;unlimited',
+    approaches: 'curb;;'
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(waypoints.map(wp => [wp.lon, wp.lat]), [[107.6, -6.9], [107.61, -6.91], [107.62, -6.92]]);
+  assert.deepEqual(waypoints.map(wp => wp.bearing), [{ value: 90, range: 20 }, null, { value: 180, range: 90 }]);
+  assert.deepEqual(waypoints.map(wp => wp.radius), [null, 50, 'unlimited']);
+  assert.deepEqual(waypoints.map(wp => wp.approach), ['curb', null, null]);
+});
+
+test('parseQueryWaypoints falls back to the legacy start and end pair', () => {
+  const { waypoints, errors } = parseQueryWaypoints({ start: '107.6,-6.9', end: '107.7,-6.95' });
+  assert.deepEqual(errors, []);
+  assert.equal(waypoints.length, 2);
+});
+
+test('parseQueryWaypoints reports invalid input per field', () => {
+  assert.equal(parseQueryWaypoints({}).errors[0].path, 'waypoints');
+  assert.equal(parseQueryWaypoints({ waypoints: '107.6,-6.9' }).errors[0].msg, 'At least 2 waypoints are required');
+  assert.equal(parseQueryWaypoints({ waypoints: '107.6,-6.9;1,2', bearings: '90,10' }).errors[0].path, 'bearings');
+
+  const { errors } = parseQueryWaypoints({ waypoints: '107.6,-6.9;200,5', bearings: '400,10;', approaches: ';sideways' });
+  assert.deepEqual(errors.map(error => error.path).sort(), ['waypoints[0].bearing', 'waypoints[1]', 'waypoints[1].approach']);
+});
+
+test('parseBodyWaypoints accepts pairs, lon/lat objects and coordinates objects', () => {
+  const { waypoints, errors } = parseBodyWaypoints({
+    waypoints: [[107.6, -6.9], { lon: 107.61, lat: -6.91, radius: 25 }, { coordinates: [107.62, -6.92], bearing: { value: 45, range: 30 } }]
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(waypoints.map(wp => [wp.lon, wp.lat]), [[107.6, -6.9], [107.61, -6.91], [107.62, -6.92]]);
+  assert.equal(waypoints[1].radius, 25);
+  assert.deepEqual(waypoints[2].bearing, { value: 45, range: 30 });
+
+  assert.equal(parseBodyWaypoints({}).errors[0].msg, 'waypoints must be an array');
+  assert.equal(parseBodyWaypoints({ waypoints: [['107.6', '-6.9'], [107.6, -6.9]] }).errors[0].path, 'waypoints[0]');
+});
+
+test('toOsrmParams only sends the option lists some waypoint sets', () => {
+  const { waypoints } = parseQueryWaypoints({ waypoints: '107.6,-6.9;107.61,-6.91', radiuses: '30;' });
+  assert.deepEqual(toOsrmParams(waypoints), {
+    coordinates: '107.6,-6.9;107.61,-6.91',
+    params: { radiuses: '30;' }
+  });
+});
+
+test('describeLegs labels each leg with the waypoints it connects', () => {
+  const route = { legs: [{ distance: 100, duration: 10, summary: 'Jalan A', steps: [{}, {}] }, { distance: 50, duration: 5 }] };
+  const legs = describeLegs(route, [{ name: 'A', location: [1, 2] }, { name: 'B', location: [3, 4] }, { name: 'C', location: [5, 6] }]);
+  assert.deepEqual(legs.map(leg => [leg.from.name, leg.to.name, leg.stepCount]), [['A', 'B', 2], ['B', 'C', 0]]);
+  assert.deepEqual(describeLegs(null), []);
+});
+
+test('bearings must be whole degrees', () => {
+  const bearingErrors = (bearings) => parseQueryWaypoints({ waypoints: '107.6,-6.9;107.61,-6.91', bearings }).errors;
+
+  assert.deepEqual(bearingErrors('90,20;0'), []);
+  for (const bearings of ['90abc,20;', '1e3;', '90,2x;', '90.5,20;', '90,20,5;', '-10;']) {
+    assert.equal(bearingErrors(bearings)[0]?.path, 'waypoints[0].bearing', bearings);
+  }
+  assert.equal(parseBodyWaypoints({ waypoints: [{ lon: 107.6, lat: -6.9, bearing: [12.5, 10] }, [107.61, -6.91]] }).errors[0].path, 'waypoints[0].bearing');
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+const { parseZoomRanges, valueForZoom } = require('../src/zoomRanges');
+
+test('parseZoomRanges reads single zooms and ranges and skips invalid entries', () => {
+  assert.deepEqual(parseZoomRanges('0-12=604800, 14=60,bad,15-13=1,16=x', 'TEST'), [
+    { minZoom: 0, maxZoom: 12, value: 604800 },
+    { minZoom: 14, maxZoom: 14, value: 60 }
+  ]);
+  assert.deepEqual(parseZoomRanges(undefined, 'TEST'), []);
+});
+
+test('valueForZoom uses the first matching range or the fallback', () => {
+  const ranges = parseZoomRanges('0-12=604800,10-22=86400', 'TEST');
+  assert.equal(valueForZoom(ranges, 11, 1), 604800);
+  assert.equal(valueForZoom(ranges, 13, 1), 86400);
+  assert.equal(valueForZoom([], 13, 1), 1);
+});